@@ -1,26 +1,47 @@
-import React, { memo, useMemo } from 'react';
+import React, { memo, useMemo, useRef, useState } from 'react';
 import { FixedSizeList as List, areEqual } from 'react-window';
 import AutoSizer from 'react-virtualized-auto-sizer';
 import { useNovelStore } from '../store/novelStore';
-import { CheckSquare, Square, AlertCircle, CheckCircle, Circle } from 'lucide-react';
+import { REVIEW_REASONS } from 'w2e-shared/reviewReasons.js';
+import { isReversedOrder } from 'w2e-shared/chapterTitles.js';
+import {
+  CheckSquare, Square, AlertCircle, AlertTriangle, CheckCircle, Circle,
+  GripVertical, Trash2, Search, ArrowUpDown, Plus, X
+} from 'lucide-react';
+
+const smallButtonStyle = { fontSize: '12px', padding: '4px 8px', borderRadius: '4px', border: '1px solid #cbd5e1', cursor: 'pointer', background: 'white', color: '#334155' };
+const smallInputStyle = { fontSize: '12px', padding: '4px 6px', borderRadius: '4px', border: '1px solid #cbd5e1', boxSizing: 'border-box' };
 
 // Memoized Row Component for React-Window
-// We pass 'data' containing chapters and the toggle handler to avoid prop drilling issues in virtualization
-const ChapterRow = memo(({ index, style, data }) => {
-  const { chapters, toggleChapter } = data;
+// We pass 'data' containing chapters and the handlers to avoid prop drilling issues in virtualization.
+// Rows are positions in 'visible' (the filtered list); 'index' below is the position in the full chapter list.
+const ChapterRow = memo(({ index: position, style, data }) => {
+  const { chapters, visible, onToggle, onRemove, openReader, drag, editable } = data;
+  const index = visible[position];
   const chapter = chapters[index];
+  // Volume pill on the first chapter of each volume/arc
+  const startsVolume = chapter.volume && chapter.volume !== chapters[index - 1]?.volume;
   
   let StatusIcon = Circle;
   let color = '#cbd5e1'; // default gray
+  let statusLabel = chapter.status;
 
   if (chapter.status === 'success') {
     StatusIcon = CheckCircle;
     color = '#22c55e';
+  } else if (chapter.status === 'review') {
+    StatusIcon = AlertTriangle;
+    color = '#f59e0b';
+    statusLabel = `Needs review: ${(chapter.review || []).map(r => REVIEW_REASONS[r] || r).join(', ')}`;
   } else if (chapter.status === 'error') {
     StatusIcon = AlertCircle;
     color = '#ef4444';
   }
 
+  // Drop marker on the side the dragged chapter will land
+  const dropTarget = drag.enabled && drag.over === index && drag.from !== null && drag.from !== index;
+  const dropEdge = dropTarget ? (drag.from < index ? { borderBottom: '2px solid #2563eb' } : { borderTop: '2px solid #2563eb' }) : {};
+
   // Merge default style from react-window with custom row layout styles
   const rowStyle = {
     ...style,
@@ -29,19 +50,49 @@ const ChapterRow = memo(({ index, style, data }) => {
     padding: '0 12px',
     borderBottom: '1px solid #f1f5f9',
     boxSizing: 'border-box',
-    backgroundColor: 'white',
-    cursor: 'pointer'
+    backgroundColor: drag.from === index ? '#eff6ff' : 'white',
+    cursor: 'pointer',
+    ...dropEdge
   };
 
   return (
     <div 
       className="chapter-item" 
       style={rowStyle} 
-      onClick={() => toggleChapter(index)}
+      onClick={() => openReader(index)}
+      title="Open in reader"
+      draggable={drag.enabled}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', chapter.url); // Firefox only starts a drag with data set
+        drag.start(index);
+      }}
+      onDragOver={(e) => {
+        if (drag.from === null) return;
+        e.preventDefault();
+        if (drag.over !== index) drag.hover(index);
+      }}
+      onDrop={(e) => {
+        e.preventDefault();
+        drag.drop(index);
+      }}
+      onDragEnd={drag.end}
     >
-      <div style={{ marginRight: '12px', color: chapter.selected ? '#2563eb' : '#94a3b8', display: 'flex', alignItems: 'center' }}>
+      {drag.enabled && (
+        <div style={{ marginRight: '4px', color: '#cbd5e1', display: 'flex', alignItems: 'center', cursor: 'grab' }} title="Drag to move">
+          <GripVertical size={16} />
+        </div>
+      )}
+      <div
+        onClick={(e) => { e.stopPropagation(); onToggle(position, e.shiftKey); }}
+        style={{ marginRight: '12px', color: chapter.selected ? '#2563eb' : '#94a3b8', display: 'flex', alignItems: 'center' }}
+        title="Shift-click to select a range"
+      >
         {chapter.selected ? <CheckSquare size={20} /> : <Square size={20} />}
       </div>
+      <div style={{ minWidth: '36px', marginRight: '8px', fontSize: '12px', color: '#94a3b8', textAlign: 'right' }}>
+        {index + 1}
+      </div>
       <div style={{ 
         flex: 1, 
         fontSize: '14px', 
@@ -51,9 +102,27 @@ const ChapterRow = memo(({ index, style, data }) => {
         lineHeight: '24px',
         color: '#1e293b'
       }}>
+        {startsVolume && (
+          <span
+            title={chapter.volume}
+            style={{ marginRight: '8px', padding: '1px 8px', borderRadius: '999px', background: '#e0e7ff', color: '#3730a3', fontSize: '11px', fontWeight: '600' }}
+          >
+            {chapter.volume.length > 30 ? `${chapter.volume.slice(0, 30)}…` : chapter.volume}
+          </span>
+        )}
         {chapter.title}
+        {chapter.manual && <span style={{ marginLeft: '6px', fontSize: '11px', color: '#94a3b8' }}>(added)</span>}
       </div>
-      <div style={{ marginLeft: '10px', display: 'flex', alignItems: 'center' }} title={chapter.status}>
+      {editable && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onRemove(index); }}
+          title="Remove from the chapter list"
+          style={{ marginLeft: '8px', padding: '2px', border: 'none', background: 'none', color: '#cbd5e1', cursor: 'pointer', display: 'flex' }}
+        >
+          <Trash2 size={16} />
+        </button>
+      )}
+      <div style={{ marginLeft: '10px', display: 'flex', alignItems: 'center' }} title={statusLabel}>
         <StatusIcon size={18} color={color} />
       </div>
     </div>
@@ -62,16 +131,91 @@ const ChapterRow = memo(({ index, style, data }) => {
 
 const ChapterList = () => {
   const chapters = useNovelStore(state => state.chapters);
-  const toggleChapter = useNovelStore(state => state.toggleChapter);
   const setAllSelection = useNovelStore(state => state.setAllSelection);
+  const setSelection = useNovelStore(state => state.setSelection);
+  const selectRange = useNovelStore(state => state.selectRange);
+  const moveChapter = useNovelStore(state => state.moveChapter);
+  const reverseChapters = useNovelStore(state => state.reverseChapters);
+  const removeChapters = useNovelStore(state => state.removeChapters);
+  const insertChapter = useNovelStore(state => state.insertChapter);
+  const openReader = useNovelStore(state => state.openReader);
+  const status = useNovelStore(state => state.status);
+  const editable = status !== 'FETCHING' && status !== 'GENERATING';
+
+  const [filter, setFilter] = useState('');
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [adding, setAdding] = useState(false);
+  const [newChapter, setNewChapter] = useState({ url: '', title: '', position: '' });
+  const [addError, setAddError] = useState(null);
+  const [dragFrom, setDragFrom] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+  const anchorUrl = useRef(null); // Last toggled chapter, the start of a shift-click range
 
   const selectedCount = chapters.filter(c => c.selected).length;
+  const reviewCount = chapters.filter(c => c.status === 'review').length;
+
+  // Indices of the chapters matching the filter (title or URL)
+  const query = filter.trim().toLowerCase();
+  const visible = useMemo(() => {
+    const all = chapters.map((c, i) => i);
+    return query ? all.filter(i => chapters[i].title.toLowerCase().includes(query) || chapters[i].url.toLowerCase().includes(query)) : all;
+  }, [chapters, query]);
+
+  // Newest-first TOCs; not re-checked on every status change of a running download
+  const reversed = useMemo(() => editable && isReversedOrder(chapters), [chapters, editable]);
+
+  const rangeFrom = parseInt(range.from, 10);
+  const rangeTo = parseInt(range.to, 10);
+  const rangeValid = rangeFrom >= 1 && rangeTo >= rangeFrom && rangeFrom <= chapters.length;
 
   // Memoize itemData to prevent unnecessary re-renders of all rows when parent renders
   const itemData = useMemo(() => ({
     chapters,
-    toggleChapter
-  }), [chapters, toggleChapter]);
+    visible,
+    editable,
+    openReader,
+    // Shift-click applies the clicked chapter's new state to every shown chapter since the last click
+    onToggle: (position, shiftKey) => {
+      const index = visible[position];
+      const selected = !chapters[index].selected;
+      const anchor = shiftKey ? visible.findIndex(i => chapters[i].url === anchorUrl.current) : -1;
+      const targets = anchor === -1 ? [index] : visible.slice(Math.min(anchor, position), Math.max(anchor, position) + 1);
+      setSelection(targets, selected);
+      anchorUrl.current = chapters[index].url;
+    },
+    onRemove: (index) => removeChapters([index]),
+    // Reordering the filtered list would be ambiguous, so dragging needs the full list
+    drag: {
+      enabled: editable && !query,
+      from: dragFrom,
+      over: dragOver,
+      start: (index) => setDragFrom(index),
+      hover: (index) => setDragOver(index),
+      drop: (index) => {
+        if (dragFrom !== null) moveChapter(dragFrom, index);
+        setDragFrom(null);
+        setDragOver(null);
+      },
+      end: () => {
+        setDragFrom(null);
+        setDragOver(null);
+      }
+    }
+  }), [chapters, visible, editable, query, openReader, setSelection, removeChapters, moveChapter, dragFrom, dragOver]);
+
+  const removeShown = () => {
+    if (!window.confirm(`Remove the ${visible.length} chapters matching "${filter.trim()}" from the chapter list?`)) return;
+    removeChapters(visible);
+    setFilter('');
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const position = parseInt(newChapter.position, 10);
+    const error = insertChapter(newChapter, position >= 1 ? position - 1 : undefined);
+    setAddError(error);
+    if (!error) setNewChapter({ url: '', title: '', position: '' });
+  };
 
   return (
     <div style={{ 
@@ -99,30 +243,109 @@ const ChapterList = () => {
       }}>
         <div style={{ fontWeight: '600', color: '#334155' }}>
           Chapters ({selectedCount} / {chapters.length})
+          {reviewCount > 0 && (
+            <span style={{ marginLeft: '8px', fontSize: '12px', fontWeight: '500', color: '#b45309' }}>
+              {reviewCount} need review
+            </span>
+          )}
         </div>
         <div style={{ display: 'flex', gap: '8px' }}>
           <button 
-            onClick={() => setAllSelection(true)}
-            style={{ fontSize: '12px', padding: '4px 8px', borderRadius: '4px', border: '1px solid #cbd5e1', cursor: 'pointer', background: 'white', color: '#334155' }}
+            onClick={() => (query ? setSelection(visible, true) : setAllSelection(true))}
+            style={smallButtonStyle}
+            title={query ? 'Select the chapters shown' : undefined}
           >
             Select All
           </button>
           <button 
-            onClick={() => setAllSelection(false)}
-            style={{ fontSize: '12px', padding: '4px 8px', borderRadius: '4px', border: '1px solid #cbd5e1', cursor: 'pointer', background: 'white', color: '#334155' }}
+            onClick={() => (query ? setSelection(visible, false) : setAllSelection(false))}
+            style={smallButtonStyle}
           >
             None
           </button>
         </div>
       </div>
 
+      {/* List Tools: filter, range selection, order and manual chapters */}
+      <div style={{ padding: '8px 16px', borderBottom: '1px solid #e2e8f0', display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', flexShrink: 0, fontSize: '12px', color: '#475569' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', flex: '1 1 160px' }}>
+          <Search size={14} />
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter by title or URL"
+            style={{ ...smallInputStyle, width: '100%' }}
+          />
+        </label>
+        {query && <span>{visible.length} shown</span>}
+        {query && editable && visible.length > 0 && (
+          <button onClick={removeShown} style={smallButtonStyle}>Remove shown</button>
+        )}
+        <form
+          onSubmit={(e) => { e.preventDefault(); if (rangeValid) selectRange(rangeFrom, Math.min(rangeTo, chapters.length)); }}
+          style={{ display: 'flex', alignItems: 'center', gap: '4px' }}
+          title="Select only these chapters"
+        >
+          <input type="number" min="1" max={chapters.length} value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} placeholder="From" style={{ ...smallInputStyle, width: '64px' }} />
+          –
+          <input type="number" min="1" max={chapters.length} value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} placeholder="To" style={{ ...smallInputStyle, width: '64px' }} />
+          <button type="submit" disabled={!rangeValid} style={smallButtonStyle}>Select</button>
+        </form>
+        <button onClick={reverseChapters} disabled={!editable} style={{ ...smallButtonStyle, display: 'flex', alignItems: 'center', gap: '4px' }} title="Reverse the chapter order">
+          <ArrowUpDown size={14} /> Reverse
+        </button>
+        <button onClick={() => { setAdding(!adding); setAddError(null); }} disabled={!editable} style={{ ...smallButtonStyle, display: 'flex', alignItems: 'center', gap: '4px' }}>
+          {adding ? <X size={14} /> : <Plus size={14} />} Add chapter
+        </button>
+      </div>
+
+      {reversed && (
+        <div style={{ padding: '8px 16px', borderBottom: '1px solid #fde68a', background: '#fffbeb', color: '#92400e', fontSize: '12px', display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', flexShrink: 0 }}>
+          The table of contents seems to list the newest chapter first.
+          <button onClick={reverseChapters} style={smallButtonStyle}>Reverse order</button>
+        </div>
+      )}
+
+      {adding && editable && (
+        <form onSubmit={handleAdd} style={{ padding: '8px 16px', borderBottom: '1px solid #e2e8f0', display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', flexShrink: 0 }}>
+          <input
+            type="url"
+            required
+            value={newChapter.url}
+            onChange={(e) => setNewChapter({ ...newChapter, url: e.target.value })}
+            placeholder="Chapter URL"
+            style={{ ...smallInputStyle, flex: '2 1 200px' }}
+          />
+          <input
+            type="text"
+            value={newChapter.title}
+            onChange={(e) => setNewChapter({ ...newChapter, title: e.target.value })}
+            placeholder="Title"
+            style={{ ...smallInputStyle, flex: '1 1 120px' }}
+          />
+          <input
+            type="number"
+            min="1"
+            max={chapters.length + 1}
+            value={newChapter.position}
+            onChange={(e) => setNewChapter({ ...newChapter, position: e.target.value })}
+            placeholder="At #"
+            title="Position in the list (default: at the end)"
+            style={{ ...smallInputStyle, width: '64px' }}
+          />
+          <button type="submit" style={smallButtonStyle}>Add</button>
+          {addError && <span style={{ fontSize: '12px', color: '#ef4444' }}>{addError}</span>}
+        </form>
+      )}
+
       {/* Virtualized List Container */}
       <div style={{ flex: 1, minHeight: 0 }}>
         <AutoSizer>
           {({ height, width }) => (
             <List
               height={height}
-              itemCount={chapters.length}
+              itemCount={visible.length}
               itemSize={46} // Approximate height of a row including padding/border
               width={width}
               itemData={itemData}
@@ -137,4 +360,4 @@ const ChapterList = () => {
   );
 };
 
-export default ChapterList;
\ No newline at end of file
+export default ChapterList;
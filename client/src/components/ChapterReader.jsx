@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import { useNovelStore } from '../store/novelStore';
+import { getChapter } from '../lib/db';
+import { REVIEW_REASONS } from 'w2e-shared/reviewReasons.js';
+import { ChevronLeft, ChevronRight, X, AlertTriangle, ExternalLink, CheckCircle } from 'lucide-react';
+
+const navButtonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px',
+  padding: '6px 12px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  background: 'white',
+  color: '#334155',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
+
+const flagStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '6px 10px',
+  borderRadius: '6px',
+  background: '#fffbeb',
+  border: '1px solid #fde68a',
+  color: '#92400e',
+  fontSize: '13px'
+};
+
+// Reading layout close to an e-reader; the iframe keeps remote markup away from the app
+const readerDocument = (content) => `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+  body { font-family: Georgia, serif; font-size: 18px; line-height: 1.7; color: #1e293b; max-width: 720px; margin: 0 auto; padding: 24px 20px 60px; }
+  img { max-width: 100%; height: auto; }
+  a { color: #2563eb; }
+</style></head><body>${content}</body></html>`;
+
+const textLength = (html) => (html || '').replace(/<[^>]+>/g, ' ').replace(/&#?\w+;/g, ' ').replace(/\s+/g, ' ').trim().length;
+
+const ChapterReader = () => {
+  const chapters = useNovelStore(state => state.chapters);
+  const readerIndex = useNovelStore(state => state.readerIndex);
+  const openReader = useNovelStore(state => state.openReader);
+  const closeReader = useNovelStore(state => state.closeReader);
+  const markReviewed = useNovelStore(state => state.markReviewed);
+
+  const chapter = chapters[readerIndex];
+  const [record, setRecord] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!chapter) return;
+    let cancelled = false;
+    setLoading(true);
+    getChapter(chapter.url).then(result => {
+      if (cancelled) return;
+      setRecord(result || null);
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [chapter?.url, chapter?.status]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') closeReader();
+      else if (e.key === 'ArrowLeft' && readerIndex > 0) openReader(readerIndex - 1);
+      else if (e.key === 'ArrowRight' && readerIndex < chapters.length - 1) openReader(readerIndex + 1);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [readerIndex, chapters.length, openReader, closeReader]);
+
+  if (!chapter) return null;
+
+  // The server's quality review is the only source of warnings (see chapterQuality.js)
+  const reasons = chapter.status === 'review' ? (chapter.review || []) : [];
+  // Chapters sharing the text hash the server reported, to link the duplicates
+  const sameAs = reasons.includes('duplicate') && chapter.textHash
+    ? chapters.reduce((found, c, i) => (i !== readerIndex && c.textHash === chapter.textHash ? [...found, i] : found), [])
+    : [];
+
+  return (
+    <div
+      onClick={closeReader}
+      style={{ position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.6)', zIndex: 50, display: 'flex', justifyContent: 'center', padding: '24px', boxSizing: 'border-box' }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ background: 'white', borderRadius: '12px', width: '100%', maxWidth: '900px', display: 'flex', flexDirection: 'column', overflow: 'hidden', boxShadow: '0 20px 25px -5px rgba(0,0,0,0.2)' }}
+      >
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '12px 16px', borderBottom: '1px solid #e2e8f0', background: '#f8fafc' }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: '12px', color: '#64748b' }}>
+              Chapter {readerIndex + 1} of {chapters.length}
+              {record && ` · ${textLength(record.content).toLocaleString()} characters`}
+            </div>
+            <div style={{ fontWeight: '600', color: '#1e293b', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {chapter.title}
+            </div>
+          </div>
+          <a href={chapter.url} target="_blank" rel="noopener noreferrer" title="Open the original page" style={{ color: '#64748b', display: 'flex' }}>
+            <ExternalLink size={18} />
+          </a>
+          <button onClick={() => openReader(readerIndex - 1)} disabled={readerIndex === 0} style={navButtonStyle}>
+            <ChevronLeft size={16} /> Prev
+          </button>
+          <button onClick={() => openReader(readerIndex + 1)} disabled={readerIndex === chapters.length - 1} style={navButtonStyle}>
+            Next <ChevronRight size={16} />
+          </button>
+          <button onClick={closeReader} title="Close (Esc)" style={{ ...navButtonStyle, border: 'none', padding: '6px' }}>
+            <X size={18} />
+          </button>
+        </div>
+
+        {/* Extraction warnings */}
+        {chapter.status === 'review' && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', padding: '10px 16px', borderBottom: '1px solid #e2e8f0' }}>
+            {reasons.filter(reason => reason !== 'duplicate' || sameAs.length === 0).map(reason => (
+              <div key={reason} style={flagStyle}><AlertTriangle size={16} /> {REVIEW_REASONS[reason] || reason}</div>
+            ))}
+            {sameAs.length > 0 && (
+              <div style={flagStyle}>
+                <AlertTriangle size={16} />
+                <span>
+                  Same text as{' '}
+                  {sameAs.slice(0, 5).map((i, n) => (
+                    <React.Fragment key={i}>
+                      {n > 0 && ', '}
+                      <a href="#" onClick={(e) => { e.preventDefault(); openReader(i); }} style={{ color: '#92400e' }}>chapter {i + 1}</a>
+                    </React.Fragment>
+                  ))}
+                  {sameAs.length > 5 && ` and ${sameAs.length - 5} more`}
+                </span>
+              </div>
+            )}
+            <button onClick={() => markReviewed(readerIndex)} style={{ ...navButtonStyle, alignSelf: 'flex-start' }}>
+              <CheckCircle size={14} /> Looks fine, keep it
+            </button>
+          </div>
+        )}
+
+        {/* Content */}
+        <div style={{ flex: 1, minHeight: 0, display: 'flex' }}>
+          {loading ? (
+            <div style={{ margin: 'auto', color: '#94a3b8' }}>Loading...</div>
+          ) : record ? (
+            <iframe
+              title={chapter.title}
+              sandbox=""
+              srcDoc={readerDocument(record.content)}
+              style={{ flex: 1, border: 'none', width: '100%' }}
+            />
+          ) : (
+            <div style={{ margin: 'auto', color: '#94a3b8', textAlign: 'center', padding: '20px' }}>
+              {chapter.status === 'error' ? 'This chapter failed to download.' : 'This chapter has not been downloaded yet.'}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChapterReader;
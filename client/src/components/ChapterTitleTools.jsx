@@ -0,0 +1,164 @@
+import React, { useMemo } from 'react';
+import { useNovelStore } from '../store/novelStore';
+import { ListOrdered, Wand2, Undo2 } from 'lucide-react';
+import { TITLE_SOURCES, TITLE_FORMATS, normalizeChapterTitles } from 'w2e-shared/chapterTitles.js';
+
+const inputStyle = {
+  padding: '4px 6px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  fontSize: '13px'
+};
+
+const labelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  fontSize: '13px',
+  color: '#475569'
+};
+
+const buttonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '6px 12px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  background: 'white',
+  color: '#334155',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
+
+// Long novels only list the first changes and problems
+const PREVIEW_LIMIT = 50;
+
+const ChapterTitleTools = () => {
+  const chapters = useNovelStore(state => state.chapters);
+  const novelTitle = useNovelStore(state => state.novelMetadata?.title);
+  const titleOptions = useNovelStore(state => state.titleOptions);
+  const setTitleOptions = useNovelStore(state => state.setTitleOptions);
+  const applyChapterTitles = useNovelStore(state => state.applyChapterTitles);
+  const restoreTocTitles = useNovelStore(state => state.restoreTocTitles);
+  const status = useNovelStore(state => state.status);
+  const busy = status === 'FETCHING' || status === 'GENERATING';
+
+  const { titles, issues, renumbered } = useMemo(
+    () => normalizeChapterTitles(chapters, titleOptions, { novelTitle }),
+    [chapters, titleOptions, novelTitle]
+  );
+  const changes = chapters
+    .map((c, i) => ({ index: i, from: c.title, to: titles[i] }))
+    .filter(change => change.from !== change.to);
+  const pageTitles = chapters.filter(c => c.pageTitle).length;
+  const renamed = chapters.some(c => c.tocTitle);
+
+  return (
+    <details style={{ marginBottom: '16px', fontSize: '13px', color: '#475569' }}>
+      <summary style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '600', color: '#334155' }}>
+        <ListOrdered size={16} /> Chapter titles{issues.length > 0 ? ` (${issues.length} numbering problem${issues.length === 1 ? '' : 's'})` : ''}
+      </summary>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '14px', marginTop: '10px' }}>
+        <label style={labelStyle} title="Page headings are captured while chapters download">
+          Titles from
+          <select
+            value={titleOptions.source}
+            disabled={busy}
+            onChange={(e) => setTitleOptions({ source: e.target.value })}
+            style={inputStyle}
+          >
+            {Object.entries(TITLE_SOURCES).map(([id, source]) => (
+              <option key={id} value={id}>
+                {source.label}{id === 'page' ? ` (${pageTitles}/${chapters.length})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Format
+          <select
+            value={titleOptions.format}
+            disabled={busy}
+            onChange={(e) => setTitleOptions({ format: e.target.value })}
+            style={inputStyle}
+          >
+            {Object.entries(TITLE_FORMATS).map(([id, format]) => (
+              <option key={id} value={id}>{format.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle} title={'"Chapter 12 - Chapter 12: The Fall" becomes "Chapter 12: The Fall"'}>
+          <input
+            type="checkbox"
+            checked={titleOptions.stripDuplicates}
+            disabled={busy}
+            onChange={(e) => setTitleOptions({ stripDuplicates: e.target.checked })}
+          />
+          Remove repeated prefixes and the novel title
+        </label>
+        <label style={labelStyle} title="Numbers chapters consecutively; each volume (or restart at 1) keeps its first number">
+          <input
+            type="checkbox"
+            checked={titleOptions.renumber}
+            disabled={busy}
+            onChange={(e) => setTitleOptions({ renumber: e.target.checked })}
+          />
+          Renumber to close gaps
+        </label>
+      </div>
+
+      {issues.length > 0 && (
+        <ul style={{ margin: '10px 0 0', paddingLeft: '18px', color: '#b45309' }}>
+          {issues.slice(0, PREVIEW_LIMIT).map(issue => (
+            <li key={issue.index}>#{issue.index + 1}: {issue.message}</li>
+          ))}
+          {issues.length > PREVIEW_LIMIT && <li>...and {issues.length - PREVIEW_LIMIT} more</li>}
+        </ul>
+      )}
+
+      {renumbered.length > 0 && (
+        <div style={{ marginTop: '10px', color: '#b45309' }}>
+          Renumbering changes {renumbered.length} chapter number{renumbered.length === 1 ? '' : 's'}:{' '}
+          {renumbered.slice(0, PREVIEW_LIMIT).map(r => `#${r.index + 1} ${r.from} → ${r.to}`).join(', ')}
+          {renumbered.length > PREVIEW_LIMIT && ` and ${renumbered.length - PREVIEW_LIMIT} more`}
+        </div>
+      )}
+
+      <div style={{ marginTop: '10px', maxHeight: '220px', overflowY: 'auto', border: '1px solid #e2e8f0', borderRadius: '8px' }}>
+        {changes.length === 0 ? (
+          <div style={{ padding: '8px 10px', color: '#94a3b8' }}>No titles would change.</div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <tbody>
+              {changes.slice(0, PREVIEW_LIMIT).map(change => (
+                <tr key={change.index} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                  <td style={{ padding: '4px 8px', color: '#94a3b8', width: '40px' }}>{change.index + 1}</td>
+                  <td style={{ padding: '4px 8px', color: '#94a3b8', textDecoration: 'line-through' }}>{change.from}</td>
+                  <td style={{ padding: '4px 8px', color: '#334155' }}>{change.to}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      {changes.length > PREVIEW_LIMIT && (
+        <div style={{ marginTop: '4px', color: '#94a3b8' }}>Showing {PREVIEW_LIMIT} of {changes.length} changes.</div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '10px' }}>
+        <button onClick={applyChapterTitles} disabled={busy || changes.length === 0} style={buttonStyle}>
+          <Wand2 size={14} /> Rename {changes.length} chapters
+        </button>
+        {renamed && (
+          <button onClick={restoreTocTitles} disabled={busy} style={buttonStyle} title="Go back to the link text of the table of contents">
+            <Undo2 size={14} /> Restore TOC titles
+          </button>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default ChapterTitleTools;
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { useNovelStore, isDownloaded } from '../store/novelStore';
+import { Crosshair, Eye, Loader2, RefreshCw } from 'lucide-react';
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  fontSize: '12px',
+  fontFamily: 'monospace',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '12px',
+  color: '#64748b',
+  margin: '10px 0 4px'
+};
+
+const buttonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '6px 12px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  background: 'white',
+  color: '#334155',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
+
+// How the server picked the chapter text (quality.strategy)
+const STRATEGY_LABELS = {
+  rules: 'content selector',
+  selector: 'known content block',
+  density: 'text density guess',
+  body: 'whole page',
+  none: 'nothing'
+};
+
+// Minimal page around the extracted XHTML so the preview reads like the EPUB
+const previewDocument = (content) => `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+  body { font-family: Georgia, serif; line-height: 1.6; color: #1e293b; padding: 0 16px; }
+  img { max-width: 100%; }
+</style></head><body>${content}</body></html>`;
+
+const ContentRulesEditor = () => {
+  const contentRules = useNovelStore(state => state.contentRules);
+  const setContentRules = useNovelStore(state => state.setContentRules);
+  const previewChapter = useNovelStore(state => state.previewChapter);
+  const resetDownloadedChapters = useNovelStore(state => state.resetDownloadedChapters);
+  const chapters = useNovelStore(state => state.chapters);
+  const status = useNovelStore(state => state.status);
+
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const busy = status === 'FETCHING' || status === 'GENERATING';
+  const hasRules = Boolean(contentRules.selector.trim() || contentRules.remove.trim() || contentRules.textFilters.trim());
+  const downloadedCount = chapters.filter(c => c.selected && isDownloaded(c)).length;
+  const targetUrl = previewUrl || chapters[0]?.url || '';
+
+  const handlePreview = async () => {
+    if (!targetUrl) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setPreview(await previewChapter(targetUrl));
+    } catch (err) {
+      setPreview(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <details style={{ marginTop: '16px', fontSize: '13px', color: '#475569' }}>
+      <summary style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '600', color: '#334155' }}>
+        <Crosshair size={16} /> Content extraction{hasRules ? ' (custom rules)' : ''}
+      </summary>
+
+      <p style={{ margin: '8px 0 0', color: '#64748b' }}>
+        Use these when chapters come out with sidebars, comments or missing text. Rules apply to chapters downloaded from now on.
+      </p>
+
+      <label style={labelStyle}>Content selector (CSS)</label>
+      <input
+        type="text"
+        value={contentRules.selector}
+        onChange={(e) => setContentRules({ selector: e.target.value })}
+        disabled={busy}
+        spellCheck={false}
+        placeholder="e.g. #chapter-body or div.text-left"
+        style={inputStyle}
+      />
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+        <div style={{ flex: '1 1 200px' }}>
+          <label style={labelStyle}>Also remove (one selector per line)</label>
+          <textarea
+            value={contentRules.remove}
+            onChange={(e) => setContentRules({ remove: e.target.value })}
+            disabled={busy}
+            rows={3}
+            spellCheck={false}
+            placeholder={'.author-note\ndiv.chapter-nav'}
+            style={{ ...inputStyle, resize: 'vertical' }}
+          />
+        </div>
+        <div style={{ flex: '1 1 200px' }}>
+          <label style={labelStyle}>Drop short paragraphs matching (one regex per line)</label>
+          <textarea
+            value={contentRules.textFilters}
+            onChange={(e) => setContentRules({ textFilters: e.target.value })}
+            disabled={busy}
+            rows={3}
+            spellCheck={false}
+            placeholder={'visit .* for the latest\n^sponsored'}
+            style={{ ...inputStyle, resize: 'vertical' }}
+          />
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginTop: '12px' }}>
+        <select
+          value={targetUrl}
+          onChange={(e) => setPreviewUrl(e.target.value)}
+          style={{ ...inputStyle, width: 'auto', maxWidth: '320px', fontFamily: 'inherit' }}
+        >
+          {chapters.map((c, i) => (
+            <option key={c.url} value={c.url}>{i + 1}. {c.title}</option>
+          ))}
+        </select>
+        <button onClick={handlePreview} disabled={loading || !targetUrl} style={buttonStyle}>
+          {loading ? <Loader2 size={14} className="spin" /> : <Eye size={14} />} Preview chapter
+        </button>
+        {downloadedCount > 0 && (
+          <button
+            onClick={resetDownloadedChapters}
+            disabled={busy}
+            style={buttonStyle}
+            title="Mark downloaded chapters as pending so the next download uses the current rules"
+          >
+            <RefreshCw size={14} /> Re-download {downloadedCount} chapters
+          </button>
+        )}
+      </div>
+
+      {error && <div style={{ marginTop: '10px', color: '#ef4444' }}>{error}</div>}
+
+      {preview && (
+        <div style={{ marginTop: '10px' }}>
+          <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
+            {preview.textLength.toLocaleString()} characters extracted
+            {preview.selectorMatches !== null && ` · selector matched ${preview.selectorMatches} element${preview.selectorMatches === 1 ? '' : 's'}`}
+            {preview.quality && ` · found by: ${STRATEGY_LABELS[preview.quality.strategy] || preview.quality.strategy}`}
+            {preview.adapter && ` · site adapter: ${preview.adapter}`}
+            {preview.title && ` · page heading: "${preview.title}"`}
+          </div>
+          {/* Sandboxed: the preview shows remote page content */}
+          <iframe
+            title="Chapter preview"
+            sandbox=""
+            srcDoc={previewDocument(preview.content)}
+            style={{ width: '100%', height: '320px', border: '1px solid #e2e8f0', borderRadius: '8px', background: 'white' }}
+          />
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default ContentRulesEditor;
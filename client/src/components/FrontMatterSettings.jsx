@@ -0,0 +1,99 @@
+import React from 'react';
+import { useNovelStore } from '../store/novelStore';
+import { BookOpen } from 'lucide-react';
+import { NOTE_POSITIONS, MAX_NOTE_LENGTH, hasFrontMatter } from 'w2e-shared/frontMatter.js';
+
+const inputStyle = {
+  padding: '4px 6px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  fontSize: '13px'
+};
+
+const labelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  fontSize: '13px',
+  color: '#475569'
+};
+
+const FrontMatterSettings = () => {
+  const frontMatter = useNovelStore(state => state.frontMatter);
+  const setFrontMatter = useNovelStore(state => state.setFrontMatter);
+  const status = useNovelStore(state => state.status);
+  const disabled = status === 'GENERATING';
+
+  const pages = [
+    frontMatter.titlePage && 'title page',
+    frontMatter.aboutPage && 'about page',
+    frontMatter.note.trim() && 'note'
+  ].filter(Boolean);
+
+  return (
+    <details style={{ marginTop: '16px', fontSize: '13px', color: '#475569' }}>
+      <summary style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '600', color: '#334155' }}>
+        <BookOpen size={16} /> Extra pages: {hasFrontMatter(frontMatter) ? pages.join(', ') : 'none'}
+      </summary>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '14px', marginTop: '10px' }}>
+        <label style={labelStyle} title="Title, author and series on a page of its own (EPUB only; the HTML page always starts with one)">
+          <input
+            type="checkbox"
+            checked={frontMatter.titlePage}
+            disabled={disabled}
+            onChange={(e) => setFrontMatter({ titlePage: e.target.checked })}
+          />
+          Title page
+        </label>
+        <label style={labelStyle} title="Description, status, tags, publisher and the source URL">
+          <input
+            type="checkbox"
+            checked={frontMatter.aboutPage}
+            disabled={disabled}
+            onChange={(e) => setFrontMatter({ aboutPage: e.target.checked })}
+          />
+          "About this book" page
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '14px', marginTop: '12px' }}>
+        <label style={labelStyle}>
+          Note title
+          <input
+            type="text"
+            value={frontMatter.noteTitle}
+            placeholder="Note"
+            disabled={disabled}
+            onChange={(e) => setFrontMatter({ noteTitle: e.target.value })}
+            style={{ ...inputStyle, width: '180px' }}
+          />
+        </label>
+        <label style={labelStyle}>
+          Placed
+          <select
+            value={frontMatter.notePosition}
+            disabled={disabled}
+            onChange={(e) => setFrontMatter({ notePosition: e.target.value })}
+            style={inputStyle}
+          >
+            {Object.entries(NOTE_POSITIONS).map(([id, position]) => (
+              <option key={id} value={id}>{position.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <textarea
+        value={frontMatter.note}
+        onChange={(e) => setFrontMatter({ note: e.target.value })}
+        disabled={disabled}
+        rows={5}
+        maxLength={MAX_NOTE_LENGTH}
+        placeholder="Optional note, e.g. translator credits. Blank lines start a new paragraph."
+        style={{ ...inputStyle, width: '100%', marginTop: '8px', resize: 'vertical', boxSizing: 'border-box', fontFamily: 'inherit' }}
+      />
+    </details>
+  );
+};
+
+export default FrontMatterSettings;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { useNovelStore } from '../store/novelStore';
+import { Image as ImageIcon } from 'lucide-react';
+
+const inputStyle = {
+  width: '70px',
+  padding: '4px 6px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  fontSize: '13px'
+};
+
+const labelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  fontSize: '13px',
+  color: '#475569'
+};
+
+const ImageSettings = () => {
+  const imageOptions = useNovelStore(state => state.imageOptions);
+  const setImageOptions = useNovelStore(state => state.setImageOptions);
+  const status = useNovelStore(state => state.status);
+  const disabled = status === 'GENERATING';
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '14px', marginTop: '16px' }}>
+      <label style={{ ...labelStyle, fontWeight: '600', color: '#334155' }} title="Convert WebP/AVIF to JPEG/PNG, downsize and recompress images in the EPUB">
+        <input
+          type="checkbox"
+          checked={imageOptions.optimize}
+          disabled={disabled}
+          onChange={(e) => setImageOptions({ optimize: e.target.checked })}
+        />
+        <ImageIcon size={16} /> Optimize images
+      </label>
+
+      {imageOptions.optimize && (
+        <>
+          <label style={labelStyle}>
+            Max size
+            <input
+              type="number"
+              min="64"
+              step="100"
+              value={imageOptions.maxDimension}
+              disabled={disabled}
+              onChange={(e) => setImageOptions({ maxDimension: e.target.value })}
+              style={inputStyle}
+            />
+            px
+          </label>
+          <label style={labelStyle}>
+            Quality
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={imageOptions.quality}
+              disabled={disabled}
+              onChange={(e) => setImageOptions({ quality: e.target.value })}
+              style={inputStyle}
+            />
+          </label>
+          <label style={labelStyle} title="Smaller files and better contrast on e-ink readers">
+            <input
+              type="checkbox"
+              checked={imageOptions.grayscale}
+              disabled={disabled}
+              onChange={(e) => setImageOptions({ grayscale: e.target.checked })}
+            />
+            Grayscale
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImageSettings;
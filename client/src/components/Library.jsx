@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { useNovelStore } from '../store/novelStore';
+import { getLibrary, removeLibraryNovel } from '../lib/db';
+import { Library as LibraryIcon, RefreshCw, BookOpen, Trash2 } from 'lucide-react';
+
+const buttonStyle = {
+  fontSize: '12px',
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #cbd5e1',
+  cursor: 'pointer',
+  background: 'white',
+  color: '#334155',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px'
+};
+
+const Library = () => {
+  const status = useNovelStore(state => state.status);
+  const openLibraryNovel = useNovelStore(state => state.openLibraryNovel);
+  const checkForUpdates = useNovelStore(state => state.checkForUpdates);
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    getLibrary().then(setEntries).catch(err => console.error('Failed to load library', err));
+  }, []);
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Remove "${entry.metadata.title}" and its downloaded chapters from the library?`)) return;
+    await removeLibraryNovel(entry.url);
+    setEntries(prev => prev.filter(e => e.url !== entry.url));
+  };
+
+  if (entries.length === 0) return null;
+
+  const busy = status === 'ANALYZING';
+
+  return (
+    <div style={{
+      maxWidth: '600px',
+      width: '100%',
+      marginTop: '24px',
+      background: 'rgba(255, 255, 255, 0.8)',
+      borderRadius: '16px',
+      padding: '20px 24px',
+      boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.05)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '600', color: '#334155', marginBottom: '12px' }}>
+        <LibraryIcon size={18} /> Library ({entries.length})
+      </div>
+
+      {entries.map(entry => (
+        <div key={entry.url} style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+          padding: '10px 0',
+          borderTop: '1px solid #e2e8f0'
+        }}>
+          <div style={{ flex: 1, minWidth: 0, textAlign: 'left' }}>
+            <div style={{ fontWeight: '600', color: '#1e293b', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {entry.metadata.title}
+            </div>
+            <div style={{ fontSize: '12px', color: '#64748b' }}>
+              {entry.chapters.length} chapters · checked {new Date(entry.lastChecked).toLocaleDateString()}
+            </div>
+          </div>
+          <button style={buttonStyle} disabled={busy} onClick={() => openLibraryNovel(entry)} title="Open">
+            <BookOpen size={14} /> Open
+          </button>
+          <button style={buttonStyle} disabled={busy} onClick={() => checkForUpdates(entry)} title="Check for new chapters, download them and rebuild the EPUB">
+            <RefreshCw size={14} /> Update
+          </button>
+          <button style={{ ...buttonStyle, color: '#ef4444' }} disabled={busy} onClick={() => handleRemove(entry)} title="Remove">
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Library;
@@ -0,0 +1,203 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNovelStore } from '../store/novelStore';
+import { Palette, Upload, Trash2 } from 'lucide-react';
+import {
+  THEMES, PARAGRAPH_STYLES, DEFAULT_STYLE_OPTIONS, FONT_MEDIA_TYPES, MAX_FONT_BYTES,
+  buildStylesheet, fontExtension
+} from 'w2e-shared/styles.js';
+import { COVER_STYLES } from 'w2e-shared/coverArt.js';
+
+const inputStyle = {
+  width: '70px',
+  padding: '4px 6px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  fontSize: '13px'
+};
+
+const labelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  fontSize: '13px',
+  color: '#475569'
+};
+
+const buttonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '4px 10px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  background: 'white',
+  color: '#334155',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
+
+const PREVIEW_TEXT = `<h1>Chapter 1</h1>
+<p>The rain had not stopped for three days, and the city below the tower had gone quiet in the way only drowned places do.</p>
+<p>"We leave at dawn," she said, without looking up from the map. Nobody argued.</p>
+<p>By the time the bells rang, the road was already behind them.</p>`;
+
+const previewDocument = (css) => `<!DOCTYPE html><html><head><meta charset="utf-8"><style>${css.replace(/<\/style/gi, '<\\/style')}</style></head><body>${PREVIEW_TEXT}</body></html>`;
+
+const FONT_ACCEPT = Object.keys(FONT_MEDIA_TYPES).map(ext => `.${ext}`).join(',');
+
+const StyleSettings = () => {
+  const styleOptions = useNovelStore(state => state.styleOptions);
+  const setStyleOptions = useNovelStore(state => state.setStyleOptions);
+  const status = useNovelStore(state => state.status);
+  const disabled = status === 'GENERATING';
+  const [fontError, setFontError] = useState(null);
+
+  // The preview loads the embedded font from a blob: URL
+  const fontUrl = useMemo(() => (styleOptions.font
+    ? URL.createObjectURL(new Blob([styleOptions.font.data], { type: FONT_MEDIA_TYPES[fontExtension(styleOptions.font.name)] }))
+    : null), [styleOptions.font]);
+  useEffect(() => () => { if (fontUrl) URL.revokeObjectURL(fontUrl); }, [fontUrl]);
+
+  const isCustomized = Object.keys(DEFAULT_STYLE_OPTIONS).some(key => key !== 'theme' && styleOptions[key] !== DEFAULT_STYLE_OPTIONS[key]);
+
+  const handleFont = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!fontExtension(file.name)) {
+      setFontError(`Pick a ${Object.keys(FONT_MEDIA_TYPES).join(', ')} file.`);
+      return;
+    }
+    if (file.size > MAX_FONT_BYTES) {
+      setFontError(`Fonts are limited to ${MAX_FONT_BYTES / 1024 / 1024} MB.`);
+      return;
+    }
+    setFontError(null);
+    setStyleOptions({ font: { name: file.name, data: await file.arrayBuffer() } });
+  };
+
+  return (
+    <details style={{ marginTop: '16px', fontSize: '13px', color: '#475569' }}>
+      <summary style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '600', color: '#334155' }}>
+        <Palette size={16} /> Book style: {THEMES[styleOptions.theme]?.label}{isCustomized ? ' (customized)' : ''}
+      </summary>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '14px', marginTop: '10px' }}>
+        <label style={labelStyle}>
+          Theme
+          <select
+            value={styleOptions.theme}
+            disabled={disabled}
+            onChange={(e) => setStyleOptions({ theme: e.target.value })}
+            style={{ ...inputStyle, width: 'auto' }}
+          >
+            {Object.entries(THEMES).map(([id, theme]) => (
+              <option key={id} value={id}>{theme.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Paragraphs
+          <select
+            value={styleOptions.paragraphs}
+            disabled={disabled}
+            onChange={(e) => setStyleOptions({ paragraphs: e.target.value })}
+            style={{ ...inputStyle, width: 'auto' }}
+          >
+            {Object.entries(PARAGRAPH_STYLES).map(([id, style]) => (
+              <option key={id} value={id}>{style.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle} title="Relative to the reader's default size; empty keeps the theme's">
+          Font size
+          <input
+            type="number"
+            min="50"
+            max="300"
+            step="5"
+            value={styleOptions.fontSize}
+            placeholder="100"
+            disabled={disabled}
+            onChange={(e) => setStyleOptions({ fontSize: e.target.value })}
+            style={inputStyle}
+          />
+          %
+        </label>
+        <label style={labelStyle} title="Empty keeps the theme's">
+          Line height
+          <input
+            type="number"
+            min="1"
+            max="3"
+            step="0.1"
+            value={styleOptions.lineHeight}
+            placeholder="1.6"
+            disabled={disabled}
+            onChange={(e) => setStyleOptions({ lineHeight: e.target.value })}
+            style={inputStyle}
+          />
+        </label>
+        <label style={labelStyle} title="Used when the novel has no cover">
+          Generated cover
+          <select
+            value={styleOptions.coverStyle}
+            disabled={disabled}
+            onChange={(e) => setStyleOptions({ coverStyle: e.target.value })}
+            style={{ ...inputStyle, width: 'auto' }}
+          >
+            {Object.entries(COVER_STYLES).map(([id, style]) => (
+              <option key={id} value={id}>{style.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+        <span>Embedded font:</span>
+        {styleOptions.font ? (
+          <>
+            <strong style={{ color: '#334155' }}>{styleOptions.font.name}</strong>
+            <span style={{ color: '#94a3b8' }}>({Math.round(styleOptions.font.data.byteLength / 1024)} KB)</span>
+            <button onClick={() => setStyleOptions({ font: null })} disabled={disabled} style={buttonStyle} title="Remove the font">
+              <Trash2 size={14} />
+            </button>
+          </>
+        ) : (
+          <label style={{ ...buttonStyle, opacity: disabled ? 0.5 : 1 }} title="TTF, OTF, WOFF or WOFF2; used for the body text">
+            <Upload size={14} /> Choose font file
+            <input type="file" accept={FONT_ACCEPT} disabled={disabled} onChange={handleFont} style={{ display: 'none' }} />
+          </label>
+        )}
+        {fontError && <span style={{ color: '#ef4444' }}>{fontError}</span>}
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '12px' }}>
+        <div style={{ flex: '1 1 240px' }}>
+          <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '4px' }}>Custom CSS (added after the theme)</div>
+          <textarea
+            value={styleOptions.customCss}
+            onChange={(e) => setStyleOptions({ customCss: e.target.value })}
+            disabled={disabled}
+            rows={7}
+            spellCheck={false}
+            placeholder={'p { text-align: left; }\nh1 { font-variant: small-caps; }'}
+            style={{ ...inputStyle, width: '100%', fontSize: '12px', fontFamily: 'monospace', resize: 'vertical', boxSizing: 'border-box' }}
+          />
+        </div>
+        <div style={{ flex: '1 1 240px' }}>
+          <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '4px' }}>Preview</div>
+          {/* No scripts; same origin only so the font's blob: URL loads */}
+          <iframe
+            title="Book style preview"
+            sandbox="allow-same-origin"
+            srcDoc={previewDocument(buildStylesheet(styleOptions, fontUrl))}
+            style={{ width: '100%', height: '150px', border: '1px solid #e2e8f0', borderRadius: '8px', background: 'white' }}
+          />
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default StyleSettings;
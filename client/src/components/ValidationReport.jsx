@@ -0,0 +1,89 @@
+import React, { useEffect } from 'react';
+import { XHTML_ISSUES } from 'w2e-shared/validation.js';
+import { useNovelStore } from '../store/novelStore';
+import { ShieldAlert, AlertOctagon, Wrench, Download, X } from 'lucide-react';
+
+const buttonStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '8px 14px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  background: 'white',
+  color: '#334155',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
+
+const describeIssues = (issues) => Object.entries(issues)
+  .map(([code, count]) => `${count} ${XHTML_ISSUES[code] || code}`)
+  .join(', ');
+
+// Report of the EPUB check (see w2e-shared/validation.js), shown before the files are downloaded
+const ValidationReport = () => {
+  const files = useNovelStore(state => state.validationFiles);
+  const downloadValidatedFiles = useNovelStore(state => state.downloadValidatedFiles);
+  const dismissValidationFiles = useNovelStore(state => state.dismissValidationFiles);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') dismissValidationFiles(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [dismissValidationFiles]);
+
+  const checked = files.filter(f => f.validation);
+  const problemCount = checked.reduce((sum, f) => sum + f.validation.problems.length, 0);
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.6)', zIndex: 50, display: 'flex', justifyContent: 'center', alignItems: 'center', padding: '24px', boxSizing: 'border-box' }}>
+      <div style={{ background: 'white', borderRadius: '12px', width: '100%', maxWidth: '720px', maxHeight: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden', boxShadow: '0 20px 25px -5px rgba(0,0,0,0.2)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '12px 16px', borderBottom: '1px solid #e2e8f0', background: '#f8fafc' }}>
+          <ShieldAlert size={20} color={problemCount > 0 ? '#ef4444' : '#f59e0b'} />
+          <div style={{ flex: 1, fontWeight: '600', color: '#1e293b' }}>EPUB check</div>
+          <button onClick={dismissValidationFiles} title="Cancel (Esc)" style={{ ...buttonStyle, border: 'none', padding: '6px' }}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '12px 16px', fontSize: '13px', color: '#475569' }}>
+          <p style={{ margin: '0 0 12px' }}>
+            {problemCount > 0
+              ? 'Some problems could not be fixed automatically and may stop strict readers (Kobo, Apple Books) from opening the book.'
+              : 'The chapters below had markup that strict readers reject. It has been repaired in the generated file; check them in the reader if the text looks off.'}
+          </p>
+
+          {checked.map(file => (
+            <div key={file.name} style={{ marginBottom: '16px' }}>
+              {files.length > 1 && <div style={{ fontWeight: '600', color: '#334155', marginBottom: '6px' }}>{file.name}</div>}
+
+              {file.validation.problems.map((problem, i) => (
+                <div key={i} style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', color: '#b91c1c', marginBottom: '4px' }}>
+                  <AlertOctagon size={14} style={{ flexShrink: 0, marginTop: '2px' }} /> {problem}
+                </div>
+              ))}
+
+              {file.validation.chapters.map(chapter => (
+                <div key={chapter.href} style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', marginBottom: '4px' }}>
+                  <Wrench size={14} color="#b45309" style={{ flexShrink: 0, marginTop: '2px' }} />
+                  <span>
+                    <strong style={{ color: '#1e293b' }}>{chapter.title}</strong>: {describeIssues(chapter.issues)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', padding: '12px 16px', borderTop: '1px solid #e2e8f0' }}>
+          <button onClick={dismissValidationFiles} style={buttonStyle}>Cancel</button>
+          <button onClick={downloadValidatedFiles} style={{ ...buttonStyle, background: '#7c3aed', borderColor: '#7c3aed', color: 'white' }}>
+            <Download size={14} /> Download{problemCount > 0 ? ' anyway' : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
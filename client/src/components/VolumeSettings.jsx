@@ -0,0 +1,111 @@
+import React from 'react';
+import { useNovelStore } from '../store/novelStore';
+import { Layers } from 'lucide-react';
+
+const inputStyle = {
+  width: '70px',
+  padding: '4px 6px',
+  border: '1px solid #cbd5e1',
+  borderRadius: '6px',
+  fontSize: '13px'
+};
+
+const labelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  fontSize: '13px',
+  color: '#475569'
+};
+
+const VolumeSettings = () => {
+  const splitOptions = useNovelStore(state => state.splitOptions);
+  const setSplitOptions = useNovelStore(state => state.setSplitOptions);
+  const status = useNovelStore(state => state.status);
+  const hasTocVolumes = useNovelStore(state => state.chapters.some(c => c.volume));
+  const outputFormat = useNovelStore(state => state.outputFormat);
+  const disabled = status === 'GENERATING';
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '14px', marginTop: '12px' }}>
+      <label style={{ ...labelStyle, fontWeight: '600', color: '#334155' }} title="Large EPUBs are slow or fail to open on many readers">
+        <Layers size={16} /> Volumes
+        <select
+          value={splitOptions.mode}
+          disabled={disabled}
+          onChange={(e) => setSplitOptions({ mode: e.target.value })}
+          style={{ ...inputStyle, width: 'auto', fontWeight: 'normal' }}
+        >
+          <option value="none">Single EPUB</option>
+          <option value="count">Split by chapter count</option>
+          <option value="headings">Split at volume headings</option>
+          <option value="size">Split by size</option>
+        </select>
+      </label>
+
+      {splitOptions.mode === 'count' && (
+        <label style={labelStyle}>
+          <input
+            type="number"
+            min="1"
+            step="50"
+            value={splitOptions.chaptersPerVolume}
+            disabled={disabled}
+            onChange={(e) => setSplitOptions({ chaptersPerVolume: e.target.value })}
+            style={inputStyle}
+          />
+          chapters per volume
+        </label>
+      )}
+
+      {splitOptions.mode === 'headings' && (
+        <span style={{ fontSize: '12px', color: '#64748b' }}>
+          {hasTocVolumes
+            ? 'One EPUB per volume found on the table of contents'
+            : 'A new volume starts when chapter titles change "Volume/Book/Arc N"'}
+        </span>
+      )}
+
+      {splitOptions.mode === 'size' && (
+        <label style={labelStyle} title="Chapter text before compression; images are not counted">
+          Up to
+          <input
+            type="number"
+            min="1"
+            value={splitOptions.maxSizeMb}
+            disabled={disabled}
+            onChange={(e) => setSplitOptions({ maxSizeMb: e.target.value })}
+            style={inputStyle}
+          />
+          MB of text per volume
+        </label>
+      )}
+
+      {splitOptions.mode !== 'none' && (
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={splitOptions.delivery === 'zip'}
+            disabled={disabled}
+            onChange={(e) => setSplitOptions({ delivery: e.target.checked ? 'zip' : 'separate' })}
+          />
+          One zip instead of separate downloads
+        </label>
+      )}
+
+      {hasTocVolumes && outputFormat === 'epub' && (
+        <label style={labelStyle} title="Chapters are always grouped by volume in the table of contents">
+          <input
+            type="checkbox"
+            checked={splitOptions.volumePages}
+            disabled={disabled}
+            onChange={(e) => setSplitOptions({ volumePages: e.target.checked })}
+          />
+          Title page before each volume
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default VolumeSettings;
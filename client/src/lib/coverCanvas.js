@@ -0,0 +1,50 @@
+import { coverLayout, coverSvg, COVER_WIDTH, COVER_HEIGHT } from 'w2e-shared/coverArt.js';
+
+const TEXT_ALIGN = { start: 'left', middle: 'center' };
+
+function paint(ctx, layout) {
+  for (const item of layout) {
+    if (item.type === 'text') {
+      ctx.font = `${item.weight} ${item.size}px ${item.family}`;
+      ctx.fillStyle = item.color;
+      ctx.textAlign = TEXT_ALIGN[item.anchor] || 'left';
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillText(item.text, item.x, item.y);
+      continue;
+    }
+    if (item.gradient) {
+      const gradient = ctx.createLinearGradient(0, item.y, 0, item.y + item.h);
+      gradient.addColorStop(0, item.gradient[0]);
+      gradient.addColorStop(1, item.gradient[1]);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(item.x, item.y, item.w, item.h);
+    } else if (item.fill) {
+      ctx.fillStyle = item.fill;
+      ctx.fillRect(item.x, item.y, item.w, item.h);
+    }
+    if (item.stroke) {
+      ctx.strokeStyle = item.stroke;
+      ctx.lineWidth = item.strokeWidth || 1;
+      ctx.strokeRect(item.x, item.y, item.w, item.h);
+    }
+  }
+}
+
+/**
+ * Generated cover for a novel without one (see w2e-shared/coverArt.js), as { data, mediaType }.
+ * Painted to a JPEG on an OffscreenCanvas; browsers without canvas support in workers get the SVG.
+ */
+export async function generateCover(novel, style) {
+  const layout = coverLayout(novel, style);
+  if (typeof OffscreenCanvas !== 'undefined') {
+    try {
+      const canvas = new OffscreenCanvas(COVER_WIDTH, COVER_HEIGHT);
+      paint(canvas.getContext('2d'), layout);
+      const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.9 });
+      return { data: await blob.arrayBuffer(), mediaType: 'image/jpeg' };
+    } catch (e) {
+      console.warn('Worker: canvas cover failed, using SVG', e);
+    }
+  }
+  return { data: new TextEncoder().encode(coverSvg(layout)), mediaType: 'image/svg+xml' };
+}
@@ -1,17 +1,37 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'WebToEpubDB';
+const DB_VERSION = 4;
 const STORE_NAME = 'chapters';
+const LIBRARY_STORE = 'library';
+const STYLE_STORE = 'styles';
+const EXTRAS_STORE = 'extras';
 
-// Initialize IndexedDB
+let dbPromise = null;
+
+// Initialize IndexedDB (one shared connection per page/worker)
 export const initDB = async () => {
-  return openDB(DB_NAME, 1, {
+  if (dbPromise) return dbPromise;
+  dbPromise = openDB(DB_NAME, DB_VERSION, {
     upgrade(db) {
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         db.createObjectStore(STORE_NAME, { keyPath: 'url' });
       }
+      // v2: saved novels, keyed by TOC URL
+      if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+        db.createObjectStore(LIBRARY_STORE, { keyPath: 'url' });
+      }
+      // v3: book styling per novel (theme, typography, embedded font), keyed by TOC URL
+      if (!db.objectStoreNames.contains(STYLE_STORE)) {
+        db.createObjectStore(STYLE_STORE, { keyPath: 'url' });
+      }
+      // v4: local cover image and front matter pages per novel, keyed by TOC URL
+      if (!db.objectStoreNames.contains(EXTRAS_STORE)) {
+        db.createObjectStore(EXTRAS_STORE, { keyPath: 'url' });
+      }
     },
   });
+  return dbPromise;
 };
 
 export const saveChapter = async (chapterData) => {
@@ -28,12 +48,97 @@ export const getAllChaptersContent = async (urls) => {
   const db = await initDB();
   const tx = db.transaction(STORE_NAME, 'readonly');
   const store = tx.objectStore(STORE_NAME);
-  
+
   const results = await Promise.all(urls.map(url => store.get(url)));
   return results.filter(Boolean);
 };
 
+/**
+ * Returns the subset of `urls` that already have content stored.
+ */
+export const getDownloadedUrls = async (urls) => {
+  const db = await initDB();
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  const keys = await Promise.all(urls.map(url => tx.store.getKey(url)));
+  return new Set(keys.filter(Boolean));
+};
+
+/**
+ * Removes downloaded chapters, except those belonging to novels saved in the library.
+ */
 export const clearChapters = async () => {
   const db = await initDB();
-  await db.clear(STORE_NAME);
+  const library = await db.getAll(LIBRARY_STORE);
+  const keep = new Set(library.flatMap(novel => novel.chapters.map(c => c.url)));
+
+  if (keep.size === 0) {
+    await db.clear(STORE_NAME);
+    return;
+  }
+
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  let cursor = await tx.store.openKeyCursor();
+  while (cursor) {
+    if (!keep.has(cursor.key)) await tx.store.delete(cursor.key);
+    cursor = await cursor.continue();
+  }
+  await tx.done;
+};
+
+// --- Library ---
+
+export const saveLibraryNovel = async (entry) => {
+  const db = await initDB();
+  await db.put(LIBRARY_STORE, entry);
+};
+
+export const getLibraryNovel = async (url) => {
+  const db = await initDB();
+  return db.get(LIBRARY_STORE, url);
+};
+
+export const getLibrary = async () => {
+  const db = await initDB();
+  const entries = await db.getAll(LIBRARY_STORE);
+  return entries.sort((a, b) => (b.lastChecked || 0) - (a.lastChecked || 0));
+};
+
+// --- Book styling ---
+
+export const saveNovelStyle = async (url, options) => {
+  const db = await initDB();
+  await db.put(STYLE_STORE, { url, options });
+};
+
+export const getNovelStyle = async (url) => {
+  const db = await initDB();
+  return (await db.get(STYLE_STORE, url))?.options || null;
+};
+
+// --- Local cover and front matter ---
+
+export const saveNovelExtras = async (url, { cover, frontMatter }) => {
+  const db = await initDB();
+  await db.put(EXTRAS_STORE, { url, cover, frontMatter });
+};
+
+export const getNovelExtras = async (url) => {
+  const db = await initDB();
+  return db.get(EXTRAS_STORE, url);
+};
+
+/**
+ * Deletes a saved novel together with its downloaded chapters, styling, cover and front matter.
+ */
+export const removeLibraryNovel = async (url) => {
+  const db = await initDB();
+  const entry = await db.get(LIBRARY_STORE, url);
+  const tx = db.transaction([LIBRARY_STORE, STORE_NAME, STYLE_STORE, EXTRAS_STORE], 'readwrite');
+  await tx.objectStore(LIBRARY_STORE).delete(url);
+  await tx.objectStore(STYLE_STORE).delete(url);
+  await tx.objectStore(EXTRAS_STORE).delete(url);
+  if (entry) {
+    await Promise.all(entry.chapters.map(c => tx.objectStore(STORE_NAME).delete(c.url)));
+  }
+  await tx.done;
 };
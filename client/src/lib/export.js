@@ -0,0 +1,50 @@
+import { saveAs } from 'file-saver';
+
+// EPUB files carry the worker's validation report ({ chapters, problems }, see assembleEpub)
+export const hasValidationIssues = (file) => Boolean(file.validation && (file.validation.chapters.length > 0 || file.validation.problems.length > 0));
+
+// One download per volume unless they were bundled
+export const downloadFiles = (files) => files.forEach(file => saveAs(file.blob, file.name));
+
+/**
+ * Wrapper to offload book generation to a Web Worker. Options:
+ * `format` is a key of EXPORT_FORMATS (exporters/formats.js): epub, html, markdown, txt or cbz.
+ * `imageOptions` ({ optimize, maxDimension, quality, grayscale }) are passed to the image proxy.
+ * `split` ({ mode, chaptersPerVolume, maxBytes, delivery, volumePages }, see w2e-shared/volumes.js)
+ * turns a long novel into several volumes, downloaded one by one or as a zip.
+ * `style` picks the theme, typography and embedded font (see w2e-shared/styles.js).
+ * `extras` ({ cover, frontMatter }) carries a local cover image, used instead of novel.cover,
+ * and the front matter pages (see w2e-shared/frontMatter.js).
+ * Each finished file ({ blob, name, validation? }) is handed to `onFile` as soon as the worker posts
+ * it, so callers can download volumes one by one instead of holding them all.
+ * Resolves with the worker's report ({ optimized, originalBytes, bytesSaved, imagesFailed, imagesOverBudget, volumes? }).
+ */
+export async function exportNovel(novel, { format = 'epub', imageOptions = null, split = null, style = null, extras = null, onFile = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    // Create worker using Vite's URL handling for workers
+    const worker = new Worker(new URL('./export.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (e) => {
+      const { file, success, report, error } = e.data;
+      if (file) {
+        onFile(file);
+        return;
+      }
+      if (success) {
+        worker.terminate();
+        resolve(report);
+      } else {
+        worker.terminate();
+        reject(new Error(error || 'Unknown worker error'));
+      }
+    };
+
+    worker.onerror = (err) => {
+      worker.terminate();
+      reject(err);
+    };
+
+    // Send data
+    worker.postMessage({ novel, format, imageOptions, splitOptions: split, styleOptions: style, extras });
+  });
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+import JSZip from 'jszip';
+import { splitIntoVolumes } from 'w2e-shared/volumes.js';
+import { normalizeSeries } from 'w2e-shared/metadata.js';
+import { getChapter } from './db';
+import { EXPORTERS } from './exporters';
+import { EXPORT_FORMATS } from './exporters/formats';
+import { generateCover } from './coverCanvas';
+
+// Every finished file is posted as { file: { blob, name, validation? } }; the last message is { success, report }
+self.onmessage = async (e) => {
+  const { novel, format, imageOptions, splitOptions, styleOptions, extras } = e.data;
+  try {
+    const report = await generateBooks(novel, format, imageOptions, splitOptions, styleOptions, extras);
+    self.postMessage({ success: true, report });
+  } catch (err) {
+    self.postMessage({ success: false, error: err.message });
+  }
+};
+
+const fileTitle = (title) => (title || 'Untitled').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+
+/**
+ * Image loaders going through the server proxy. With optimization enabled the proxy
+ * converts/recompresses each image and reports the size change in response headers.
+ */
+function createImageLoaders(imageOptions) {
+  const report = { optimized: 0, originalBytes: 0, bytesSaved: 0, imagesFailed: 0, imagesOverBudget: 0 };
+  const params = new URLSearchParams();
+  if (imageOptions?.optimize) {
+    params.set('optimize', '1');
+    params.set('maxDimension', imageOptions.maxDimension);
+    params.set('quality', imageOptions.quality);
+    if (imageOptions.grayscale) params.set('grayscale', '1');
+  }
+
+  async function fetchImage(url) {
+    params.set('url', url);
+    const response = await fetch(`/api/proxy-image?${params}`);
+    if (!response.ok) return null;
+
+    const originalBytes = response.headers.get('X-Original-Bytes');
+    if (originalBytes !== null) {
+      report.optimized++;
+      report.originalBytes += Number(originalBytes);
+      report.bytesSaved += Number(response.headers.get('X-Bytes-Saved')) || 0;
+    }
+    return {
+      data: await response.arrayBuffer(),
+      mediaType: response.headers.get('Content-Type') || ''
+    };
+  }
+
+  async function fetchCover(coverUrl) {
+    if (!coverUrl) return null;
+    try {
+      const image = await fetchImage(coverUrl);
+      if (image) return { ...image, mediaType: image.mediaType.split(';')[0] || 'image/jpeg' };
+    } catch (e) {
+      console.warn('Worker: Failed to embed cover:', e);
+    }
+    return null;
+  }
+
+  return { fetchCover, fetchImage, report };
+}
+
+// Chapter bodies come straight from IDB, one at a time
+const loadChapter = async (chapterMeta) => {
+  const record = await getChapter(chapterMeta.url);
+  return record?.content || null;
+};
+
+/**
+ * Builds one book in `format` (see exporters/), or one per volume when splitOptions.mode is set
+ * (see volumes.js). Volumes are built one after the other and posted as soon as they are done, so
+ * only one book is held in memory at a time, unless they are bundled into a single zip
+ * (splitOptions.delivery === 'zip'). Files with EPUB check findings wait on the page for the report.
+ */
+async function generateBooks(novel, format, imageOptions, splitOptions, styleOptions, extras) {
+  const exporter = EXPORTERS[format];
+  const { extension, images, compressed, styled } = EXPORT_FORMATS[format] || {};
+  if (!exporter) throw new Error(`Unknown export format: ${format}`);
+
+  const loaders = createImageLoaders(imageOptions);
+  // A cover picked from disk wins over the one on the site
+  let cover = images ? (extras?.cover || await loaders.fetchCover(novel.cover)) : null;
+  // Books (not comics) without a usable cover get a generated one
+  if (!cover && styled) cover = await generateCover(novel, styleOptions?.coverStyle);
+
+  const mode = splitOptions?.mode || 'none';
+  let sizes = null;
+  if (mode === 'size') {
+    // Chapter text sizes (UTF-8, as stored in the book) decide the split; this reads every chapter once up front
+    const encoder = new TextEncoder();
+    sizes = new Map();
+    for (const chapter of novel.chapters) {
+      const record = await getChapter(chapter.url);
+      sizes.set(chapter.url, record?.content ? encoder.encode(record.content).length : 0);
+    }
+  }
+  const context = {
+    loadChapter,
+    cover,
+    fetchImage: loaders.fetchImage,
+    volumePages: Boolean(splitOptions?.volumePages),
+    style: styleOptions,
+    frontMatter: extras?.frontMatter,
+    report: loaders.report
+  };
+  const volumes = splitIntoVolumes(novel.chapters, { ...splitOptions, mode, sizeOf: (chapter) => sizes?.get(chapter.url) || 0 });
+
+  // Only EPUB fills the validation report; other formats post none
+  const build = async (book) => {
+    const validation = {};
+    const blob = await exporter(book, { ...context, validation });
+    return { blob, validation: validation.chapters ? validation : undefined };
+  };
+
+  if (volumes.length <= 1) {
+    const { blob, validation } = await build(novel);
+    self.postMessage({ file: { blob, name: `${fileTitle(novel.title)}.${extension}`, validation } });
+    return loaders.report;
+  }
+
+  const bundle = splitOptions.delivery === 'zip' ? new JSZip() : null;
+  const bundledValidation = [];
+  // Heading splits can start past 1 ("Volume 3"), so pad to the highest number
+  const digits = String(volumes[volumes.length - 1].number).length;
+  // A novel the user put in a series stays in it (the title names the volume); otherwise its volumes form one
+  const ownSeries = normalizeSeries(novel.series);
+  for (const volume of volumes) {
+    const volumeNovel = {
+      ...novel,
+      title: `${novel.title} Vol ${volume.number}`,
+      chapters: volume.chapters,
+      series: ownSeries || { name: novel.title, index: volume.number },
+      volumeNumber: volume.number
+    };
+    const { blob, validation } = await build(volumeNovel);
+    const name = `${fileTitle(novel.title)}_vol_${String(volume.number).padStart(digits, '0')}.${extension}`;
+    // EPUB and CBZ files are already compressed
+    if (bundle) {
+      bundle.file(name, blob, { compression: compressed ? 'STORE' : 'DEFLATE' });
+      if (validation) bundledValidation.push({ name, ...validation });
+    } else {
+      self.postMessage({ file: { blob, name, validation } });
+    }
+  }
+
+  if (bundle) {
+    const blob = await bundle.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+    // One report for the zip: chapters and problems of every volume, prefixed with its file name
+    const validation = bundledValidation.length === 0 ? undefined : {
+      chapters: bundledValidation.flatMap(v => v.chapters.map(c => ({ ...c, href: `${v.name}/${c.href}` }))),
+      problems: bundledValidation.flatMap(v => v.problems.map(p => `${v.name}: ${p}`))
+    };
+    self.postMessage({ file: { blob, name: `${fileTitle(novel.title)}_volumes.zip`, validation } });
+  }
+  return { ...loaders.report, volumes: volumes.length };
+}
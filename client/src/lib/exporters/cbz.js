@@ -0,0 +1,76 @@
+import JSZip from 'jszip';
+import { xmlEscape } from 'w2e-shared/xml.js';
+import { normalizeLanguage, normalizeTags, normalizeSeries } from 'w2e-shared/metadata.js';
+import { imageSources } from './xhtml';
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif'
+};
+
+// ComicInfo.xml is the de-facto CBZ metadata file (ComicRack, Kavita, Komga, KOReader...)
+const comicInfo = (novel, pageCount) => {
+  const series = normalizeSeries(novel.series);
+  const tags = normalizeTags(novel.tags);
+  const language = normalizeLanguage(novel.language);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <Title>${xmlEscape(novel.title)}</Title>
+  ${series ? `<Series>${xmlEscape(series.name)}</Series>\n  <Volume>${series.index}</Volume>` : `<Series>${xmlEscape(novel.title)}</Series>`}
+  <Writer>${xmlEscape(novel.author || 'Unknown')}</Writer>
+  <Summary>${xmlEscape(novel.description)}</Summary>
+  ${novel.publisher ? `<Publisher>${xmlEscape(novel.publisher)}</Publisher>` : ''}
+  ${tags.length ? `<Genre>${xmlEscape(tags.join(', '))}</Genre>` : ''}
+  ${novel.source ? `<Web>${xmlEscape(novel.source)}</Web>` : ''}
+  ${language ? `<LanguageISO>${language}</LanguageISO>` : ''}
+  <PageCount>${pageCount}</PageCount>
+</ComicInfo>`;
+};
+
+/**
+ * Image-only books (webcomics): every chapter image in reading order, text is dropped.
+ * Pages are named <chapter>_<page> so readers that sort by file name keep the order.
+ */
+export async function buildCbz(novel, { loadChapter, cover, fetchImage, report }) {
+  const zip = new JSZip();
+  const chapterDigits = Math.max(3, String(novel.chapters.length).length);
+  let pageCount = 0;
+
+  if (cover) {
+    const ext = IMAGE_EXTENSIONS[cover.mediaType] || 'jpg';
+    zip.file(`${'0'.repeat(chapterDigits)}_cover.${ext}`, cover.data);
+    pageCount++;
+  }
+
+  for (let i = 0; i < novel.chapters.length; i++) {
+    const chapterMeta = novel.chapters[i];
+    const content = await loadChapter(chapterMeta, i);
+    const sources = imageSources(content);
+    const pageDigits = Math.max(3, String(sources.length).length);
+
+    for (let page = 0; page < sources.length; page++) {
+      try {
+        const image = await fetchImage(sources[page]);
+        const ext = image && IMAGE_EXTENSIONS[image.mediaType.split(';')[0].trim()];
+        if (!ext) { report.imagesFailed++; continue; }
+        const chapterNumber = String(i + 1).padStart(chapterDigits, '0');
+        zip.file(`${chapterNumber}_${String(page + 1).padStart(pageDigits, '0')}.${ext}`, image.data);
+        pageCount++;
+      } catch (e) {
+        console.warn(`CBZ export: failed to download ${sources[page]}`, e);
+        report.imagesFailed++;
+      }
+    }
+  }
+
+  if (pageCount === (cover ? 1 : 0)) {
+    throw new Error('No images found in the downloaded chapters. CBZ is meant for image-only comics.');
+  }
+
+  zip.file('ComicInfo.xml', comicInfo(novel, pageCount));
+  // Images are already compressed
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.comicbook+zip', compression: 'STORE' });
+}
@@ -0,0 +1,26 @@
+import JSZip from 'jszip';
+import { assembleEpub } from 'w2e-shared/epub.js';
+
+export async function buildEpub(novel, { loadChapter, cover, fetchImage, volumePages, style, frontMatter, validation = {}, report }) {
+  const zip = await assembleEpub(new JSZip(), novel, {
+    cover,
+    images: { fetchImage },
+    volumePages,
+    style,
+    frontMatter,
+    validation,
+    // The server parser ensures strict XHTML compliance, content comes straight from IDB
+    loadChapter
+  });
+  if (report && validation.images) {
+    report.imagesFailed += validation.images.failed + validation.images.unsupported;
+    report.imagesOverBudget += validation.images.overBudget;
+  }
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/epub+zip',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 5 }
+  });
+}
@@ -0,0 +1,18 @@
+/**
+ * Output formats offered on the Novel page. Kept apart from the exporters themselves
+ * so the UI doesn't pull JSZip and the templates into the main bundle.
+ *
+ *   images      chapter images are downloaded (and optimized when enabled)
+ *   compressed  the file is already a zip, so volume bundles store it as-is
+ *   styled      the book styling (theme, typography, font) applies
+ *   frontMatter the title/about/note pages (w2e-shared/frontMatter.js) are added
+ */
+export const EXPORT_FORMATS = {
+  epub: { label: 'EPUB', extension: 'epub', images: true, compressed: true, styled: true, frontMatter: true },
+  html: { label: 'Single-file HTML', extension: 'html', images: true, compressed: false, styled: true, frontMatter: true },
+  markdown: { label: 'Markdown', extension: 'md', images: false, compressed: false },
+  txt: { label: 'Plain text', extension: 'txt', images: false, compressed: false },
+  cbz: { label: 'CBZ (image comics)', extension: 'cbz', images: true, compressed: true }
+};
+
+export const DEFAULT_EXPORT_FORMAT = 'epub';
@@ -0,0 +1,141 @@
+import { DEFAULT_MAX_IMAGE_BYTES } from 'w2e-shared/epub.js';
+import { xmlEscape } from 'w2e-shared/xml.js';
+import { buildStylesheet, fontExtension, FONT_MEDIA_TYPES } from 'w2e-shared/styles.js';
+import { normalizeLanguage, normalizeTags, DEFAULT_LANGUAGE } from 'w2e-shared/metadata.js';
+import { frontMatterPages } from 'w2e-shared/frontMatter.js';
+import { decodeEntities } from './xhtml';
+
+const IMG_SRC_REGEX = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])(.*?)\2/gi;
+
+// Page layout; the book stylesheet (and its custom CSS) comes after it
+const HTML_CSS = `
+    body { max-width: 42em; margin: 0 auto; }
+    .title-page { text-align: center; margin: 2em 0 3em; }
+    .title-page img { max-height: 60vh; }
+    h1.volume-title { margin-top: 2em; }
+    nav ol { line-height: 1.8; }
+    section.chapter { margin-top: 4em; }
+  `;
+
+// Worker-only: FileReaderSync turns the image bytes into a data: URI in one step
+const dataUri = ({ data, mediaType }) => new FileReaderSync().readAsDataURL(new Blob([data], { type: mediaType }));
+
+/**
+ * Images become data: URIs so the page works offline. Past the size budget (or when a
+ * download fails) the original URL is kept.
+ */
+function createImageInliner(fetchImage, report) {
+  const inlined = new Map();
+  let bytes = 0;
+
+  async function inline(url) {
+    if (inlined.has(url)) return inlined.get(url);
+    let src = url;
+    try {
+      const image = await fetchImage(url);
+      const mediaType = image?.mediaType.split(';')[0].trim();
+      if (image && mediaType.startsWith('image/') && bytes + image.data.byteLength <= DEFAULT_MAX_IMAGE_BYTES) {
+        bytes += image.data.byteLength;
+        src = dataUri({ data: image.data, mediaType });
+      } else if (!image) {
+        report.imagesFailed++;
+      }
+    } catch (e) {
+      report.imagesFailed++;
+      console.warn(`HTML export: failed to inline ${url}`, e);
+    }
+    inlined.set(url, src);
+    return src;
+  }
+
+  return async (contentHtml) => {
+    const urls = new Set();
+    for (const match of contentHtml.matchAll(IMG_SRC_REGEX)) {
+      const url = decodeEntities(match[3]);
+      if (/^https?:\/\//i.test(url)) urls.add(url);
+    }
+    for (const url of urls) await inline(url);
+    return contentHtml.replace(IMG_SRC_REGEX, (tag, prefix, quote, raw) => {
+      const src = inlined.get(decodeEntities(raw));
+      return src ? `${prefix}${quote}${src}${quote}` : tag;
+    });
+  };
+}
+
+const tocItem = (e) => {
+  const children = e.children?.length ? `<ol>${e.children.map(tocItem).join('')}</ol>` : '';
+  return `<li><a href="#${e.id}">${xmlEscape(e.title)}</a>${children}</li>`;
+};
+
+/**
+ * Single-file HTML: title page, linked table of contents (nested by volume) and every
+ * chapter in one page, images embedded. The header already is the title page, so of the
+ * front matter only the about page and the note are added.
+ */
+export async function buildHtml(novel, { loadChapter, cover, fetchImage, style, frontMatter, report }) {
+  const inlineImages = createImageInliner(fetchImage, report);
+  const sections = [];
+  const toc = [];
+  let volumeEntry = null;
+
+  const extraPages = frontMatterPages(novel, frontMatter).filter(page => page.toc);
+  const addPage = (page) => {
+    toc.push({ id: page.id, title: page.title });
+    sections.push(`<section class="chapter" id="${page.id}">\n${page.body}\n</section>\n`);
+  };
+  extraPages.filter(page => page.position === 'front').forEach(addPage);
+
+  for (let i = 0; i < novel.chapters.length; i++) {
+    const chapterMeta = novel.chapters[i];
+    const title = chapterMeta.title || `Chapter ${i + 1}`;
+
+    if (chapterMeta.volume && chapterMeta.volume !== volumeEntry?.title) {
+      volumeEntry = { id: `volume-${toc.filter(e => e.children).length + 1}`, title: chapterMeta.volume, children: [] };
+      toc.push(volumeEntry);
+      sections.push(`<h1 class="volume-title" id="${volumeEntry.id}">${xmlEscape(volumeEntry.title)}</h1>\n`);
+    }
+
+    let contentHtml = '<p>Content missing.</p>';
+    try {
+      const content = await loadChapter(chapterMeta, i);
+      if (content) contentHtml = await inlineImages(content);
+    } catch (e) {
+      console.error(`Failed to load content for ${title}`, e);
+    }
+
+    const id = `chapter-${i + 1}`;
+    (volumeEntry ? volumeEntry.children : toc).push({ id, title });
+    sections.push(`<section class="chapter" id="${id}">\n<h1>${xmlEscape(title)}</h1>\n${contentHtml}\n</section>\n`);
+  }
+  extraPages.filter(page => page.position === 'end').forEach(addPage);
+
+  const fontSrc = style?.font ? dataUri({ data: style.font.data, mediaType: FONT_MEDIA_TYPES[fontExtension(style.font.name)] }) : null;
+  // Custom CSS must not end the <style> element early
+  const css = `${HTML_CSS}${buildStylesheet(style || undefined, fontSrc)}`.replace(/<\/style/gi, '<\\/style');
+
+  const tags = normalizeTags(novel.tags);
+  const head = `<!DOCTYPE html>
+<html lang="${normalizeLanguage(novel.language) || DEFAULT_LANGUAGE}">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>${xmlEscape(novel.title)}</title>
+<style>${css}</style>
+</head>
+<body>
+<header class="title-page">
+${cover ? `<img src="${dataUri(cover)}" alt="Cover"/>` : ''}
+<h1>${xmlEscape(novel.title)}</h1>
+${novel.author ? `<p>by <strong>${xmlEscape(novel.author)}</strong></p>` : ''}
+${novel.status || tags.length ? `<p><small>${xmlEscape([novel.status, ...tags].filter(Boolean).join(' · '))}</small></p>` : ''}
+${novel.description ? `<p>${xmlEscape(novel.description)}</p>` : ''}
+</header>
+<nav id="toc">
+<h2>Table of Contents</h2>
+<ol>${toc.map(tocItem).join('\n')}</ol>
+</nav>
+`;
+
+  // Blob parts avoid building one giant string for long novels
+  return new Blob([head, ...sections, '</body>\n</html>\n'], { type: 'text/html;charset=utf-8' });
+}
@@ -0,0 +1,20 @@
+import { buildEpub } from './epub';
+import { buildHtml } from './html';
+import { buildMarkdown, buildPlainText } from './text';
+import { buildCbz } from './cbz';
+
+/**
+ * Exporters by format id (see formats.js for labels and file extensions).
+ * Each one is async (novel, context) => Blob, where context is
+ * { loadChapter, cover, fetchImage, volumePages, style, report, validation } and `novel.chapters` are
+ * IDB references ({ url, title, volume }), loaded one at a time through loadChapter.
+ * `style` holds the theme and typography options (w2e-shared/styles.js), used by EPUB and HTML.
+ * `validation` is an empty object per file that EPUB fills (see assembleEpub).
+ */
+export const EXPORTERS = {
+  epub: buildEpub,
+  html: buildHtml,
+  markdown: buildMarkdown,
+  txt: buildPlainText,
+  cbz: buildCbz
+};
@@ -0,0 +1,31 @@
+import { xhtmlToText } from './xhtml';
+
+/**
+ * Markdown or plain text (for text-to-speech pipelines): one document, chapters in
+ * reading order under their volume headings.
+ */
+async function buildText(novel, { loadChapter }, markdown) {
+  const heading = (level, text) => (markdown ? `${'#'.repeat(level)} ${text}` : text);
+  const parts = [heading(1, novel.title)];
+  if (novel.author) parts.push(markdown ? `*by ${novel.author}*` : `by ${novel.author}`);
+  if (novel.description) parts.push(novel.description);
+
+  let currentVolume = null;
+  for (let i = 0; i < novel.chapters.length; i++) {
+    const chapterMeta = novel.chapters[i];
+    if (chapterMeta.volume && chapterMeta.volume !== currentVolume) {
+      currentVolume = chapterMeta.volume;
+      parts.push(heading(2, currentVolume));
+    }
+    const title = chapterMeta.title || `Chapter ${i + 1}`;
+    const content = await loadChapter(chapterMeta, i);
+    parts.push(heading(currentVolume ? 3 : 2, title));
+    parts.push(content ? xhtmlToText(content, { markdown }) : 'Content missing.');
+  }
+
+  const mimeType = markdown ? 'text/markdown' : 'text/plain';
+  return new Blob([parts.join('\n\n') + '\n'], { type: `${mimeType};charset=utf-8` });
+}
+
+export const buildMarkdown = (novel, context) => buildText(novel, context, true);
+export const buildPlainText = (novel, context) => buildText(novel, context, false);
@@ -0,0 +1,130 @@
+/**
+ * xhtml.js - Turns the parser's chapter XHTML into plain text or Markdown.
+ * Workers have no DOMParser, so this walks the tags with a regex; the input is the
+ * server's own well-formed output (p, h1-h6, lists, blockquote, em/strong, a, img, br, hr).
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', copy: '©', reg: '®', trade: '™', middot: '·', bull: '•'
+};
+
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    try { return String.fromCodePoint(point); } catch (e) { return entity; }
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const TOKEN_REGEX = /<(\/?)([a-z][a-z0-9]*)\b([^>]*?)(\/?)>|<!--[\s\S]*?-->|([^<]+)/gi;
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ul', 'ol', 'blockquote', 'pre', 'table', 'tr', 'figure', 'figcaption']);
+const HEADING_REGEX = /^h([1-6])$/;
+
+const attribute = (attrs, name) => {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`, 'i').exec(attrs);
+  return match ? decodeEntities(match[2]) : '';
+};
+
+/**
+ * Absolute `src` of every image in a chapter, in reading order.
+ */
+export function imageSources(html) {
+  const sources = [];
+  (html || '').replace(/<img\b([^>]*?)\/?>/gi, (tag, attrs) => {
+    const src = attribute(attrs, 'src');
+    if (/^https?:\/\//i.test(src)) sources.push(src);
+    return tag;
+  });
+  return sources;
+}
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+
+/**
+ * @param {string} html - Chapter XHTML
+ * @param {Object} [options] - { markdown: true } keeps headings, emphasis, links, lists, quotes and images
+ * @returns {string} Paragraphs separated by blank lines
+ */
+export function xhtmlToText(html, { markdown = false } = {}) {
+  const blocks = [];
+  const lists = []; // { ordered, count } per open list
+  const links = [];
+  let line = '';
+  let quoteDepth = 0;
+  let heading = 0;
+  let listItem = null;
+
+  const flush = () => {
+    const text = line.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    line = '';
+    if (!text) return;
+    let prefix = '';
+    if (markdown && heading) prefix = `${'#'.repeat(heading)} `;
+    else if (listItem) prefix = listItem.marker;
+    const quote = markdown ? '> '.repeat(quoteDepth) : '';
+    const indented = text.split('\n').map((row, i) => quote + (i === 0 ? prefix : ' '.repeat(prefix.length)) + row).join('\n');
+    blocks.push(indented);
+    // Later paragraphs of the same list item line up under its text
+    if (listItem) listItem = { marker: ' '.repeat(listItem.marker.length) };
+  };
+
+  for (const match of (html || '').matchAll(TOKEN_REGEX)) {
+    const [, closing, rawTag, attrs, selfClosing, text] = match;
+    if (text !== undefined) {
+      const decoded = decodeEntities(text.replace(/\s+/g, ' '));
+      line += markdown ? escapeMarkdown(decoded) : decoded;
+      continue;
+    }
+    if (!rawTag) continue; // comment
+    const tag = rawTag.toLowerCase();
+
+    if (tag === 'br') { line += '\n'; continue; }
+    if (tag === 'img') {
+      const src = attribute(attrs, 'src');
+      if (markdown && src) line += `![${escapeMarkdown(attribute(attrs, 'alt'))}](${src})`;
+      continue;
+    }
+    if (tag === 'hr') {
+      if (!closing) { flush(); blocks.push(markdown ? '---' : '* * *'); }
+      continue;
+    }
+    // Empty elements (<a id="note"/>, <p/>) carry no text
+    if (selfClosing) continue;
+
+    if (markdown && (tag === 'em' || tag === 'i')) { line += '*'; continue; }
+    if (markdown && (tag === 'strong' || tag === 'b')) { line += '**'; continue; }
+    if (markdown && tag === 'a') {
+      if (closing) {
+        const href = links.pop();
+        if (href) line += `](${href})`;
+      } else {
+        const href = attribute(attrs, 'href');
+        links.push(/^https?:\/\//i.test(href) ? href : null);
+        if (links[links.length - 1]) line += '[';
+      }
+      continue;
+    }
+
+    if (!BLOCK_TAGS.has(tag)) continue;
+    flush();
+    const level = HEADING_REGEX.exec(tag);
+    if (level) heading = closing ? 0 : Number(level[1]);
+    else if (tag === 'blockquote') quoteDepth += closing ? -1 : 1;
+    else if (tag === 'ul' || tag === 'ol') {
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === 'ol', count: 0 });
+    } else if (tag === 'li') {
+      const list = lists[lists.length - 1];
+      if (closing || !list) listItem = null;
+      else {
+        list.count++;
+        const indent = '  '.repeat(lists.length - 1);
+        listItem = { marker: `${indent}${list.ordered ? `${list.count}.` : '-'} ` };
+      }
+    }
+  }
+  flush();
+  return blocks.join('\n\n');
+}
@@ -3,10 +3,16 @@ import { useNavigate } from 'react-router-dom';
 import { useNovelStore } from '../store/novelStore';
 import { BookOpen, Search, Loader2, XCircle, AlertTriangle } from 'lucide-react';
 import { validateNovelUrl } from '../utils/validators';
+import Library from '../components/Library';
 
 const Home = () => {
   const navigate = useNavigate();
-  const { url, setUrl, analyzeNovel, status, error, reset } = useNovelStore();
+  const { 
+    url, setUrl, analyzeNovel, status, error, reset,
+    crawlMode, setCrawlMode, chainOptions, setChainOptions,
+    bypassCache, setBypassCache, fetchOptions, setFetchOptions,
+    cookies, setCookies
+  } = useNovelStore();
   
   const [localError, setLocalError] = useState(null);
   const [isTouched, setIsTouched] = useState(false);
@@ -52,9 +58,15 @@ const Home = () => {
     e.preventDefault();
     setIsTouched(true);
     
-    if (handleValidation(url)) {
-      await analyzeNovel();
+    if (!handleValidation(url)) return;
+    if (crawlMode === 'chain' && chainOptions.endUrl) {
+      const { isValid, error } = validateNovelUrl(chainOptions.endUrl);
+      if (!isValid) {
+        setLocalError(`End URL: ${error}`);
+        return;
+      }
     }
+    await analyzeNovel();
   };
 
   return (
@@ -104,14 +116,16 @@ const Home = () => {
           lineHeight: '1.6'
         }}>
           Transform online novels into polished EPUB books.<br/>
-          <span style={{ fontSize: '0.9em', opacity: 0.8 }}>Paste the Table of Contents URL to begin.</span>
+          <span style={{ fontSize: '0.9em', opacity: 0.8 }}>
+            {crawlMode === 'chain' ? 'Paste the first chapter URL to begin.' : 'Paste the Table of Contents URL to begin.'}
+          </span>
         </p>
 
         <form onSubmit={handleSubmit} style={{ position: 'relative', marginBottom: '24px' }}>
           <div style={{ position: 'relative' }}>
             <input
               type="url"
-              placeholder="https://example.com/novel-name/toc"
+              placeholder={crawlMode === 'chain' ? 'https://example.com/novel-name/chapter-1' : 'https://example.com/novel-name/toc'}
               value={url}
               onChange={handleChange}
               onBlur={handleBlur}
@@ -184,6 +198,100 @@ const Home = () => {
             </div>
           </div>
 
+          {/* Crawl Mode: TOC scan or follow "Next Chapter" links */}
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', marginTop: '16px' }}>
+            {[['toc', 'Table of Contents'], ['chain', 'Follow Next Links']].map(([mode, label]) => (
+              <button
+                key={mode}
+                type="button"
+                onClick={() => setCrawlMode(mode)}
+                disabled={status === 'ANALYZING'}
+                className={`mode-button ${crawlMode === mode ? 'active' : ''}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <label
+            style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '6px', marginTop: '10px', fontSize: '13px', color: '#64748b' }}
+            title="Pages fetched recently are served from the server cache. Tick to download everything again."
+          >
+            <input
+              type="checkbox"
+              checked={bypassCache}
+              onChange={(e) => setBypassCache(e.target.checked)}
+              disabled={status === 'ANALYZING'}
+            />
+            Ignore cached pages
+          </label>
+
+          <label
+            style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '13px', color: '#64748b' }}
+            title="For sites that build chapters with JavaScript or show a browser check first. Slower."
+          >
+            <input
+              type="checkbox"
+              checked={fetchOptions.fetcher === 'browser'}
+              onChange={(e) => setFetchOptions({ fetcher: e.target.checked ? 'browser' : 'http' })}
+              disabled={status === 'ANALYZING'}
+            />
+            Render pages in a headless browser
+          </label>
+
+          {fetchOptions.fetcher === 'browser' && (
+            <input
+              type="text"
+              placeholder="Wait for chapter content selector, e.g. #chapter-body (optional)"
+              value={fetchOptions.waitForSelector}
+              onChange={(e) => setFetchOptions({ waitForSelector: e.target.value })}
+              disabled={status === 'ANALYZING'}
+              className="chain-input"
+              style={{ width: '100%', marginTop: '10px', boxSizing: 'border-box' }}
+            />
+          )}
+
+          {crawlMode === 'chain' && (
+            <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+              <input
+                type="number"
+                min="1"
+                placeholder="Max chapters"
+                value={chainOptions.maxChapters}
+                onChange={(e) => setChainOptions({ maxChapters: e.target.value })}
+                disabled={status === 'ANALYZING'}
+                className="chain-input"
+                style={{ width: '140px' }}
+              />
+              <input
+                type="url"
+                placeholder="Stop at chapter URL (optional)"
+                value={chainOptions.endUrl}
+                onChange={(e) => setChainOptions({ endUrl: e.target.value })}
+                disabled={status === 'ANALYZING'}
+                className="chain-input"
+                style={{ flex: 1 }}
+              />
+            </div>
+          )}
+
+          <details style={{ marginTop: '12px', fontSize: '13px', color: '#64748b', textAlign: 'left' }}>
+            <summary style={{ cursor: 'pointer', textAlign: 'center' }}>
+              Cookies for login-only chapters{cookies.trim() ? ' (set)' : ''}
+            </summary>
+            <textarea
+              value={cookies}
+              onChange={(e) => setCookies(e.target.value)}
+              disabled={status === 'ANALYZING'}
+              rows={4}
+              spellCheck={false}
+              autoComplete="off"
+              placeholder={'Paste a Cookie header (name=value; name2=value2) or the contents of a cookies.txt export.\nOnly kept for this session.'}
+              className="chain-input"
+              style={{ width: '100%', marginTop: '8px', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: '12px', resize: 'vertical' }}
+            />
+          </details>
+
           {/* Error Message */}
           {(localError || error) && (
             <div style={{ 
@@ -213,6 +321,8 @@ const Home = () => {
            <span>EPUB v3</span>
         </div>
       </div>
+
+      <Library />
       
       <style>{`
         .spin {
@@ -226,6 +336,29 @@ const Home = () => {
           from { opacity: 0; transform: translateY(10px); }
           to { opacity: 1; transform: translateY(0); }
         }
+        .mode-button {
+          font-size: 13px;
+          padding: 6px 14px;
+          border-radius: 999px;
+          border: 1px solid #cbd5e1;
+          background: white;
+          color: #64748b;
+          cursor: pointer;
+        }
+        .mode-button.active {
+          background: #2563eb;
+          border-color: #2563eb;
+          color: white;
+        }
+        .chain-input {
+          padding: 10px 14px;
+          font-size: 14px;
+          border-radius: 10px;
+          border: 1px solid #cbd5e1;
+          outline: none;
+          background: white;
+          color: #1e293b;
+        }
         input:focus {
           border-color: #2563eb !important;
           box-shadow: 0 0 0 4px rgba(37, 99, 235, 0.1) !important;
@@ -1,12 +1,53 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useNovelStore } from '../store/novelStore';
+import { useNovelStore, isDownloaded } from '../store/novelStore';
 import { 
   ArrowLeft, Download, FileText, CheckCircle, 
-  PlayCircle, Pencil, Save, X, Loader2 
+  PlayCircle, Pencil, Save, X, Loader2, BookmarkPlus, Bookmark, Info, Library as SeriesIcon,
+  Upload, Trash2
 } from 'lucide-react';
 import LogViewer from '../components/LogViewer';
 import ChapterList from '../components/ChapterList';
+import ChapterTitleTools from '../components/ChapterTitleTools';
+import ImageSettings from '../components/ImageSettings';
+import VolumeSettings from '../components/VolumeSettings';
+import ContentRulesEditor from '../components/ContentRulesEditor';
+import StyleSettings from '../components/StyleSettings';
+import FrontMatterSettings from '../components/FrontMatterSettings';
+import ChapterReader from '../components/ChapterReader';
+import ValidationReport from '../components/ValidationReport';
+import { EXPORT_FORMATS } from '../lib/exporters/formats';
+import { normalizeLanguage, normalizeTags, normalizeSeries, DEFAULT_LANGUAGE } from 'w2e-shared/metadata.js';
+import { coverLayout, coverSvg, COVER_MEDIA_TYPES, MAX_COVER_BYTES, coverMediaType } from 'w2e-shared/coverArt.js';
+
+// Preview of the cover generated for novels without one (the export paints the same layout)
+const generatedCoverUrl = (novel, style) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(coverSvg(coverLayout(novel, style)))}`;
+
+const COVER_ACCEPT = Object.keys(COVER_MEDIA_TYPES).map(ext => `.${ext}`).join(',');
+
+// Edit form values for the novel metadata (see w2e-shared/metadata.js); tags are edited as one string
+const formFromMetadata = (metadata) => ({
+  title: metadata.title || '',
+  author: metadata.author || '',
+  description: metadata.description || '',
+  cover: metadata.cover || '',
+  tags: (metadata.tags || []).join(', '),
+  status: metadata.status || '',
+  language: metadata.language || DEFAULT_LANGUAGE,
+  publisher: metadata.publisher || '',
+  seriesName: metadata.series?.name || '',
+  seriesIndex: metadata.series?.index ?? '',
+  identifier: metadata.identifier || ''
+});
+
+const META_FIELDS = [
+  { name: 'status', label: 'Status', placeholder: 'Ongoing' },
+  { name: 'language', label: 'Language', placeholder: DEFAULT_LANGUAGE },
+  { name: 'publisher', label: 'Publisher', placeholder: 'Site name' },
+  { name: 'seriesName', label: 'Series', placeholder: 'None' },
+  { name: 'seriesIndex', label: 'Number in series', placeholder: '1', type: 'number' },
+  { name: 'identifier', label: 'Identifier', placeholder: 'Automatic (from the URL)' }
+];
 
 const Novel = () => {
   const navigate = useNavigate();
@@ -19,27 +60,33 @@ const Novel = () => {
     startGeneration, 
     progress, 
     reset,
-    updateMetadata
+    updateMetadata,
+    inLibrary,
+    saveToLibrary,
+    readerIndex,
+    outputFormat,
+    setOutputFormat,
+    validationFiles,
+    localCover,
+    setLocalCover
   } = store;
 
   const [isEditing, setIsEditing] = useState(false);
-  const [editForm, setEditForm] = useState({
-    title: '',
-    author: '',
-    description: '',
-    cover: ''
-  });
+  const [editForm, setEditForm] = useState(() => formFromMetadata({}));
+  const [editError, setEditError] = useState(null);
+  const [coverError, setCoverError] = useState(null);
+
+  // A cover picked from disk is shown from a blob: URL
+  const localCoverUrl = useMemo(() => (localCover
+    ? URL.createObjectURL(new Blob([localCover.data], { type: localCover.mediaType }))
+    : null), [localCover]);
+  useEffect(() => () => { if (localCoverUrl) URL.revokeObjectURL(localCoverUrl); }, [localCoverUrl]);
 
   useEffect(() => {
     if (!novelMetadata) {
       navigate('/');
     } else {
-      setEditForm({
-        title: novelMetadata.title || '',
-        author: novelMetadata.author || '',
-        description: novelMetadata.description || '',
-        cover: novelMetadata.cover || ''
-      });
+      setEditForm(formFromMetadata(novelMetadata));
     }
   }, [novelMetadata, navigate]);
 
@@ -47,7 +94,7 @@ const Novel = () => {
 
   // Safe access to chapters in case store hasn't initialized it
   const safeChapters = chapters || [];
-  const downloadedCount = safeChapters.filter(c => c.status === 'success').length;
+  const downloadedCount = safeChapters.filter(isDownloaded).length;
   const totalChapters = safeChapters.length;
 
   const handleBack = () => {
@@ -58,20 +105,47 @@ const Novel = () => {
   };
 
   const handleSaveEdit = () => {
-    updateMetadata(editForm);
+    const language = editForm.language.trim() ? normalizeLanguage(editForm.language) : DEFAULT_LANGUAGE;
+    if (!language) {
+      setEditError('Language must be a language code such as "en", "es" or "pt-BR".');
+      return;
+    }
+    const { seriesName, seriesIndex, tags, ...fields } = editForm;
+    updateMetadata({
+      ...fields,
+      language,
+      tags: normalizeTags(tags),
+      series: normalizeSeries({ name: seriesName, index: seriesIndex }),
+      identifier: editForm.identifier.trim()
+    });
+    setEditError(null);
     setIsEditing(false);
   };
 
   const handleCancelEdit = () => {
-    setEditForm({
-      title: novelMetadata.title || '',
-      author: novelMetadata.author || '',
-      description: novelMetadata.description || '',
-      cover: novelMetadata.cover || ''
-    });
+    setEditForm(formFromMetadata(novelMetadata));
+    setEditError(null);
     setIsEditing(false);
   };
 
+  // Applied right away (like the book style), not on Save
+  const handleCoverFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const mediaType = coverMediaType(file.name);
+    if (!mediaType) {
+      setCoverError(`Pick a ${Object.keys(COVER_MEDIA_TYPES).join(', ')} image.`);
+      return;
+    }
+    if (file.size > MAX_COVER_BYTES) {
+      setCoverError(`Cover images are limited to ${MAX_COVER_BYTES / 1024 / 1024} MB.`);
+      return;
+    }
+    setCoverError(null);
+    setLocalCover({ name: file.name, data: await file.arrayBuffer(), mediaType });
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setEditForm(prev => ({ ...prev, [name]: value }));
@@ -93,7 +167,9 @@ const Novel = () => {
           
           {/* Left Column: Cover */}
           <div className="cover-column">
-            {editForm.cover ? (
+            {localCoverUrl ? (
+              <img src={localCoverUrl} alt="Cover" className="cover-image" />
+            ) : editForm.cover ? (
               <img 
                 src={editForm.cover} 
                 alt="Cover" 
@@ -101,8 +177,13 @@ const Novel = () => {
                 onError={(e) => { e.target.src = 'https://via.placeholder.com/160x240?text=Error'; }}
               />
             ) : (
-              <div className="cover-placeholder">
-                No Cover
+              <div className="cover-generated">
+                <img
+                  src={generatedCoverUrl(isEditing ? editForm : novelMetadata, store.styleOptions.coverStyle)}
+                  alt="Generated cover"
+                  className="cover-image"
+                />
+                <span>Generated cover</span>
               </div>
             )}
             
@@ -116,6 +197,21 @@ const Novel = () => {
                 className="cover-input"
               />
             )}
+            {isEditing && (
+              <div className="cover-file">
+                {localCover ? (
+                  <button onClick={() => setLocalCover(null)} className="cover-file-button" title={`Remove ${localCover.name} and use the cover URL`}>
+                    <Trash2 size={14} /> Remove file
+                  </button>
+                ) : (
+                  <label className="cover-file-button" title="JPEG, PNG, GIF or WebP; used instead of the cover URL">
+                    <Upload size={14} /> Upload image
+                    <input type="file" accept={COVER_ACCEPT} onChange={handleCoverFile} style={{ display: 'none' }} />
+                  </label>
+                )}
+                {coverError && <span className="edit-error">{coverError}</span>}
+              </div>
+            )}
           </div>
 
           {/* Right Column: Info */}
@@ -123,6 +219,16 @@ const Novel = () => {
             
             {/* Toolbar */}
             <div className="toolbar">
+              {!isEditing && (
+                <button
+                  onClick={() => saveToLibrary()}
+                  disabled={inLibrary}
+                  className={`edit-button ${inLibrary ? 'disabled' : ''}`}
+                  title={inLibrary ? 'Saved in library' : 'Save to library to check for new chapters later'}
+                >
+                  {inLibrary ? <><Bookmark size={16} /> In Library</> : <><BookmarkPlus size={16} /> Save to Library</>}
+                </button>
+              )}
               {!isEditing ? (
                 <button 
                   onClick={() => setIsEditing(true)}
@@ -183,6 +289,35 @@ const Novel = () => {
                       className="description-input"
                     />
                   </div>
+                  <div>
+                    <label className="field-label">Tags (comma separated)</label>
+                    <input
+                      type="text"
+                      name="tags"
+                      value={editForm.tags}
+                      onChange={handleInputChange}
+                      placeholder="Fantasy, Adventure"
+                      className="meta-input"
+                    />
+                  </div>
+                  <div className="meta-grid">
+                    {META_FIELDS.map(field => (
+                      <div key={field.name}>
+                        <label className="field-label">{field.label}</label>
+                        <input
+                          type={field.type || 'text'}
+                          name={field.name}
+                          value={editForm[field.name]}
+                          onChange={handleInputChange}
+                          placeholder={field.placeholder}
+                          min={field.type === 'number' ? '0' : undefined}
+                          step={field.type === 'number' ? 'any' : undefined}
+                          className="meta-input"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  {editError && <div className="edit-error">{editError}</div>}
                 </div>
               ) : (
                 <>
@@ -196,6 +331,18 @@ const Novel = () => {
                       <FileText size={18} />
                       <span>{totalChapters} Chapters</span>
                     </div>
+                    {novelMetadata.status && (
+                      <div className="stat-item">
+                        <Info size={18} />
+                        <span>{novelMetadata.status}</span>
+                      </div>
+                    )}
+                    {novelMetadata.series?.name && (
+                      <div className="stat-item">
+                        <SeriesIcon size={18} />
+                        <span>{novelMetadata.series.name} #{novelMetadata.series.index}</span>
+                      </div>
+                    )}
                     {status === 'COMPLETED' && (
                       <div className="stat-item success">
                         <CheckCircle size={18} />
@@ -204,6 +351,12 @@ const Novel = () => {
                     )}
                   </div>
 
+                  {novelMetadata.tags?.length > 0 && (
+                    <div className="novel-tags">
+                      {novelMetadata.tags.map(tag => <span key={tag} className="novel-tag">{tag}</span>)}
+                    </div>
+                  )}
+
                   <div className="novel-description">
                     {novelMetadata.description || 'No description available.'}
                   </div>
@@ -225,17 +378,36 @@ const Novel = () => {
                 )}
 
                 {(status === 'COMPLETED' || (status === 'READY' && downloadedCount > 0)) && (
-                  <button 
-                    onClick={startGeneration}
-                    disabled={status === 'GENERATING'}
-                    className="generate-button"
-                  >
-                    <Download size={18} /> 
-                    {status === 'GENERATING' ? 'Building EPUB...' : 'Generate EPUB'}
-                  </button>
+                  <>
+                    <select
+                      value={outputFormat}
+                      onChange={(e) => setOutputFormat(e.target.value)}
+                      disabled={status === 'GENERATING'}
+                      className="format-select"
+                      title="Output format"
+                    >
+                      {Object.entries(EXPORT_FORMATS).map(([id, format]) => (
+                        <option key={id} value={id}>{format.label}</option>
+                      ))}
+                    </select>
+                    <button 
+                      onClick={startGeneration}
+                      disabled={status === 'GENERATING'}
+                      className="generate-button"
+                    >
+                      <Download size={18} /> 
+                      {status === 'GENERATING' ? `Building ${EXPORT_FORMATS[outputFormat].label}...` : `Generate ${EXPORT_FORMATS[outputFormat].label}`}
+                    </button>
+                  </>
                 )}
               </div>
             )}
+
+            {!isEditing && EXPORT_FORMATS[outputFormat].images && <ImageSettings />}
+            {!isEditing && <VolumeSettings />}
+            {!isEditing && EXPORT_FORMATS[outputFormat].styled && <StyleSettings />}
+            {!isEditing && EXPORT_FORMATS[outputFormat].frontMatter && <FrontMatterSettings />}
+            {!isEditing && <ContentRulesEditor />}
           </div>
         </div>
 
@@ -258,6 +430,7 @@ const Novel = () => {
       <div className="main-content">
         {/* Chapter List Section */}
         <div className="content-panel">
+          <ChapterTitleTools />
           <ChapterList />
         </div>
 
@@ -267,6 +440,9 @@ const Novel = () => {
         </div>
       </div>
 
+      {readerIndex !== null && <ChapterReader />}
+      {validationFiles && <ValidationReport />}
+
       <style>{`
         .novel-container {
           max-width: 1200px;
@@ -314,23 +490,21 @@ const Novel = () => {
           flex-shrink: 0;
         }
 
-        .cover-image, .cover-placeholder {
+        .cover-image {
           width: 160px;
           height: 240px;
           border-radius: 8px;
-        }
-
-        .cover-image {
           object-fit: cover;
           box-shadow: 0 4px 6px rgba(0,0,0,0.1);
           background: #f1f5f9;
         }
 
-        .cover-placeholder {
-          background: #e2e8f0;
+        .cover-generated {
           display: flex;
+          flex-direction: column;
           align-items: center;
-          justify-content: center;
+          gap: 4px;
+          font-size: 12px;
           color: #94a3b8;
         }
 
@@ -343,6 +517,27 @@ const Novel = () => {
           box-sizing: border-box;
         }
 
+        .cover-file {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 12px;
+        }
+
+        .cover-file-button {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 6px;
+          padding: 5px 8px;
+          border: 1px solid #cbd5e1;
+          border-radius: 6px;
+          background: white;
+          color: #334155;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
         .info-column {
           flex: 1;
           display: flex;
@@ -353,6 +548,7 @@ const Novel = () => {
         .toolbar {
           display: flex;
           justify-content: flex-end;
+          gap: 10px;
           margin-bottom: 10px;
         }
 
@@ -453,6 +649,42 @@ const Novel = () => {
           box-sizing: border-box;
         }
 
+        .meta-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+          gap: 12px;
+        }
+
+        .meta-input {
+          width: 100%;
+          padding: 6px 10px;
+          border: 1px solid #cbd5e1;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          color: #334155;
+          box-sizing: border-box;
+        }
+
+        .edit-error {
+          color: #ef4444;
+          font-size: 0.9rem;
+        }
+
+        .novel-tags {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          margin-bottom: 16px;
+        }
+
+        .novel-tag {
+          background: #f1f5f9;
+          color: #475569;
+          border-radius: 999px;
+          padding: 2px 10px;
+          font-size: 0.8rem;
+        }
+
         .novel-title {
           margin: 0 0 10px 0;
           font-size: 2rem;
@@ -537,6 +769,15 @@ const Novel = () => {
           gap: 8px;
         }
 
+        .format-select {
+          padding: 9px 10px;
+          border: 1px solid #cbd5e1;
+          border-radius: 6px;
+          background: white;
+          color: #334155;
+          font-size: 14px;
+        }
+
         .progress-card {
           background: white;
           padding: 16px;
@@ -606,7 +847,7 @@ const Novel = () => {
             flex-direction: column;
             width: 100%;
           }
-          .fetch-button, .generate-button {
+          .fetch-button, .generate-button, .format-select {
             width: 100%;
             justify-content: center;
           }
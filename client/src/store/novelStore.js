@@ -1,7 +1,15 @@
 import { create } from 'zustand';
-import { generateEpub } from '../lib/epub';
+import { exportNovel, downloadFiles, hasValidationIssues } from '../lib/export';
+import { EXPORT_FORMATS, DEFAULT_EXPORT_FORMAT } from '../lib/exporters/formats';
+import { DEFAULT_STYLE_OPTIONS } from 'w2e-shared/styles.js';
+import { DEFAULT_FRONT_MATTER } from 'w2e-shared/frontMatter.js';
+import { DEFAULT_TITLE_OPTIONS, normalizeChapterTitles } from 'w2e-shared/chapterTitles.js';
 import { io } from 'socket.io-client';
-import { saveChapter, clearChapters } from '../lib/db';
+import { 
+  saveChapter, clearChapters, getDownloadedUrls, 
+  saveLibraryNovel, getLibraryNovel, saveNovelStyle, getNovelStyle,
+  saveNovelExtras, getNovelExtras
+} from '../lib/db';
 
 const API_URL = import.meta.env.VITE_API_URL || '';
 
@@ -11,29 +19,196 @@ const generateUUID = () => {
   return Math.random().toString(36).substring(2) + Date.now().toString(36);
 };
 
+// 'http' is plain requests; 'browser' renders pages in headless Chromium on the server
+const DEFAULT_FETCH_OPTIONS = { fetcher: 'http', waitForSelector: '' };
+
+// 'review' chapters were downloaded but the server flagged the extraction (chapter.review holds the reasons)
+export const isDownloaded = (chapter) => chapter.status === 'success' || chapter.status === 'review';
+
+// Manual overrides for chapter extraction: a CSS selector for the text, plus removal
+// selectors and regex text filters (one per line) applied on top of the server heuristics
+const DEFAULT_CONTENT_RULES = { selector: '', remove: '', textFilters: '' };
+
+// Book styling is saved per novel URL; typing in the custom CSS box shouldn't rewrite the font on every key
+const STYLE_SAVE_DELAY = 500;
+let styleSaveTimer = null;
+const loadNovelStyle = async (url) => ({ ...DEFAULT_STYLE_OPTIONS, ...(await getNovelStyle(url)) });
+
+// The local cover and front matter are saved the same way, with the values of the moment they were set
+let extrasSaveTimer = null;
+const loadNovelExtras = async (url) => {
+  const extras = await getNovelExtras(url);
+  return { localCover: extras?.cover || null, frontMatter: { ...DEFAULT_FRONT_MATTER, ...extras?.frontMatter } };
+};
+const scheduleExtrasSave = ({ url, novelMetadata, localCover, frontMatter }) => {
+  if (!url || !novelMetadata) return;
+  clearTimeout(extrasSaveTimer);
+  extrasSaveTimer = setTimeout(() => {
+    saveNovelExtras(url, { cover: localCover, frontMatter }).catch(e => console.error('Failed to save cover and front matter', e));
+  }, STYLE_SAVE_DELAY);
+};
+
+// Chapter list edits (reorder, remove, insert) would shift the indices a running download writes to
+const isBusy = (status) => status === 'FETCHING' || status === 'GENERATING';
+
+// Update check merge: known chapters keep the user's order, new TOC chapters follow the chapter
+// before them on the TOC (read backwards when the user reversed the list). Chapters the user
+// removed stay out, chapters the user added stay in, and chapters gone from the TOC are dropped.
+const mergeTocUpdate = (known, fresh, removedUrls) => {
+  const freshByUrl = new Map(fresh.map((c, i) => [c.url, { ...c, position: i }]));
+  const common = known.filter(c => freshByUrl.has(c.url));
+  const reversed = common.length > 1 && freshByUrl.get(common[0].url).position > freshByUrl.get(common[common.length - 1].url).position;
+  const toc = reversed ? [...fresh].reverse() : fresh;
+
+  const knownUrls = new Set(known.map(c => c.url));
+  const removed = new Set(removedUrls);
+  const inserts = new Map(); // url of the preceding known chapter (null: before all of them) -> new chapters
+  let anchor = null;
+  for (const c of toc) {
+    if (knownUrls.has(c.url)) {
+      anchor = c.url;
+    } else if (!removed.has(c.url)) {
+      inserts.set(anchor, [...(inserts.get(anchor) || []), { ...c, status: 'pending', selected: true }]);
+    }
+  }
+
+  const merged = [...(inserts.get(null) || [])];
+  for (const c of known) {
+    if (freshByUrl.has(c.url)) merged.push({ ...c, volume: freshByUrl.get(c.url).volume });
+    else if (c.manual) merged.push(c);
+    merged.push(...(inserts.get(c.url) || []));
+  }
+  return merged;
+};
+
+// Store state for a saved novel; download status is derived from what IDB holds
+const libraryState = async (entry) => {
+  const downloaded = await getDownloadedUrls(entry.chapters.map(c => c.url));
+  const chapters = entry.chapters.map(c => ({
+    ...c,
+    selected: true,
+    status: downloaded.has(c.url) ? (c.review?.length ? 'review' : 'success') : 'pending'
+  }));
+  const { mode = 'toc', maxChapters = '', endUrl = '' } = entry.crawl || {};
+  return {
+    url: entry.url,
+    crawlMode: mode,
+    chainOptions: { maxChapters, endUrl },
+    fetchOptions: { ...DEFAULT_FETCH_OPTIONS, ...entry.fetchOptions },
+    contentRules: { ...DEFAULT_CONTENT_RULES, ...entry.contentRules },
+    styleOptions: await loadNovelStyle(entry.url),
+    ...(await loadNovelExtras(entry.url)),
+    novelMetadata: entry.metadata,
+    chapters,
+    removedUrls: entry.removed || [],
+    inLibrary: true,
+    readerIndex: null,
+    error: null,
+    progress: chapters.length ? Math.round((downloaded.size / chapters.length) * 100) : 0
+  };
+};
+
 export const useNovelStore = create((set, get) => ({
   // State
   url: '',
+  crawlMode: 'toc', // 'toc' scans a table of contents, 'chain' follows next-chapter links
+  chainOptions: { maxChapters: '', endUrl: '' },
+  bypassCache: false, // Re-download pages instead of using the server's HTTP cache
+  fetchOptions: DEFAULT_FETCH_OPTIONS,
+  contentRules: DEFAULT_CONTENT_RULES,
+  cookies: '', // Cookie header or cookies.txt for login-gated chapters; memory only, never saved to the library
+  cookieToken: null, // Proves to the server that the job's stored cookies are ours (see server cookieJars.js)
   status: 'IDLE', 
   novelMetadata: null,
-  chapters: [], // Only metadata: { title, url, selected, status } -- status: 'pending' | 'fetching' | 'success' | 'error'
+  chapters: [], // Only metadata: { title, url, volume, selected, status, review, textHash, pageTitle, tocTitle, manual } -- status: 'pending' | 'fetching' | 'success' | 'review' | 'error'
+  removedUrls: [], // TOC chapters the user deleted; update checks don't bring them back
+  // Chapter title clean-up (see w2e-shared/chapterTitles.js); kept across novels
+  titleOptions: DEFAULT_TITLE_OPTIONS,
   logs: [],
   progress: 0,
   error: null,
   socket: null,
   jobId: generateUUID(), // Persistent Job ID for this session
+  inLibrary: false, // Current novel is saved in the library
+  pendingUpdate: false, // Next 'novel-ready' is an update check for a library novel
+  readerIndex: null, // Index of the chapter open in the reader, null when closed
+  validationFiles: null, // Generated files with EPUB check findings, held back until the report is confirmed
+  // Server-side image processing applied while building the EPUB (kept across novels)
+  imageOptions: { optimize: false, maxDimension: 1600, grayscale: false, quality: 80 },
+  outputFormat: DEFAULT_EXPORT_FORMAT, // key of EXPORT_FORMATS
+  // Theme, typography, custom CSS and embedded font { name, data } (see w2e-shared/styles.js), per novel
+  styleOptions: DEFAULT_STYLE_OPTIONS,
+  localCover: null, // Cover picked from disk { name, data, mediaType }; wins over the cover URL, per novel
+  frontMatter: DEFAULT_FRONT_MATTER, // Title, about and note pages (see w2e-shared/frontMatter.js), per novel
+  // Splitting long novels into volumes (see w2e-shared/volumes.js); delivery: 'separate' | 'zip'
+  splitOptions: { mode: 'none', chaptersPerVolume: 500, maxSizeMb: 20, delivery: 'separate', volumePages: false },
 
   // Actions
   setUrl: (url) => set({ url }),
+  setCrawlMode: (crawlMode) => set({ crawlMode }),
+  setChainOptions: (options) => set((state) => ({ chainOptions: { ...state.chainOptions, ...options } })),
+  setBypassCache: (bypassCache) => set({ bypassCache }),
+  setFetchOptions: (options) => set((state) => ({ fetchOptions: { ...state.fetchOptions, ...options } })),
+  setCookies: (cookies) => set({ cookies }),
+  setContentRules: (rules) => set((state) => ({ contentRules: { ...state.contentRules, ...rules } })),
+  setImageOptions: (options) => set((state) => ({ imageOptions: { ...state.imageOptions, ...options } })),
+  setOutputFormat: (outputFormat) => set({ outputFormat }),
+  setSplitOptions: (options) => set((state) => ({ splitOptions: { ...state.splitOptions, ...options } })),
+  setTitleOptions: (options) => set((state) => ({ titleOptions: { ...state.titleOptions, ...options } })),
+  setStyleOptions: (options) => {
+    const styleOptions = { ...get().styleOptions, ...options };
+    set({ styleOptions });
+    const { url, novelMetadata } = get();
+    if (!url || !novelMetadata) return;
+    clearTimeout(styleSaveTimer);
+    styleSaveTimer = setTimeout(() => {
+      saveNovelStyle(url, styleOptions).catch(e => console.error('Failed to save book styling', e));
+    }, STYLE_SAVE_DELAY);
+  },
+  setLocalCover: (localCover) => {
+    set({ localCover });
+    scheduleExtrasSave(get());
+  },
+  setFrontMatter: (options) => {
+    set((state) => ({ frontMatter: { ...state.frontMatter, ...options } }));
+    scheduleExtrasSave(get());
+  },
   
   // Limit logs to last 100 to prevent state bloat
   addLog: (message) => set((state) => ({
     logs: [...state.logs, `[${new Date().toLocaleTimeString()}] ${message}`].slice(-100)
   })),
 
-  updateMetadata: (data) => set((state) => ({
-    novelMetadata: { ...state.novelMetadata, ...data }
-  })),
+  updateMetadata: (data) => {
+    set((state) => ({
+      novelMetadata: { ...state.novelMetadata, ...data }
+    }));
+    if (get().inLibrary) get().saveToLibrary();
+  },
+
+  // Rewrites the chapter titles with titleOptions; the original link text stays in tocTitle
+  applyChapterTitles: () => {
+    const { chapters, titleOptions, novelMetadata, inLibrary, addLog } = get();
+    const { titles, renumbered } = normalizeChapterTitles(chapters, titleOptions, { novelTitle: novelMetadata?.title });
+    let changed = 0;
+    set({
+      chapters: chapters.map((c, i) => {
+        if (titles[i] === c.title) return c;
+        changed++;
+        return { ...c, title: titles[i], tocTitle: c.tocTitle || c.title };
+      })
+    });
+    addLog(`Renamed ${changed} chapters${renumbered.length > 0 ? `, ${renumbered.length} of them renumbered` : ''}.`);
+    renumbered.forEach(({ index, from, to }) => addLog(`Renumbered chapter ${from} -> ${to}: ${titles[index]}`));
+    if (inLibrary) get().saveToLibrary();
+  },
+
+  restoreTocTitles: () => {
+    const { chapters, inLibrary, addLog } = get();
+    set({ chapters: chapters.map(({ tocTitle, ...c }) => (tocTitle ? { ...c, title: tocTitle } : c)) });
+    addLog('Restored the chapter titles from the table of contents.');
+    if (inLibrary) get().saveToLibrary();
+  },
 
   toggleChapter: (index) => set((state) => {
     const newChapters = [...state.chapters];
@@ -47,18 +222,247 @@ export const useNovelStore = create((set, get) => ({
     chapters: state.chapters.map(c => ({ ...c, selected }))
   })),
 
+  // Selects or deselects the chapters at `indices` (shift-click ranges, filtered lists)
+  setSelection: (indices, selected) => set((state) => {
+    const targets = new Set(indices);
+    return { chapters: state.chapters.map((c, i) => (targets.has(i) && c.selected !== selected ? { ...c, selected } : c)) };
+  }),
+
+  // Selects chapters from..to (1-based, inclusive) and nothing else
+  selectRange: (from, to) => set((state) => ({
+    chapters: state.chapters.map((c, i) => {
+      const selected = i >= from - 1 && i <= to - 1;
+      return c.selected === selected ? c : { ...c, selected };
+    })
+  })),
+
+  moveChapter: (from, to) => {
+    const { chapters, status, inLibrary } = get();
+    if (isBusy(status) || from === to || !chapters[from] || to < 0 || to >= chapters.length) return;
+    const next = [...chapters];
+    const [chapter] = next.splice(from, 1);
+    next.splice(to, 0, chapter);
+    set({ chapters: next });
+    if (inLibrary) get().saveToLibrary();
+  },
+
+  // Many TOCs list the newest chapter first
+  reverseChapters: () => {
+    const { chapters, status, inLibrary, addLog } = get();
+    if (isBusy(status)) return;
+    set({ chapters: [...chapters].reverse() });
+    addLog('Reversed the chapter order.');
+    if (inLibrary) get().saveToLibrary();
+  },
+
+  removeChapters: (indices) => {
+    const { chapters, removedUrls, status, inLibrary, addLog } = get();
+    if (isBusy(status)) return;
+    const targets = new Set(indices);
+    const removed = chapters.filter((c, i) => targets.has(i));
+    if (removed.length === 0) return;
+    set({
+      chapters: chapters.filter((c, i) => !targets.has(i)),
+      removedUrls: [...new Set([...removedUrls, ...removed.filter(c => !c.manual).map(c => c.url)])]
+    });
+    addLog(removed.length === 1 ? `Removed "${removed[0].title}" from the chapter list.` : `Removed ${removed.length} chapters from the chapter list.`);
+    if (inLibrary) get().saveToLibrary();
+  },
+
+  // Adds a chapter the TOC missed; `index` is its 0-based position (default: the end).
+  // Returns an error message instead of throwing, for the form to show.
+  insertChapter: ({ url, title }, index) => {
+    const { chapters, removedUrls, status, inLibrary, addLog } = get();
+    if (isBusy(status)) return 'Wait for the download to finish.';
+    let href;
+    try {
+      href = new URL(url.trim()).href;
+    } catch (e) {
+      return 'Enter a full chapter URL.';
+    }
+    if (!/^https?:$/.test(new URL(href).protocol)) return 'Only http and https URLs can be downloaded.';
+    const existing = chapters.findIndex(c => c.url === href);
+    if (existing !== -1) return `Already in the list as chapter ${existing + 1}.`;
+
+    const position = Number.isInteger(index) && index >= 0 && index <= chapters.length ? index : chapters.length;
+    const chapter = {
+      title: title.trim() || `Chapter ${position + 1}`,
+      url: href,
+      ...(chapters[position - 1]?.volume ? { volume: chapters[position - 1].volume } : {}),
+      manual: true,
+      status: 'pending',
+      selected: true
+    };
+    set({
+      chapters: [...chapters.slice(0, position), chapter, ...chapters.slice(position)],
+      removedUrls: removedUrls.filter(u => u !== href)
+    });
+    addLog(`Added "${chapter.title}" as chapter ${position + 1}.`);
+    if (inLibrary) get().saveToLibrary();
+    return null;
+  },
+
+  openReader: (index) => set((state) => ({
+    readerIndex: index >= 0 && index < state.chapters.length ? index : null
+  })),
+  closeReader: () => set({ readerIndex: null }),
+
+  // The user checked a flagged chapter and keeps it as it is
+  markReviewed: (index) => {
+    set((state) => ({
+      chapters: state.chapters.map((c, i) => (i === index && c.status === 'review' ? { ...c, status: 'success', review: [] } : c))
+    }));
+    if (get().inLibrary) get().saveToLibrary();
+  },
+
   reset: () => {
+    // The server keeps the job's cookie jar in memory until it expires; drop it right away
+    const { cookies, cookieToken, jobId } = get();
+    if (cookies && cookieToken) {
+      fetch(`${API_URL}/api/jobs/${jobId}/cookies`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cookieToken })
+      }).catch(() => {});
+    }
+
     set({
       status: 'IDLE',
       novelMetadata: null,
       chapters: [],
+      removedUrls: [],
       logs: [],
       progress: 0,
       error: null,
+      crawlMode: 'toc',
+      chainOptions: { maxChapters: '', endUrl: '' },
+      bypassCache: false,
+      fetchOptions: DEFAULT_FETCH_OPTIONS,
+      contentRules: DEFAULT_CONTENT_RULES,
+      styleOptions: DEFAULT_STYLE_OPTIONS,
+      localCover: null,
+      frontMatter: DEFAULT_FRONT_MATTER,
+      cookies: '',
+      cookieToken: null,
+      inLibrary: false,
+      pendingUpdate: false,
+      readerIndex: null,
+      validationFiles: null,
       jobId: generateUUID() // New job, new ID
     });
   },
 
+  receiveNovel: async (data) => {
+    if (get().pendingUpdate) return get().applyLibraryUpdate(data);
+
+    const { chapters, ...metadata } = data;
+    await clearChapters();
+    const inLibrary = Boolean(await getLibraryNovel(get().url));
+    const styleOptions = await loadNovelStyle(get().url);
+    const extras = await loadNovelExtras(get().url);
+
+    set({
+      novelMetadata: metadata,
+      chapters: chapters.map(c => ({ 
+        ...c, 
+        status: 'pending',
+        selected: true 
+      })),
+      removedUrls: [],
+      inLibrary,
+      styleOptions,
+      ...extras,
+      readerIndex: null,
+      status: 'READY'
+    });
+    get().addLog(`Analysis complete. Found "${metadata.title}" with ${chapters.length} chapters.`);
+  },
+
+  // --- Library ---
+
+  saveToLibrary: async ({ checked = false } = {}) => {
+    const { url, novelMetadata, chapters, removedUrls, addLog, inLibrary, crawlMode, chainOptions, fetchOptions, contentRules } = get();
+    if (!url || !novelMetadata) return;
+
+    const existing = await getLibraryNovel(url);
+    await saveLibraryNovel({
+      url,
+      crawl: { mode: crawlMode, ...(crawlMode === 'chain' ? chainOptions : {}) },
+      fetchOptions,
+      contentRules,
+      metadata: novelMetadata,
+      chapters: chapters.map(({ title, url, volume, review, textHash, pageTitle, tocTitle, manual }) => ({
+        title,
+        url,
+        ...(volume ? { volume } : {}),
+        ...(review?.length ? { review } : {}),
+        ...(textHash ? { textHash } : {}),
+        ...(pageTitle ? { pageTitle } : {}),
+        ...(tocTitle ? { tocTitle } : {}),
+        ...(manual ? { manual } : {})
+      })),
+      ...(removedUrls.length ? { removed: removedUrls } : {}),
+      addedAt: existing?.addedAt || Date.now(),
+      lastChecked: checked || !existing ? Date.now() : existing.lastChecked
+    });
+    if (!inLibrary) {
+      set({ inLibrary: true });
+      addLog(`Saved "${novelMetadata.title}" to library.`);
+    }
+  },
+
+  openLibraryNovel: async (entry) => {
+    set({ ...(await libraryState(entry)), status: 'READY' });
+    get().addLog(`Opened "${entry.metadata.title}" from library.`);
+  },
+
+  // Re-analyzes a saved novel; applyLibraryUpdate takes over when 'novel-ready' arrives.
+  // A cached TOC would hide new chapters, so update checks always go to the network.
+  checkForUpdates: async (entry) => {
+    set({ ...(await libraryState(entry)), pendingUpdate: true, bypassCache: true });
+    await get().analyzeNovel();
+  },
+
+  applyLibraryUpdate: async (data) => {
+    const { chapters: freshChapters, userAgent } = data;
+    const { chapters: known, removedUrls, novelMetadata, addLog } = get();
+
+    if (freshChapters.length === 0) {
+      set({ pendingUpdate: false, status: 'READY' });
+      addLog('Update check found no chapters on the TOC. Keeping the saved chapter list.');
+      return;
+    }
+
+    // Chapters we already know keep their place, edits and download status; volumes come from the TOC
+    const knownUrls = new Set(known.map(c => c.url));
+    const merged = mergeTocUpdate(known, freshChapters, removedUrls);
+    const newCount = merged.filter(c => !knownUrls.has(c.url)).length;
+
+    // Keep the user's metadata edits, only the session user agent is refreshed
+    set({
+      chapters: merged,
+      novelMetadata: { ...novelMetadata, userAgent },
+      pendingUpdate: false,
+      status: 'READY'
+    });
+    await get().saveToLibrary({ checked: true });
+
+    if (newCount === 0) {
+      addLog('No new chapters since last check.');
+      return;
+    }
+
+    addLog(`Found ${newCount} new chapters. Downloading...`);
+    await get().fetchChapters();
+
+    const selected = get().chapters.filter(c => c.selected);
+    if (selected.every(isDownloaded)) {
+      await get().startGeneration();
+    } else {
+      addLog('Some new chapters failed to download. Retry, then generate the EPUB.');
+    }
+  },
+
   initSocket: () => {
     if (get().socket) return;
     
@@ -84,24 +488,25 @@ export const useNovelStore = create((set, get) => ({
       // Optional: granular batch log
     });
 
-    newSocket.on('novel-ready', async (data) => {
-      const { chapters, ...metadata } = data;
-      await clearChapters();
-
-      set({
-        novelMetadata: metadata,
-        chapters: chapters.map(c => ({ 
-          ...c, 
-          status: 'pending',
-          selected: true 
-        })),
-        status: 'READY'
-      });
-      get().addLog(`Analysis complete. Found "${metadata.title}" with ${chapters.length} chapters.`);
+    newSocket.on('novel-ready', (data) => {
+      get().receiveNovel(data);
+    });
+
+    // The server replays the persisted job state on join-job, so an analysis that
+    // finished while we were disconnected is not lost
+    newSocket.on('job-snapshot', (snapshot) => {
+      if (get().status !== 'ANALYZING') return;
+      if (snapshot.status === 'ready') {
+        get().addLog('Recovered finished analysis from server.');
+        get().receiveNovel({ ...snapshot.metadata, chapters: snapshot.chapters });
+      } else if (snapshot.status === 'failed') {
+        set({ status: 'ERROR', error: snapshot.error });
+        get().addLog(`Error: ${snapshot.error}`);
+      }
     });
 
     newSocket.on('error', (data) => {
-        set({ status: 'ERROR', error: data.message });
+        set({ status: 'ERROR', error: data.message, pendingUpdate: false });
         get().addLog(`Error: ${data.message}`);
     });
 
@@ -109,26 +514,35 @@ export const useNovelStore = create((set, get) => ({
   },
 
   analyzeNovel: async () => {
-    const { url, addLog, jobId } = get();
+    const { url, addLog, jobId, crawlMode, chainOptions, bypassCache, fetchOptions, cookies, cookieToken } = get();
     if (!url) return;
 
     set({ status: 'ANALYZING', error: null, logs: [] });
-    addLog(`Starting analysis for: ${url}`);
+    addLog(crawlMode === 'chain' ? `Following chapters from: ${url}` : `Starting analysis for: ${url}`);
+
+    const payload = { url, jobId, mode: crawlMode, bypassCache, ...fetchOptions };
+    if (cookies.trim()) payload.cookies = cookies;
+    if (cookieToken) payload.cookieToken = cookieToken;
+    if (crawlMode === 'chain') {
+      if (chainOptions.maxChapters) payload.maxChapters = parseInt(chainOptions.maxChapters, 10);
+      if (chainOptions.endUrl) payload.endUrl = chainOptions.endUrl;
+    }
 
     try {
       const response = await fetch(`${API_URL}/api/novel-info`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url, jobId }),
+        body: JSON.stringify(payload),
       });
 
       const data = await response.json();
       
-      if (data.error) throw new Error(data.details || 'Analysis failed');
+      if (data.error) throw new Error(data.details || data.error || 'Analysis failed');
+      if (data.cookieToken) set({ cookieToken: data.cookieToken });
       addLog(data.message || 'Analysis queued...');
 
     } catch (err) {
-      set({ status: 'ERROR', error: err.message });
+      set({ status: 'ERROR', error: err.message, pendingUpdate: false });
       addLog(`Error: ${err.message}`);
     }
   },
@@ -146,7 +560,7 @@ export const useNovelStore = create((set, get) => ({
     // pendingIndices is an array of objects: { index, title, url }
     const pendingItems = chapters
         .map((c, i) => ({ ...c, index: i }))
-        .filter(c => c.selected && c.status !== 'success');
+        .filter(c => c.selected && !isDownloaded(c));
 
     const totalToFetch = pendingItems.length;
     
@@ -167,7 +581,7 @@ export const useNovelStore = create((set, get) => ({
       // ALWAYS get fresh state to calculate progress and avoid stale closures
       const currentChaps = get().chapters;
       const totalSelected = currentChaps.filter(c => c.selected).length;
-      const totalDownloaded = currentChaps.filter(c => c.selected && c.status === 'success').length;
+      const totalDownloaded = currentChaps.filter(c => c.selected && isDownloaded(c)).length;
       set({ progress: Math.round((totalDownloaded / totalSelected) * 100) });
     };
 
@@ -202,11 +616,20 @@ export const useNovelStore = create((set, get) => ({
         const res = await fetch(`${API_URL}/api/chapters-batch`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ chapters: batchPayload, jobId, userAgent }),
+          body: JSON.stringify({
+            chapters: batchPayload, jobId, userAgent,
+            bypassCache: get().bypassCache,
+            ...get().fetchOptions,
+            contentRules: get().contentRules,
+            // Re-sent with every batch so a server restart doesn't lose the session
+            ...(get().cookies.trim() ? { cookies: get().cookies } : {}),
+            ...(get().cookieToken ? { cookieToken: get().cookieToken } : {})
+          }),
         });
         
         const data = await res.json();
-        if (data.error) throw new Error(data.details);
+        if (data.error) throw new Error(data.details || data.error);
+        if (data.cookieToken) set({ cookieToken: data.cookieToken });
 
         // Process Results
         // We must read fresh state again to apply updates safely
@@ -216,7 +639,15 @@ export const useNovelStore = create((set, get) => ({
            const originalIdx = batchItems[idx].index;
            if (result.success) {
                saveChapter({ url: result.url, content: result.content, title: result.title });
-               freshChapters[originalIdx] = { ...freshChapters[originalIdx], status: 'success' };
+               const review = result.review || [];
+               freshChapters[originalIdx] = {
+                 ...freshChapters[originalIdx],
+                 status: review.length > 0 ? 'review' : 'success',
+                 review,
+                 // The server's hash of the chapter text; the reader links duplicates with it
+                 textHash: result.quality?.hash || null,
+                 ...(result.pageTitle ? { pageTitle: result.pageTitle } : {})
+               };
            } else {
                freshChapters[originalIdx] = { ...freshChapters[originalIdx], status: 'error' };
            }
@@ -252,7 +683,9 @@ export const useNovelStore = create((set, get) => ({
 
     // Final check after all promises settle
     const currentChapters = get().chapters;
-    const allSelectedDone = currentChapters.filter(c => c.selected).every(c => c.status === 'success' || c.status === 'error');
+    const allSelectedDone = currentChapters.filter(c => c.selected).every(c => isDownloaded(c) || c.status === 'error');
+    const reviewCount = currentChapters.filter(c => c.selected && c.status === 'review').length;
+    if (reviewCount > 0) addLog(`${reviewCount} chapters look wrong (short, duplicated or mostly links). Open them from the list to review.`);
     
     if (allSelectedDone) {
       const hasErrors = currentChapters.some(c => c.selected && c.status === 'error');
@@ -267,12 +700,59 @@ export const useNovelStore = create((set, get) => ({
       set({ status: 'READY' });
       addLog('Download paused.');
     }
+
+    if (get().inLibrary) await get().saveToLibrary();
+  },
+
+  // Extracts one chapter with the current content rules; resolves with { content, textLength, selectorMatches, adapter }
+  previewChapter: async (chapterUrl) => {
+    const { jobId, novelMetadata, fetchOptions, contentRules, cookies, cookieToken } = get();
+    const res = await fetch(`${API_URL}/api/preview-chapter`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: chapterUrl, jobId, userAgent: novelMetadata?.userAgent,
+        ...fetchOptions,
+        contentRules,
+        ...(cookies.trim() ? { cookies } : {}),
+        ...(cookieToken ? { cookieToken } : {})
+      }),
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.details || data.error);
+    if (data.cookieToken) set({ cookieToken: data.cookieToken });
+    return data;
+  },
+
+  // After changing the content rules, chapters extracted with the old ones have to be fetched again
+  // (pages are usually still in the server's HTTP cache, so this is cheap)
+  resetDownloadedChapters: () => {
+    set((state) => ({
+      chapters: state.chapters.map(c => (c.selected && isDownloaded(c) ? { ...c, status: 'pending', review: [] } : c)),
+      progress: 0
+    }));
+    get().addLog('Downloaded chapters marked for re-download with the new content rules.');
+  },
+
+  // Files held back by the EPUB check (see startGeneration)
+  downloadValidatedFiles: () => {
+    const { validationFiles, addLog } = get();
+    if (!validationFiles) return;
+    downloadFiles(validationFiles);
+    set({ validationFiles: null });
+    addLog(`${validationFiles.length === 1 ? validationFiles[0].name : `${validationFiles.length} files`} downloaded.`);
+  },
+
+  dismissValidationFiles: () => {
+    set({ validationFiles: null });
+    get().addLog('Download cancelled after the EPUB check.');
   },
 
   startGeneration: async () => {
-    const { novelMetadata, chapters, addLog } = get();
-    set({ status: 'GENERATING' });
-    addLog('Preparing content for EPUB...');
+    const { url, novelMetadata, chapters, addLog, imageOptions, splitOptions, styleOptions, localCover, frontMatter, outputFormat } = get();
+    const formatLabel = EXPORT_FORMATS[outputFormat].label;
+    set({ status: 'GENERATING', validationFiles: null });
+    addLog(`Preparing content for ${formatLabel}...`);
 
     try {
       const selectedChapters = chapters.filter(c => c.selected);
@@ -280,10 +760,11 @@ export const useNovelStore = create((set, get) => ({
 
       // Filter only successful chapters for generation
       const chaptersToGenerate = selectedChapters
-        .filter(c => c.status === 'success')
+        .filter(isDownloaded)
         .map(c => ({
              url: c.url, 
-             title: c.title 
+             title: c.title,
+             volume: c.volume
              // NO CONTENT PASSED - Worker will fetch from IDB
         }));
 
@@ -291,13 +772,47 @@ export const useNovelStore = create((set, get) => ({
 
       addLog(`Offloading ${chaptersToGenerate.length} chapters to compression worker...`);
 
-      await generateEpub({
+      // Clean files download as soon as they are built; only those with EPUB check findings wait for the report
+      const held = [];
+      let downloaded = 0;
+      const onFile = (file) => {
+        if (hasValidationIssues(file)) {
+          held.push(file);
+        } else {
+          downloadFiles([file]);
+          downloaded++;
+        }
+      };
+      const report = await exportNovel({
         ...novelMetadata,
+        source: url, // Stable book identifier across rebuilds (see w2e-shared/metadata.js)
         chapters: chaptersToGenerate
+      }, {
+        format: outputFormat,
+        imageOptions,
+        split: { ...splitOptions, maxBytes: (parseFloat(splitOptions.maxSizeMb) || 20) * 1024 * 1024 },
+        style: styleOptions,
+        extras: { cover: localCover, frontMatter },
+        onFile
       });
 
+      if (report?.optimized > 0) {
+        const toKb = (bytes) => Math.round(bytes / 1024);
+        addLog(`Optimized ${report.optimized} images: ${toKb(report.originalBytes)} KB -> ${toKb(report.originalBytes - report.bytesSaved)} KB (saved ${toKb(report.bytesSaved)} KB).`);
+      }
+      if (report?.imagesFailed > 0) addLog(`${report.imagesFailed} images could not be downloaded.`);
+      if (report?.imagesOverBudget > 0) addLog(`${report.imagesOverBudget} images were left out to keep the book under the size limit.`);
+
       set({ status: 'COMPLETED' });
-      addLog('EPUB generated and downloaded!');
+      // Repaired chapters and package problems are shown before those files are downloaded
+      if (held.length > 0) {
+        const repaired = held.reduce((sum, f) => sum + f.validation.chapters.length, 0);
+        if (downloaded > 0) addLog(`${downloaded} files without findings downloaded.`);
+        addLog(`EPUB check: repaired markup in ${repaired} chapters${held.some(f => f.validation.problems.length > 0) ? ', some problems remain' : ''}. Review the report to download ${held.length === 1 ? held[0].name : `${held.length} files`}.`);
+        set({ validationFiles: held });
+        return;
+      }
+      addLog(report?.volumes ? `${report.volumes} volumes generated and downloaded!` : `${formatLabel} generated and downloaded!`);
     } catch (err) {
       set({ status: 'ERROR', error: err.message });
       addLog(`Generation failed: ${err.message}`);
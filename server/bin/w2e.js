@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { analyzeNovel, crawlChapterChain, fetchChaptersBatch, fetchPage } from '../src/services/crawler.js';
+import { extractChapterContent, normalizeContentRules, mergeContentRules } from '../src/services/parser.js';
+import { findAdapter } from '../src/services/adapters.js';
+import { packageEpub, describeImageStats } from '../src/services/epubBuilder.js';
+import { parseImageOptions, loadSharp } from '../src/services/imageOptimizer.js';
+import { closeBrowser } from '../src/services/fetchers.js';
+import { createCookieJar } from '../src/services/cookieJars.js';
+import { XHTML_ISSUES } from 'w2e-shared/validation.js';
+import { REVIEW_REASONS } from 'w2e-shared/reviewReasons.js';
+import { normalizeStyleOptions, THEMES } from 'w2e-shared/styles.js';
+import { COVER_STYLES, coverMediaType, COVER_MEDIA_TYPES } from 'w2e-shared/coverArt.js';
+import { normalizeFrontMatter } from 'w2e-shared/frontMatter.js';
+import { normalizeTitleOptions, normalizeChapterTitles, isReversedOrder, TITLE_FORMATS, TITLE_SOURCES } from 'w2e-shared/chapterTitles.js';
+
+/**
+ * w2e - headless novel-to-EPUB conversion.
+ * Wraps the same crawler/parser used by the web UI so a TOC URL (or a whole
+ * reading list) can be turned into EPUB files from a terminal or a cron job.
+ */
+
+const USAGE = `Usage: w2e [options] <toc-url...>
+       w2e --chain [options] <first-chapter-url...>
+
+Options:
+  -o, --output <path>       EPUB file (single URL) or directory (several URLs). Default: ./<title>.epub
+  -r, --range <ranges>      1-based chapter ranges, e.g. "1-50,75,100-"
+      --reverse             Reverse the chapter order, for TOCs that list the newest chapter first (before --range)
+  -c, --concurrency <n>     Chapters fetched in parallel (default: 5)
+  -d, --delay <ms>          Pause between batches in milliseconds (default: 1000)
+  -w, --work-dir <dir>      Keep downloaded chapters here; re-running with the same dir resumes
+      --chain               The URL is a first chapter: follow "Next Chapter" links instead of a TOC
+      --max-chapters <n>    Chain mode: stop after n chapters
+      --end-url <url>       Chain mode: stop after this chapter
+      --optimize-images     Convert/downsize/recompress embedded images
+      --max-dimension <px>  Longest image side when optimizing (default: 1600)
+      --quality <1-100>     JPEG/PNG quality when optimizing (default: 80)
+      --grayscale           Convert images to grayscale (for e-ink readers); implies --optimize-images
+      --volume-pages        Add a title page before each volume/arc found on the TOC
+      --theme <name>        Book style: ${Object.keys(THEMES).join(', ')} (default: classic)
+      --font-size <pct>     Body text size in percent of the reader's default
+      --line-height <n>     Body line height, e.g. 1.5
+      --css <file>          Extra CSS appended to the theme
+      --font <file>         Embed a TTF/OTF/WOFF/WOFF2 font for the body text
+      --cover-style <name>  Generated cover when the site has none: ${Object.keys(COVER_STYLES).join(', ')}
+      --cover <file>        Use a local ${Object.keys(COVER_MEDIA_TYPES).join('/')} image as the cover
+      --title-page          Add a title page after the cover
+      --about-page          Add an "About This Book" page (description, details, source URL)
+      --note <file>         Add a note page with the text of <file>
+      --note-title <text>   Heading of the note page (default: Note)
+      --note-at-end         Put the note after the last chapter instead of before the first
+      --clean-titles        Remove repeated "Chapter N" prefixes and the novel title from chapter titles
+      --title-format <name> Chapter title format: ${Object.keys(TITLE_FORMATS).join(', ')} (implies --clean-titles)
+      --renumber            Number chapters consecutively, closing gaps (implies --clean-titles)
+      --title-source <name> Chapter titles from: ${Object.keys(TITLE_SOURCES).join(', ')} (implies --clean-titles;
+                            'page' uses the heading on each chapter page, when it has one)
+      --refresh             Re-analyze the TOC even if the work dir already has a chapter list
+      --bypass-cache        Re-download pages instead of using the server's HTTP cache
+      --browser             Render pages in headless Chromium (needs playwright-core)
+      --wait-for <selector> With --browser: wait for this chapter content selector
+      --cookies <file|str>  cookies.txt file or "name=value; ..." string for login-gated chapters
+      --content-selector <css>  Chapter text container, when the automatic detection picks the wrong block
+      --remove <css>        Also remove elements matching this selector (repeatable)
+      --text-filter <regex> Drop short paragraphs matching this regex, case-insensitive (repeatable)
+  -l, --list <file>         Read TOC URLs from a file (one per line, # for comments)
+      --extract <url>       Print the extracted XHTML of a single chapter page and exit
+  -q, --quiet               Only print errors
+  -h, --help                Show this help
+`;
+
+const options = {
+  output: { type: 'string', short: 'o' },
+  range: { type: 'string', short: 'r' },
+  reverse: { type: 'boolean', default: false },
+  concurrency: { type: 'string', short: 'c', default: '5' },
+  delay: { type: 'string', short: 'd', default: '1000' },
+  'work-dir': { type: 'string', short: 'w' },
+  chain: { type: 'boolean', default: false },
+  'max-chapters': { type: 'string' },
+  'end-url': { type: 'string' },
+  'optimize-images': { type: 'boolean', default: false },
+  'max-dimension': { type: 'string' },
+  quality: { type: 'string' },
+  grayscale: { type: 'boolean', default: false },
+  'volume-pages': { type: 'boolean', default: false },
+  theme: { type: 'string' },
+  'font-size': { type: 'string' },
+  'line-height': { type: 'string' },
+  css: { type: 'string' },
+  font: { type: 'string' },
+  'cover-style': { type: 'string' },
+  cover: { type: 'string' },
+  'title-page': { type: 'boolean', default: false },
+  'about-page': { type: 'boolean', default: false },
+  note: { type: 'string' },
+  'note-title': { type: 'string' },
+  'note-at-end': { type: 'boolean', default: false },
+  'clean-titles': { type: 'boolean', default: false },
+  'title-format': { type: 'string' },
+  renumber: { type: 'boolean', default: false },
+  'title-source': { type: 'string' },
+  refresh: { type: 'boolean', default: false },
+  'bypass-cache': { type: 'boolean', default: false },
+  browser: { type: 'boolean', default: false },
+  'wait-for': { type: 'string' },
+  cookies: { type: 'string' },
+  'content-selector': { type: 'string' },
+  remove: { type: 'string', multiple: true },
+  'text-filter': { type: 'string', multiple: true },
+  list: { type: 'string', short: 'l' },
+  extract: { type: 'string' },
+  quiet: { type: 'boolean', short: 'q', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+let quiet = false;
+const log = (msg) => { if (!quiet) process.stderr.write(`${msg}\n`); };
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const hash = (str) => crypto.createHash('sha1').update(str).digest('hex');
+
+/**
+ * Parses "1-50,75,100-" into sorted zero-based indices within [0, total).
+ */
+function parseRange(spec, total) {
+  const indices = new Set();
+  for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = /^(\d*)\s*(-)?\s*(\d*)$/.exec(part);
+    if (!match || (!match[1] && !match[3])) throw new Error(`Invalid range "${part}"`);
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[2] ? (match[3] ? parseInt(match[3], 10) : total) : start;
+    for (let i = Math.max(start, 1); i <= Math.min(end, total); i++) indices.add(i - 1);
+  }
+  return [...indices].sort((a, b) => a - b);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Chapter storage: in memory, or one file per chapter inside the work dir so an
+ * interrupted run can pick up where it stopped. The heading found on the chapter page
+ * (for --title-source page) is kept next to it.
+ */
+function createChapterStore(workDir) {
+  const memory = new Map();
+  const pageTitles = new Map();
+  const fileFor = (url) => path.join(workDir, 'chapters', `${hash(url)}.xhtml`);
+  const titleFileFor = (url) => path.join(workDir, 'chapters', `${hash(url)}.title`);
+
+  return {
+    async has(url) {
+      if (!workDir) return memory.has(url);
+      return fs.access(fileFor(url)).then(() => true, () => false);
+    },
+    async get(url) {
+      if (!workDir) return memory.get(url) || null;
+      return fs.readFile(fileFor(url), 'utf8').catch(() => null);
+    },
+    async set(url, content, pageTitle = null) {
+      if (!workDir) {
+        if (pageTitle) pageTitles.set(url, pageTitle);
+        return memory.set(url, content);
+      }
+      await fs.mkdir(path.dirname(fileFor(url)), { recursive: true });
+      if (pageTitle) await fs.writeFile(titleFileFor(url), pageTitle);
+      await fs.writeFile(fileFor(url), content);
+    },
+    async pageTitle(url) {
+      if (!workDir) return pageTitles.get(url) || null;
+      return fs.readFile(titleFileFor(url), 'utf8').catch(() => null);
+    }
+  };
+}
+
+async function loadNovel(tocUrl, { workDir, refresh, crawl, bypassCache, fetchOptions, cookieJar }) {
+  const novelFile = workDir && path.join(workDir, 'novel.json');
+  if (novelFile && !refresh) {
+    const saved = await readJson(novelFile);
+    if (saved && saved.sourceUrl === tocUrl) {
+      log(`Resuming "${saved.title}" from ${workDir} (${saved.chapters.length} chapters)`);
+      return saved;
+    }
+  }
+
+  const run = crawl.mode === 'chain' ? crawlChapterChain : analyzeNovel;
+  const novel = await run(tocUrl, null, {
+    maxChapters: crawl.maxChapters,
+    endUrl: crawl.endUrl,
+    bypassCache,
+    fetchOptions,
+    cookieJar,
+    onEvent: (event, payload) => {
+      if (event === 'log') log(payload);
+      if (event === 'progress-update') log(payload.message);
+    }
+  });
+  if (!novel) throw new Error('Analysis was cancelled');
+  if (novel.chapters.length === 0) throw new Error(crawl.mode === 'chain' ? 'No chapter content found' : 'No chapters found on the TOC page');
+
+  novel.sourceUrl = tocUrl;
+  if (novelFile) {
+    await fs.mkdir(workDir, { recursive: true });
+    await fs.writeFile(novelFile, JSON.stringify(novel, null, 2));
+  }
+  return novel;
+}
+
+async function convert(tocUrl, { outputFor, range, reverse, concurrency, delay, workDir, refresh, crawl, bypassCache, fetchOptions, cookies, contentRules, imageOptions, volumePages, style, coverImage, frontMatter, titleOptions }) {
+  const cookieJar = cookies ? createCookieJar(cookies, tocUrl) : null;
+  const novel = await loadNovel(tocUrl, { workDir, refresh, crawl, bypassCache, fetchOptions, cookieJar });
+  const output = outputFor(novel.title);
+  const store = createChapterStore(workDir);
+
+  const ordered = reverse ? [...novel.chapters].reverse() : novel.chapters;
+  if (!reverse && isReversedOrder(ordered)) log('The TOC seems to list the newest chapter first; pass --reverse to fix the order');
+
+  const indices = range ? parseRange(range, ordered.length) : ordered.map((c, i) => i);
+  if (indices.length === 0) throw new Error(`Range "${range}" selects no chapters (novel has ${ordered.length})`);
+  const selected = indices.map(i => ordered[i]);
+
+  const pending = [];
+  for (const chapter of selected) {
+    if (!(await store.has(chapter.url))) pending.push(chapter);
+  }
+  log(`Downloading ${pending.length} of ${selected.length} chapters (${selected.length - pending.length} already done)`);
+
+  let failed = 0;
+  const reference = [];
+  for (let i = 0; i < pending.length; i += concurrency) {
+    const batch = pending.slice(i, i + concurrency);
+    const results = await fetchChaptersBatch(batch, null, novel.userAgent, { bypassCache, fetchOptions, cookieJar, contentRules, reference });
+    for (const result of results) {
+      if (result.success) {
+        await store.set(result.url, result.content, result.pageTitle);
+        reference.push({ url: result.url, quality: result.quality });
+        if (result.review.length > 0) {
+          log(`  Check: ${result.title} (${result.review.map(r => REVIEW_REASONS[r].toLowerCase()).join(', ')})`);
+        }
+      } else {
+        failed++;
+        log(`  Failed: ${result.title} (${result.url})`);
+      }
+    }
+    log(`  ${Math.min(i + concurrency, pending.length)}/${pending.length}`);
+    if (delay > 0 && i + concurrency < pending.length) await sleep(delay);
+  }
+
+  // Only chapters we actually have make it into the book
+  const available = [];
+  for (const chapter of selected) {
+    if (!(await store.has(chapter.url))) continue;
+    const pageTitle = titleOptions?.source === 'page' ? await store.pageTitle(chapter.url) : null;
+    available.push(pageTitle ? { ...chapter, pageTitle } : chapter);
+  }
+  if (available.length === 0) throw new Error('No chapters could be downloaded');
+
+  let chapters = available;
+  if (titleOptions) {
+    const { titles, issues, renumbered } = normalizeChapterTitles(available, titleOptions, { novelTitle: novel.title });
+    chapters = available.map((c, i) => ({ ...c, title: titles[i] }));
+    log(`Chapter titles: ${chapters.filter((c, i) => c.title !== available[i].title).length} renamed`);
+    issues.forEach(issue => log(`  Numbering: ${issue.message} (at ${available[issue.index].title})`));
+    renumbered.forEach(({ index, from, to }) => log(`  Renumbered ${from} -> ${to}: ${available[index].title} -> ${titles[index]}`));
+  }
+
+  const { zip, imageStats, validation } = await packageEpub({ ...novel, chapters, source: tocUrl }, (chapterMeta) => store.get(chapterMeta.url), { imageOptions, volumePages, style, coverImage, frontMatter });
+  log(`EPUB: ${describeImageStats(validation.images)}`);
+  if (imageStats.optimized > 0) {
+    const savedKb = ((imageStats.originalBytes - imageStats.bytes) / 1024).toFixed(0);
+    log(`Optimized ${imageStats.optimized} images, saved ${savedKb} KB`);
+  }
+  for (const chapter of validation.chapters) {
+    const repairs = Object.entries(chapter.issues).map(([code, count]) => `${count} ${XHTML_ISSUES[code]}`);
+    log(`  Repaired: ${chapter.title} (${repairs.join(', ')})`);
+  }
+  validation.problems.forEach(problem => log(`  EPUB problem: ${problem}`));
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    mimeType: 'application/epub+zip',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 5 }
+  });
+
+  await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+  await fs.writeFile(output, buffer);
+  log(`Wrote ${output} (${available.length} chapters)`);
+
+  if (failed > 0) {
+    log(`${failed} chapters failed.${workDir ? ' Re-run with the same --work-dir to retry them.' : ''}`);
+  }
+  return failed;
+}
+
+function outputPathFor(novelTitle, output, multiple) {
+  const cleanTitle = (novelTitle || 'Untitled').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  if (!output) return `${cleanTitle}.epub`;
+  return multiple ? path.join(output, `${cleanTitle}.epub`) : output;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options, allowPositionals: true });
+  quiet = values.quiet;
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const fetchOptions = {
+    fetcher: values.browser ? 'browser' : null,
+    waitForSelector: values['wait-for'] || null
+  };
+
+  // --cookies takes a cookies.txt path or the cookie string itself
+  let cookies = null;
+  if (values.cookies) {
+    cookies = await fs.readFile(values.cookies, 'utf8').catch(() => values.cookies);
+  }
+
+  const contentRules = normalizeContentRules({
+    selector: values['content-selector'],
+    remove: values.remove,
+    textFilters: values['text-filter']
+  });
+
+  const style = normalizeStyleOptions({
+    ...(values.theme ? { theme: values.theme } : {}),
+    ...(values['cover-style'] ? { coverStyle: values['cover-style'] } : {}),
+    fontSize: values['font-size'] || '',
+    lineHeight: values['line-height'] || '',
+    customCss: values.css ? await fs.readFile(values.css, 'utf8') : '',
+    font: values.font ? { name: path.basename(values.font), data: await fs.readFile(values.font) } : null
+  });
+
+  if (values.cover && !coverMediaType(values.cover)) throw new Error(`--cover must be a ${Object.keys(COVER_MEDIA_TYPES).join('/')} image`);
+  const coverImage = values.cover ? { data: await fs.readFile(values.cover), mediaType: coverMediaType(values.cover) } : null;
+  const frontMatter = normalizeFrontMatter({
+    titlePage: values['title-page'],
+    aboutPage: values['about-page'],
+    note: values.note ? await fs.readFile(values.note, 'utf8') : '',
+    noteTitle: values['note-title'] || '',
+    notePosition: values['note-at-end'] ? 'end' : 'front'
+  });
+  const titleOptions = values['clean-titles'] || values['title-format'] || values.renumber || values['title-source']
+    ? normalizeTitleOptions({ source: values['title-source'] || 'toc', format: values['title-format'] || 'keep', renumber: values.renumber })
+    : null;
+
+  if (values.extract) {
+    const adapter = await findAdapter(values.extract);
+    const cookieJar = cookies ? createCookieJar(cookies, values.extract) : null;
+    const html = await fetchPage(values.extract, null, { bypassCache: values['bypass-cache'], cookieJar, ...fetchOptions });
+    process.stdout.write(extractChapterContent(html, values.extract, mergeContentRules(adapter?.content, contentRules)) + '\n');
+    return 0;
+  }
+
+  const urls = [...positionals];
+  if (values.list) {
+    const lines = (await fs.readFile(values.list, 'utf8')).split(/\r?\n/);
+    urls.push(...lines.map(l => l.trim()).filter(l => l && !l.startsWith('#')));
+  }
+  if (urls.length === 0) {
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  const concurrency = parseInt(values.concurrency, 10);
+  const delay = parseInt(values.delay, 10);
+  if (!(concurrency > 0)) throw new Error('--concurrency must be a positive number');
+  if (!(delay >= 0)) throw new Error('--delay must be zero or more');
+  if (values['optimize-images'] || values.grayscale) await loadSharp();
+
+  const multiple = urls.length > 1;
+  let exitCode = 0;
+
+  for (const url of urls) {
+    try { new URL(url); } catch (e) {
+      process.stderr.write(`Skipping invalid URL: ${url}\n`);
+      exitCode = 1;
+      continue;
+    }
+
+    // Each novel of a reading list gets its own sub directory
+    const workDir = values['work-dir'] && (multiple ? path.join(values['work-dir'], hash(url).slice(0, 12)) : values['work-dir']);
+    try {
+      log(`\n== ${url}`);
+      const failed = await convert(url, {
+        outputFor: (title) => outputPathFor(title, values.output, multiple),
+        range: values.range,
+        reverse: values.reverse,
+        concurrency,
+        delay,
+        workDir,
+        refresh: values.refresh,
+        bypassCache: values['bypass-cache'],
+        fetchOptions,
+        cookies,
+        contentRules,
+        volumePages: values['volume-pages'],
+        style,
+        coverImage,
+        frontMatter,
+        titleOptions,
+        crawl: { mode: values.chain ? 'chain' : 'toc', maxChapters: values['max-chapters'], endUrl: values['end-url'] },
+        imageOptions: parseImageOptions({
+          optimize: values['optimize-images'] || values.grayscale,
+          maxDimension: values['max-dimension'],
+          quality: values.quality,
+          grayscale: values.grayscale
+        })
+      });
+      if (failed > 0) exitCode = 2;
+    } catch (err) {
+      process.stderr.write(`Failed to convert ${url}: ${err.message}\n`);
+      exitCode = 1;
+    }
+  }
+  return exitCode;
+}
+
+main().then(
+  async (code) => {
+    await closeBrowser();
+    process.exit(code);
+  },
+  async (err) => {
+    process.stderr.write(`${err.message}\n`);
+    await closeBrowser();
+    process.exit(1);
+  }
+);
@@ -0,0 +1,34 @@
+/**
+ * Royal Road (royalroad.com)
+ * Chapters are listed in a single table; chapter bodies carry hidden
+ * anti-theft paragraphs whose classes are declared "display: none" in a <style> tag.
+ */
+export default {
+  name: 'Royal Road',
+  hostnames: ['royalroad.com'],
+  metadata: {
+    title: '.fic-title h1',
+    author: '.fic-title h4 a',
+    cover: '.cover-art-container img@src',
+    description: '.description',
+    tags: '.tags a.fiction-tag'
+  },
+  toc: {
+    chapterLinks: '#chapters tbody tr td:first-child a'
+  },
+  content: {
+    selector: '.chapter-inner.chapter-content',
+    title: '.fic-header h1',
+    remove: ['.author-note-portlet', '.portlet'],
+    clean($) {
+      const hiddenClasses = new Set();
+      $('style').each((i, el) => {
+        const css = $(el).html() || '';
+        const rule = /\.([\w-]+)\s*\{[^}]*display:\s*none/gi;
+        let match;
+        while ((match = rule.exec(css)) !== null) hiddenClasses.add(match[1]);
+      });
+      hiddenClasses.forEach(cls => $(`.${cls}`).remove());
+    }
+  }
+};
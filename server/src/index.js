@@ -3,6 +3,9 @@ import cors from 'cors';
 import { createServer } from 'http';
 import { router } from './routes.js';
 import { initSocket } from './socket.js';
+import { initJobStore, flushJobs } from './services/jobStore.js';
+import { pruneHttpCache } from './services/httpCache.js';
+import { closeBrowser } from './services/fetchers.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,7 +25,9 @@ initSocket(httpServer);
 app.use(cors({
   origin: process.env.CLIENT_URL || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Image size reports from /api/proxy-image and /api/epub
+  exposedHeaders: ['X-Original-Bytes', 'X-Bytes-Saved', 'X-Image-Original-Bytes', 'X-Image-Bytes-Saved', 'X-Epub-Repaired-Chapters', 'X-Epub-Problems', 'X-Cookie-Token']
 }));
 
 // Body parsing middleware
@@ -48,6 +53,18 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal Server Error', details: err.message });
 });
 
+// Restore persisted jobs before accepting connections
+await initJobStore();
+pruneHttpCache().catch(err => console.warn('[HttpCache] Prune failed:', err.message));
+
+// Flush debounced job writes so a restart doesn't lose the latest state (and don't leave Chromium behind)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await Promise.all([flushJobs(), closeBrowser()]);
+    process.exit(0);
+  });
+}
+
 // Start Server
 // Listen on 0.0.0.0 to ensure accessibility within containerized environments (VPS/PaaS)
 httpServer.listen(PORT, '0.0.0.0', () => {
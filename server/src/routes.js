@@ -1,123 +1,131 @@
 import express from 'express';
-import axios from 'axios';
-import dns from 'node:dns/promises';
-import { Address4, Address6 } from 'ip-address';
-import { analyzeNovel, fetchChaptersBatch } from './services/crawler.js';
+import { fetchChaptersBatch, previewChapter } from './services/crawler.js';
+import { normalizeContentRules } from './services/parser.js';
+import { isFetcherName } from './services/fetchers.js';
+import { createCookieJar, setJobCookies, getJobCookieJar, clearJobCookies, canUseJobCookies } from './services/cookieJars.js';
+import { buildEpub } from './services/epubBuilder.js';
+import { fetchRemoteResource } from './services/safeFetch.js';
+import { optimizeImage, parseImageOptions, toCoreImageType, loadSharp } from './services/imageOptimizer.js';
+import { startAnalysis, cancelJob } from './services/jobs.js';
+import { getJob, listJobs, toSnapshot, recordChapterResults, isValidJobId, isJobComplete } from './services/jobStore.js';
 import { getIO } from './socket.js';
+import { normalizeStyleOptions } from 'w2e-shared/styles.js';
+import { normalizeFrontMatter } from 'w2e-shared/frontMatter.js';
+import { normalizeTitleOptions } from 'w2e-shared/chapterTitles.js';
+import { coverMediaType, COVER_MEDIA_TYPES, MAX_COVER_BYTES } from 'w2e-shared/coverArt.js';
 
 export const router = express.Router();
 
-// Allow internal IPs if explicitly configured (e.g. in K8s/Docker)
-const ALLOW_INTERNAL_IPS = process.env.ALLOW_INTERNAL_IPS === 'true';
+// Validates the optional { fetcher, waitForSelector } request fields shared by the crawling routes.
+// Returns the options, or a string describing what is wrong.
+function parseFetchOptions({ fetcher, waitForSelector }) {
+  if (fetcher !== undefined && fetcher !== null && !isFetcherName(fetcher)) return `Unknown fetcher "${fetcher}"`;
+  if (waitForSelector && typeof waitForSelector !== 'string') return 'waitForSelector must be a CSS selector string';
+  return { fetcher: fetcher || null, waitForSelector: waitForSelector || null };
+}
 
-/**
- * Validates an IP address against private/reserved ranges.
- * @param {string} ip - The IP address string.
- * @returns {boolean} - True if public/safe, false if private/reserved.
- */
-function isIpSafe(ip) {
-  // Bypass validation if configured for internal/dev environments
-  if (ALLOW_INTERNAL_IPS) return true;
+// Turns the optional `cookies` field (Cookie header or cookies.txt) into the jar for a request.
+// With a jobId the jar is kept in memory for the job's later requests, which must send the
+// returned `cookieToken` to use it; a job whose jar belongs to another client gets a jar for
+// this request only. Cookie values must never appear in responses or logs, so errors only
+// describe the problem. Returns { cookieJar, cookieToken }.
+function resolveCookieJar(jobId, cookies, url, token) {
+  if (!cookies) return { cookieJar: getJobCookieJar(jobId, token ?? null), cookieToken: null };
+  if (jobId && canUseJobCookies(jobId, token)) {
+    const { token: cookieToken } = setJobCookies(jobId, cookies, url, token);
+    return { cookieJar: getJobCookieJar(jobId, cookieToken), cookieToken };
+  }
+  return { cookieJar: createCookieJar(cookies, url), cookieToken: null };
+}
 
+// Validates the optional `contentRules` field ({ selector, remove, textFilters }).
+// Returns the normalized rules (or null), or a string describing what is wrong.
+function parseContentRules({ contentRules }) {
   try {
-    if (Address4.isValid(ip)) {
-      const addr = new Address4(ip);
-      const parts = addr.parsedAddress.map(p => parseInt(p, 10));
-      const [p0, p1, p2] = parts;
-
-      // 0.0.0.0/8 (Current network)
-      if (p0 === 0) return false;
-      
-      // 10.0.0.0/8 (Private)
-      if (p0 === 10) return false;
-      
-      // 100.64.0.0/10 (CGNAT)
-      if (p0 === 100 && p1 >= 64 && p1 <= 127) return false;
-      
-      // 127.0.0.0/8 (Loopback)
-      if (p0 === 127) return false;
-      
-      // 169.254.0.0/16 (Link-local)
-      if (p0 === 169 && p1 === 254) return false;
-      
-      // 172.16.0.0/12 (Private)
-      if (p0 === 172 && p1 >= 16 && p1 <= 31) return false;
-      
-      // 192.0.2.0/24 (TEST-NET-1)
-      if (p0 === 192 && p1 === 0 && p2 === 2) return false;
-      
-      // 192.168.0.0/16 (Private)
-      if (p0 === 192 && p1 === 168) return false;
-      
-      // 198.18.0.0/15 (Benchmarking)
-      if (p0 === 198 && (p1 === 18 || p1 === 19)) return false;
-      
-      // 198.51.100.0/24 (TEST-NET-2)
-      if (p0 === 198 && p1 === 51 && p2 === 100) return false;
-      
-      // 203.0.113.0/24 (TEST-NET-3)
-      if (p0 === 203 && p1 === 0 && p2 === 113) return false;
-      
-      // 224.0.0.0/4 (Multicast/Reserved)
-      if (p0 >= 224) return false;
-
-      return true;
-    }
-    
-    if (Address6.isValid(ip)) {
-       const addr = new Address6(ip);
-       if (addr.isLoopback()) return false;
-       if (addr.isUniqueLocal()) return false;
-       if (addr.isLinkLocal()) return false;
-       if (addr.isMulticast()) return false;
-       
-       // Block documentation ranges (2001:db8::/32)
-       const hex = addr.toHex(); 
-       if (hex.startsWith('2001:0db8')) return false;
-       
-       return true;
-    }
-    return false;
+    return normalizeContentRules(contentRules);
   } catch (e) {
-    // Fail safe on parsing errors
-    return false;
+    return `Invalid content rules: ${e.message}`;
   }
 }
 
-/**
- * Resolves a hostname to an IP and validates it.
- * Returns the safe IP and family, or throws error.
- */
-async function resolveAndValidate(hostname) {
-  const { address, family } = await dns.lookup(hostname);
-  if (!isIpSafe(address)) {
-    throw new Error(`DNS resolution denied: ${hostname} resolved to private/unsafe IP ${address}`);
+// Optional book styling for /epub (see shared styles.js); an embedded font comes as { name, data: base64 }
+function parseStyleOptions({ style }) {
+  try {
+    const font = style?.font ? { name: style.font.name, data: Buffer.from(String(style.font.data || ''), 'base64') } : null;
+    return normalizeStyleOptions(style ? { ...style, font } : null);
+  } catch (e) {
+    return `Invalid style: ${e.message}`;
+  }
+}
+
+// Optional local cover for /epub as { name, data: base64 }, used instead of the `cover` URL
+function parseCoverImage({ coverImage }) {
+  if (!coverImage) return null;
+  const mediaType = coverMediaType(coverImage.name);
+  if (!mediaType) return `Invalid coverImage: name must end in ${Object.keys(COVER_MEDIA_TYPES).map(ext => `.${ext}`).join(', ')}`;
+  const data = Buffer.from(String(coverImage.data || ''), 'base64');
+  if (data.length === 0) return 'Invalid coverImage: data is empty';
+  if (data.length > MAX_COVER_BYTES) return `Invalid coverImage: larger than ${MAX_COVER_BYTES / 1024 / 1024} MB`;
+  return { data, mediaType };
+}
+
+// Optional title/about/note pages for /epub (see shared frontMatter.js)
+function parseFrontMatter({ frontMatter }) {
+  try {
+    return frontMatter ? normalizeFrontMatter(frontMatter) : null;
+  } catch (e) {
+    return `Invalid frontMatter: ${e.message}`;
+  }
+}
+
+// Optional chapter title clean-up for /epub (see shared chapterTitles.js)
+function parseTitleOptions({ titles }) {
+  try {
+    return titles ? normalizeTitleOptions(titles) : null;
+  } catch (e) {
+    return `Invalid titles: ${e.message}`;
   }
-  return { address, family };
 }
 
 // Step 1: Analyze the main URL (TOC)
 router.post('/novel-info', async (req, res) => {
-  const { url, jobId } = req.body;
+  // mode: 'toc' (default) scans a table of contents, 'chain' follows next-chapter links from a first chapter
+  // bypassCache: re-download pages instead of using the HTTP cache
+  // fetcher: 'http' (default) or 'browser' for JavaScript-rendered sites, with an optional waitForSelector
+  // cookies: Cookie header or cookies.txt for login-gated sites, kept in memory for this job only
+  // cookieToken: returned when cookies were stored, needed to reuse them (see resolveCookieJar)
+  const { url, jobId, mode = 'toc', maxChapters, endUrl, bypassCache = false, cookies, cookieToken } = req.body;
   try {
     if (!url) return res.status(400).json({ error: 'URL is required' });
     if (!jobId) return res.status(400).json({ error: 'jobId is required for session tracking' });
+    if (!isValidJobId(jobId)) return res.status(400).json({ error: 'jobId may only contain letters, digits, "-" and "_"' });
     
     // Basic URL validation
     try { new URL(url); } catch(e) { return res.status(400).json({ error: 'Invalid URL' }); }
 
-    // Analyze in background
-    analyzeNovel(url, jobId).catch(err => {
-       console.error('Background analysis failed:', err);
-       getIO().to(jobId).emit('error', { message: err.message || 'Analysis crashed' });
-    });
+    if (!['toc', 'chain'].includes(mode)) return res.status(400).json({ error: 'mode must be "toc" or "chain"' });
+    if (endUrl) {
+      try { new URL(endUrl); } catch(e) { return res.status(400).json({ error: 'Invalid endUrl' }); }
+    }
+    const fetchOptions = parseFetchOptions(req.body);
+    if (typeof fetchOptions === 'string') return res.status(400).json({ error: fetchOptions });
+    let cookieJar, storedToken;
+    try {
+      ({ cookieJar, cookieToken: storedToken } = resolveCookieJar(jobId, cookies, url, cookieToken));
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid cookies: ${e.message}` });
+    }
+
+    // Analyze in background, state is persisted in the job store
+    startAnalysis(jobId, url, { crawl: { mode, maxChapters, endUrl }, bypassCache: bypassCache === true, fetchOptions, cookieJar });
 
     res.json({ 
       status: 'queued',
-      message: 'Analysis started. Please wait for socket events.' 
+      message: 'Analysis started. Please wait for socket events.',
+      ...(storedToken ? { cookieToken: storedToken } : {})
     });
   } catch (error) {
-    console.error('Error in /novel-info:', error);
+    console.error('Error in /novel-info:', error.message);
     if (jobId) getIO().to(jobId).emit('error', { message: error.message });
     res.status(500).json({ error: 'Failed to start analysis', details: error.message });
   }
@@ -126,93 +134,231 @@ router.post('/novel-info', async (req, res) => {
 // Step 2: Fetch content for a batch of chapters
 router.post('/chapters-batch', async (req, res) => {
   try {
-    const { chapters, jobId, userAgent } = req.body;
+    const { chapters, jobId, userAgent, bypassCache = false, cookies } = req.body;
     if (!chapters || !Array.isArray(chapters)) {
       return res.status(400).json({ error: 'chapters array is required' });
     }
+    let cookieJar, cookieToken;
+    try {
+      ({ cookieJar, cookieToken } = resolveCookieJar(jobId, cookies, getJob(jobId)?.url || chapters[0]?.url, req.body.cookieToken));
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid cookies: ${e.message}` });
+    }
+    let fetchOptions = parseFetchOptions(req.body);
+    if (typeof fetchOptions === 'string') return res.status(400).json({ error: fetchOptions });
+    // Without explicit settings, chapters are fetched the way the job's analysis was
+    if (!fetchOptions.fetcher && jobId && getJob(jobId)?.fetchOptions) fetchOptions = getJob(jobId).fetchOptions;
+    const contentRules = parseContentRules(req.body);
+    if (typeof contentRules === 'string') return res.status(400).json({ error: contentRules });
 
-    const results = await fetchChaptersBatch(chapters, jobId, userAgent);
-    res.json({ results });
+    // Chapters the job already downloaded are the yardstick for spotting bad extractions
+    const reference = getJob(jobId)?.chapters || [];
+    const results = await fetchChaptersBatch(chapters, jobId, userAgent, { bypassCache: bypassCache === true, fetchOptions, cookieJar, contentRules, reference });
+    if (jobId) recordChapterResults(jobId, results);
+    // Every chapter of the job is downloaded: its cookies aren't needed any more
+    if (jobId && isJobComplete(jobId)) {
+      clearJobCookies(jobId);
+      cookieToken = null;
+    }
+    res.json({ results, ...(cookieToken ? { cookieToken } : {}) });
   } catch (error) {
-    console.error('Error in /chapters-batch:', error);
+    console.error('Error in /chapters-batch:', error.message);
     res.status(500).json({ error: 'Failed to fetch batch', details: error.message });
   }
 });
 
-// Helper: Proxy images safely (Preventing SSRF via DNS Rebinding & Redirects)
-router.get('/proxy-image', async (req, res) => {
-  const { url } = req.query;
-  if (!url) return res.status(400).send('URL required');
-  
-  let currentUrl = url;
-  let redirectCount = 0;
-  const MAX_REDIRECTS = 5;
-  const MAX_SIZE = 10 * 1024 * 1024; // 10MB limit
+// Extracts one chapter with the given content rules so users can check them before a full download
+router.post('/preview-chapter', async (req, res) => {
+  const { url, jobId, userAgent, bypassCache = false, cookies } = req.body;
+  if (!url) return res.status(400).json({ error: 'url is required' });
+  try { new URL(url); } catch (e) { return res.status(400).json({ error: 'Invalid URL' }); }
 
+  const contentRules = parseContentRules(req.body);
+  if (typeof contentRules === 'string') return res.status(400).json({ error: contentRules });
+  let fetchOptions = parseFetchOptions(req.body);
+  if (typeof fetchOptions === 'string') return res.status(400).json({ error: fetchOptions });
+  if (!fetchOptions.fetcher && jobId && getJob(jobId)?.fetchOptions) fetchOptions = getJob(jobId).fetchOptions;
+  let cookieJar, cookieToken;
   try {
-    while (redirectCount <= MAX_REDIRECTS) {
-      let urlObj;
-      try {
-        urlObj = new URL(currentUrl);
-      } catch (e) {
-        return res.status(400).send('Invalid URL format');
-      }
+    ({ cookieJar, cookieToken } = resolveCookieJar(jobId, cookies, getJob(jobId)?.url || url, req.body.cookieToken));
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid cookies: ${e.message}` });
+  }
 
-      if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
-        return res.status(400).send('Invalid protocol');
-      }
+  try {
+    const preview = await previewChapter(url, { userAgent, bypassCache: bypassCache === true, fetchOptions, cookieJar, contentRules });
+    res.json({ ...preview, ...(cookieToken ? { cookieToken } : {}) });
+  } catch (error) {
+    console.error('Error in /preview-chapter:', error.message);
+    res.status(500).json({ error: 'Failed to fetch chapter', details: error.message });
+  }
+});
+
+// Job management: persisted state of analyses and downloads
+router.get('/jobs', (req, res) => {
+  res.json({ jobs: listJobs() });
+});
 
-      // 1. Resolve and Validate IP immediately
-      const { address, family } = await resolveAndValidate(urlObj.hostname);
+router.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(toSnapshot(job));
+});
+
+router.post('/jobs/:jobId/cancel', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  cancelJob(job.id);
+  clearJobCookies(job.id);
+  getIO().to(job.id).emit('log', 'Job cancelled.');
+  res.json(toSnapshot(job));
+});
+
+// Restarts an unfinished analysis from its checkpoint; finished jobs return the chapters still pending
+router.post('/jobs/:jobId/resume', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  if (['interrupted', 'failed', 'cancelled'].includes(job.status) && job.chapters.length === 0) {
+    startAnalysis(job.id, job.url, { resume: true, cookieJar: getJobCookieJar(job.id, req.body?.cookieToken ?? null) });
+    return res.json({ status: 'queued', message: 'Analysis resumed. Please wait for socket events.' });
+  }
+  if (job.status === 'analyzing') {
+    return res.status(409).json({ error: 'Analysis is already running' });
+  }
+
+  const snapshot = toSnapshot(job);
+  res.json({ ...snapshot, pendingChapters: snapshot.chapters.filter(c => !['success', 'review'].includes(c.status)) });
+});
+
+// Replaces the cookies used for a job's requests (e.g. after a server restart dropped them).
+// Replacing or deleting stored cookies takes the `cookieToken` returned when they were stored.
+router.post('/jobs/:jobId/cookies', (req, res) => {
+  const { jobId } = req.params;
+  if (!isValidJobId(jobId)) return res.status(400).json({ error: 'Invalid jobId' });
+  const url = req.body.url || getJob(jobId)?.url;
+  if (!url) return res.status(400).json({ error: 'url is required for jobs the server does not know' });
 
-      // 2. Define custom lookup to force Axios to use the VALIDATED IP
-      // This prevents DNS Rebinding because we intercept the lookup and return the pinned safe IP.
-      const customLookup = (hostname, options, cb) => {
-        // Axios/Node passes (hostname, options, callback)
-        // We bypass actual DNS lookup here and return our pre-validated IP
-        cb(null, address, family);
-      };
+  if (!canUseJobCookies(jobId, req.body.cookieToken)) return res.status(403).json({ error: 'The cookies of this job were set by another client' });
+
+  try {
+    const { count, token } = setJobCookies(jobId, req.body.cookies, url, req.body.cookieToken);
+    res.json({ cookies: count, cookieToken: token });
+  } catch (e) {
+    res.status(400).json({ error: `Invalid cookies: ${e.message}` });
+  }
+});
+
+router.delete('/jobs/:jobId/cookies', (req, res) => {
+  const { jobId } = req.params;
+  if (!canUseJobCookies(jobId, req.body?.cookieToken)) return res.status(403).json({ error: 'The cookies of this job were set by another client' });
+  res.json({ cleared: clearJobCookies(jobId) });
+});
+
+// Headless EPUB build: fetches, parses and packages the chapters, streaming back the .epub
+router.post('/epub', async (req, res) => {
+  const { title, author, description, cover, chapters, jobId, userAgent, images, cookies, volumePages } = req.body;
+  // Optional book metadata (see shared metadata.js): tags, status, language, publisher, series, identifier, source
+  if (!chapters || !Array.isArray(chapters) || chapters.length === 0) {
+    return res.status(400).json({ error: 'chapters array is required' });
+  }
+  if (chapters.some(c => !c || !c.url)) {
+    return res.status(400).json({ error: 'Every chapter needs a url' });
+  }
 
-      // 3. Perform Request with Redirects DISABLED (Manual handling)
+  try {
+    const { tags, status, language, publisher, series, identifier, source } = req.body;
+    const novel = { title: title || 'Untitled', author, description, cover, chapters, tags, status, language, publisher, series, identifier, source };
+    const fetchOptions = parseFetchOptions(req.body);
+    if (typeof fetchOptions === 'string') return res.status(400).json({ error: fetchOptions });
+    let cookieJar, cookieToken;
+    try {
+      ({ cookieJar, cookieToken } = resolveCookieJar(jobId, cookies, chapters[0].url, req.body.cookieToken));
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid cookies: ${e.message}` });
+    }
+    const contentRules = parseContentRules(req.body);
+    if (typeof contentRules === 'string') return res.status(400).json({ error: contentRules });
+    const style = parseStyleOptions(req.body);
+    if (typeof style === 'string') return res.status(400).json({ error: style });
+    const coverImage = parseCoverImage(req.body);
+    if (typeof coverImage === 'string') return res.status(400).json({ error: coverImage });
+    const frontMatter = parseFrontMatter(req.body);
+    if (typeof frontMatter === 'string') return res.status(400).json({ error: frontMatter });
+    const titleOptions = parseTitleOptions(req.body);
+    if (typeof titleOptions === 'string') return res.status(400).json({ error: titleOptions });
+    const imageOptions = parseImageOptions(images);
+    if (imageOptions) {
+      // Checked up front so a missing sharp doesn't quietly turn every image into a placeholder
       try {
-        const response = await axios.get(currentUrl, {
-          responseType: 'arraybuffer',
-          timeout: 10000,
-          headers: { 'User-Agent': 'Mozilla/5.0' },
-          maxRedirects: 0,
-          lookup: customLookup, // Force usage of safe IP
-          maxContentLength: MAX_SIZE,
-          maxBodyLength: MAX_SIZE,
-          validateStatus: status => (status >= 200 && status < 300) || (status >= 300 && status < 400)
-        });
-
-        // Handle Redirects Manually
-        if (response.status >= 300 && response.status < 400) {
-          const location = response.headers['location'];
-          if (!location) throw new Error('Redirect without location header');
-          
-          // Resolve relative redirects
-          currentUrl = new URL(location, currentUrl).href;
-          redirectCount++;
-          continue;
-        }
-
-        // Success
-        const contentType = response.headers['content-type'] || 'image/jpeg';
-        res.set('Content-Type', contentType);
-        return res.send(response.data);
-
-      } catch (err) {
-        // Axios throws on maxRedirects: 0 if it hits a redirect that validateStatus doesn't catch
-        // But since we catch 3xx in validateStatus, this catch handles network/timeout errors.
-        throw err;
+        await loadSharp();
+      } catch (e) {
+        return res.status(501).json({ error: e.message });
       }
     }
-    
-    throw new Error('Too many redirects');
+    const { zip, imageStats, validation } = await buildEpub(novel, {
+      jobId, userAgent, fetchOptions, cookieJar, contentRules, imageOptions, volumePages: volumePages === true, style, coverImage, frontMatter, titleOptions
+    });
+
+    const cleanTitle = novel.title.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    res.set('Content-Type', 'application/epub+zip');
+    if (cookieToken) res.set('X-Cookie-Token', cookieToken);
+    if (imageStats.optimized > 0) {
+      res.set('X-Image-Original-Bytes', String(imageStats.originalBytes));
+      res.set('X-Image-Bytes-Saved', String(imageStats.originalBytes - imageStats.bytes));
+    }
+    // Chapters whose markup had to be repaired, and package problems left (see shared validation.js)
+    res.set('X-Epub-Repaired-Chapters', String(validation.chapters.length));
+    res.set('X-Epub-Problems', String(validation.problems.length));
+    res.set('Content-Disposition', `attachment; filename="${cleanTitle}.epub"`);
+
+    zip.generateNodeStream({
+      type: 'nodebuffer',
+      streamFiles: true,
+      compression: 'DEFLATE',
+      compressionOptions: { level: 5 }
+    })
+      .on('error', (err) => {
+        console.error('Error streaming EPUB:', err);
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Error in /epub:', error.message);
+    res.status(500).json({ error: 'Failed to build EPUB', details: error.message });
+  }
+});
+
+// Helper: Proxy images safely (SSRF protection lives in services/safeFetch.js)
+// With ?optimize=1 (plus maxDimension, grayscale, quality) the image is converted/recompressed
+// and the size change is reported in the X-Original-Bytes / X-Bytes-Saved headers.
+router.get('/proxy-image', async (req, res) => {
+  const { url } = req.query;
+  if (!url) return res.status(400).send('URL required');
 
+  try {
+    const { data, contentType } = await fetchRemoteResource(url);
+    const imageOptions = parseImageOptions(req.query);
+    if (imageOptions) {
+      const result = await optimizeImage(data, contentType, imageOptions);
+      res.set('Content-Type', result.contentType);
+      res.set('X-Original-Bytes', String(result.originalBytes));
+      res.set('X-Bytes-Saved', String(result.originalBytes - result.bytes));
+      return res.send(result.data);
+    }
+    // The browser builds EPUBs from these, so types outside the EPUB core ones are converted anyway
+    const image = await toCoreImageType(data, contentType);
+    res.set('Content-Type', image.contentType);
+    return res.send(image.data);
   } catch (error) {
     // Differentiate errors
+    if (error.status === 400) {
+        return res.status(400).send(error.message);
+    }
+    if (error.code === 'SHARP_UNAVAILABLE') {
+        return res.status(501).send(error.message);
+    }
     if (error.message && error.message.includes('DNS resolution denied')) {
         console.warn(`Proxy blocked unsafe IP for ${url}: ${error.message}`);
         return res.status(403).send('Access to this resource is forbidden');
@@ -225,4 +371,4 @@ router.get('/proxy-image', async (req, res) => {
     console.warn(`Proxy blocked/failed for ${url}:`, error.message);
     res.status(500).send('Failed to fetch image');
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,142 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { normalizeContentRules } from './parser.js';
+
+/**
+ * adapters.js - Per-site adapter registry.
+ *
+ * An adapter is a declarative description of how to scrape one site. It is
+ * loaded from a JSON file or a JS module (default export) and may contain:
+ *
+ *   name        Human readable name, used in logs.
+ *   hostnames   ["example.com"] - matches the host and any subdomain.
+ *   urlPattern  Optional regex string the full URL must match.
+ *   metadata    { title, author, cover, description, tags, status, publisher, series, seriesIndex }
+ *               CSS selectors; `tags` reads every match. Append "@attr" to read an attribute
+ *               (e.g. "img.cover@src").
+ *   toc         { chapterLinks, nextPage, reverse, volumes } selectors for the TOC; `volumes`
+ *               matches the volume/arc headings the chapter links are grouped under.
+ *   content     { selector, remove: [], textFilters: [], title } chapter rules; `title` selects the
+ *               chapter heading on the page (by default known title classes, then the first <h1>).
+ *   chain       { nextLink } "Next Chapter" selector for chain-crawl mode.
+ *   rateLimit   { concurrency, delay, respectRobots } per-host politeness (see hostScheduler.js).
+ *   fetcher     { type: 'browser', waitForSelector } for sites that need a headless browser
+ *               (see fetchers.js); waitForSelector applies to chapter pages.
+ *
+ * JS modules may additionally provide functions which take precedence over
+ * the selectors: toc.extract($, baseUrl) (chapters may carry a `volume` name), toc.findNext($, baseUrl),
+ * metadata.extract($, baseUrl) and content.clean($) (runs on the whole page
+ * before the generic cleaning).
+ *
+ * Anything an adapter does not supply falls back to the generic heuristics.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUILTIN_DIR = path.join(__dirname, '../adapters');
+
+// Extra directories (colon separated) so deployments can add sites without touching the core
+const EXTRA_DIRS = (process.env.ADAPTERS_DIR || '').split(path.delimiter).filter(Boolean);
+
+let adaptersPromise = null;
+
+async function loadAdapterFile(file) {
+  if (file.endsWith('.json')) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  }
+  const mod = await import(pathToFileURL(file).href);
+  return mod.default;
+}
+
+function compileAdapter(def, source) {
+  if (!def || !Array.isArray(def.hostnames) || def.hostnames.length === 0) {
+    throw new Error(`Adapter ${source} must declare a non-empty "hostnames" array`);
+  }
+  // Adapter text filters run on the same thread as everyone's requests: same checks as user rules
+  const contentRules = def.content ? normalizeContentRules(def.content) : null;
+  return {
+    ...def,
+    ...(contentRules ? { content: { ...def.content, ...contentRules } } : {}),
+    name: def.name || path.basename(source),
+    hostnames: def.hostnames.map(h => h.toLowerCase().replace(/^www\./, '')),
+    urlRegex: def.urlPattern ? new RegExp(def.urlPattern, 'i') : null
+  };
+}
+
+/**
+ * Loads every *.json / *.js adapter from the given directories.
+ * A broken adapter is logged and skipped so one bad file can't take the crawler down.
+ */
+export async function loadAdapters(dirs = [BUILTIN_DIR, ...EXTRA_DIRS]) {
+  const adapters = [];
+  for (const dir of dirs) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir);
+    } catch (e) {
+      console.warn(`[Adapters] Cannot read adapter directory ${dir}: ${e.message}`);
+      continue;
+    }
+
+    for (const entry of entries.sort()) {
+      if (!/\.(json|js|mjs)$/.test(entry)) continue;
+      const file = path.join(dir, entry);
+      try {
+        adapters.push(compileAdapter(await loadAdapterFile(file), file));
+      } catch (e) {
+        console.warn(`[Adapters] Skipping ${file}: ${e.message}`);
+      }
+    }
+  }
+  console.log(`[Adapters] Loaded ${adapters.length} site adapter(s)`);
+  return adapters;
+}
+
+function getAdapters() {
+  if (!adaptersPromise) adaptersPromise = loadAdapters();
+  return adaptersPromise;
+}
+
+/**
+ * Returns the adapter matching the URL, or null to use the generic heuristics.
+ */
+export async function findAdapter(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const adapters = await getAdapters();
+
+  return adapters.find(a =>
+    a.hostnames.some(h => host === h || host.endsWith('.' + h)) &&
+    (!a.urlRegex || a.urlRegex.test(parsed.href))
+  ) || null;
+}
+
+/**
+ * Resolves a "selector" or "selector@attr" expression against a cheerio document.
+ * Returns trimmed text (or the attribute value), or null when nothing matched.
+ */
+export function selectValue($, expression) {
+  if (!expression) return null;
+  const [selector, attr] = expression.split('@');
+  const node = $(selector).first();
+  if (!node.length) return null;
+  const value = attr ? node.attr(attr) : node.text();
+  return value ? value.trim() : null;
+}
+
+/**
+ * Like selectValue, but returns the values of every match (empty ones dropped).
+ */
+export function selectValues($, expression) {
+  if (!expression) return [];
+  const [selector, attr] = expression.split('@');
+  return $(selector).toArray()
+    .map(el => (attr ? $(el).attr(attr) : $(el).text()) || '')
+    .map(value => value.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,60 @@
+/**
+ * chapterQuality.js - Flags chapters whose extraction "worked" but probably isn't the chapter:
+ * paywall notices, login walls, the same error page for every URL, navigation blocks...
+ *
+ * Each chapter carries the parser's quality report ({ words, textLength, linkRatio, strategy, hash },
+ * see extractChapter). Reasons are judged against the rest of the novel:
+ *   empty      nothing extracted
+ *   short      under SHORT_RATIO of the median chapter length
+ *   duplicate  same text as another chapter
+ *   links      mostly link text (a TOC or navigation block)
+ *   fallback   no content block was found, the whole page was used
+ * (labels for them live in w2e-shared/reviewReasons.js)
+ */
+
+const SHORT_RATIO = 0.2;
+// A median over fewer chapters says little about the novel
+const MIN_CHAPTERS_FOR_MEDIAN = 5;
+const MAX_LINK_RATIO = 0.5;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Adds `review` (array of the reason keys above, empty when fine) to every successful result.
+ *
+ * @param {Array} results - fetchChaptersBatch results ({ url, success, quality })
+ * @param {Array} reference - Previously downloaded chapters of the same novel ({ url, quality })
+ * @returns {Array} The same results
+ */
+export function reviewChapters(results, reference = []) {
+  // The batch itself counts as reference; its results replace older ones for the same URL
+  const byUrl = new Map(reference.filter(c => c.quality).map(c => [c.url, c.quality]));
+  results.forEach(r => { if (r.success && r.quality) byUrl.set(r.url, r.quality); });
+
+  const lengths = Array.from(byUrl.values()).map(q => q.textLength).filter(len => len > 0);
+  const medianLength = lengths.length >= MIN_CHAPTERS_FOR_MEDIAN ? median(lengths) : null;
+
+  const urlsByHash = new Map();
+  for (const [url, quality] of byUrl) {
+    if (!quality.hash) continue;
+    if (!urlsByHash.has(quality.hash)) urlsByHash.set(quality.hash, []);
+    urlsByHash.get(quality.hash).push(url);
+  }
+
+  for (const result of results) {
+    if (!result.success || !result.quality) continue;
+    const { textLength, linkRatio, strategy, hash } = result.quality;
+    const review = [];
+    if (textLength === 0) review.push('empty');
+    else if (medianLength && textLength < medianLength * SHORT_RATIO) review.push('short');
+    if (hash && urlsByHash.get(hash).length > 1) review.push('duplicate');
+    if (linkRatio > MAX_LINK_RATIO) review.push('links');
+    if (strategy === 'body') review.push('fallback');
+    result.review = review;
+  }
+  return results;
+}
@@ -0,0 +1,160 @@
+/**
+ * cookieJars.js - User-supplied cookies for login-gated chapters.
+ *
+ * Users paste either a Cookie header ("a=1; b=2", scoped to the novel's host) or a
+ * Netscape cookies.txt export. Jars live in memory only, keyed by jobId: they are never
+ * written to the job store, logged or sent back to clients, and are dropped after
+ * COOKIE_JAR_TTL_HOURS without use (or when the client deletes them).
+ *
+ * Job ids are not secret (GET /api/jobs lists them), so each stored jar is bound to a random
+ * token that only the client which stored it gets back; HTTP routes need that token to use,
+ * replace or delete the jar.
+ */
+import crypto from 'node:crypto';
+
+const JAR_TTL = (parseFloat(process.env.COOKIE_JAR_TTL_HOURS) || 6) * 60 * 60 * 1000;
+const MAX_COOKIE_INPUT = 256 * 1024;
+
+const jobJars = new Map();
+
+const isNetscapeFormat = (text) =>
+  /^# ?Netscape HTTP Cookie File/im.test(text) ||
+  text.split(/\r?\n/).some(line => line.split('\t').length === 7);
+
+function parseNetscape(text) {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    // curl marks HttpOnly cookies with this prefix instead of commenting them out
+    line = line.replace(/^#HttpOnly_/, '');
+    if (!line.trim() || line.startsWith('#')) continue;
+    const fields = line.split('\t');
+    if (fields.length !== 7) continue;
+    const [domain, includeSubdomains, path, secure, expires, name, value] = fields;
+    cookies.push({
+      domain: domain.toLowerCase().replace(/^\./, ''),
+      hostOnly: includeSubdomains.toUpperCase() !== 'TRUE' && !domain.startsWith('.'),
+      path: path || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: Number(expires) > 0 ? Number(expires) * 1000 : null,
+      name,
+      value
+    });
+  }
+  return cookies;
+}
+
+function parseCookieHeader(text, url) {
+  const { hostname } = new URL(url);
+  // Like a browser session for the novel's site: sent to the host and its subdomains
+  const domain = hostname.toLowerCase().replace(/^www\./, '');
+  return text.replace(/^cookie:\s*/i, '').split(/[;\r\n]+/)
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => {
+      const index = part.indexOf('=');
+      return {
+        domain,
+        hostOnly: false,
+        path: '/',
+        secure: false,
+        expires: null,
+        name: part.slice(0, index).trim(),
+        value: part.slice(index + 1).trim()
+      };
+    })
+    .filter(cookie => cookie.name);
+}
+
+function domainMatches(cookie, hostname) {
+  if (cookie.hostOnly) return hostname === cookie.domain;
+  return hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`);
+}
+
+/**
+ * @param {string} text - Cookie header value or cookies.txt contents
+ * @param {string} url - Novel URL; scopes a plain cookie header to its host
+ * @returns {{ size: number, cookiesFor: Function, headerFor: Function }}
+ */
+export function createCookieJar(text, url) {
+  if (typeof text !== 'string') throw new Error('cookies must be a string');
+  if (text.length > MAX_COOKIE_INPUT) throw new Error('cookies input is too large');
+  const cookies = isNetscapeFormat(text) ? parseNetscape(text) : parseCookieHeader(text, url);
+
+  const cookiesFor = (targetUrl) => {
+    const target = new URL(targetUrl);
+    const hostname = target.hostname.toLowerCase();
+    const now = Date.now();
+    return cookies.filter(c =>
+      domainMatches(c, hostname) &&
+      target.pathname.startsWith(c.path) &&
+      (!c.secure || target.protocol === 'https:') &&
+      (!c.expires || c.expires > now)
+    );
+  };
+
+  return {
+    size: cookies.length,
+    cookiesFor,
+    headerFor: (targetUrl) => cookiesFor(targetUrl).map(c => `${c.name}=${c.value}`).join('; ') || null
+  };
+}
+
+function liveEntry(jobId) {
+  const entry = jobId ? jobJars.get(jobId) : null;
+  if (!entry) return null;
+  if (Date.now() - entry.lastUsed > JAR_TTL) {
+    jobJars.delete(jobId);
+    return null;
+  }
+  return entry;
+}
+
+const tokenMatches = (entry, token) => typeof token === 'string' &&
+  token.length === entry.token.length &&
+  crypto.timingSafeEqual(Buffer.from(token), Buffer.from(entry.token));
+
+/**
+ * True when `token` may use, replace or delete the job's jar: the jar's own token, or any
+ * caller while the job has no jar.
+ */
+export function canUseJobCookies(jobId, token) {
+  const entry = liveEntry(jobId);
+  return !entry || tokenMatches(entry, token);
+}
+
+/**
+ * Parses and stores the cookies for a job, replacing any previous jar of the same owner.
+ * Returns the number of cookies accepted (never the cookies themselves) and the jar's token.
+ */
+export function setJobCookies(jobId, text, url, token) {
+  if (!canUseJobCookies(jobId, token)) throw new Error('The cookies of this job were set by another client');
+  const jar = createCookieJar(text, url);
+  if (jar.size === 0) throw new Error('No cookies found in the supplied text');
+  const previous = liveEntry(jobId);
+  const entry = { jar, lastUsed: Date.now(), token: previous?.token || crypto.randomBytes(24).toString('hex') };
+  jobJars.set(jobId, entry);
+  return { count: jar.size, token: entry.token };
+}
+
+/**
+ * The job's jar. Server-side callers (the job's own analysis) pass no token; routes acting
+ * for a client pass the client's token and get null when it doesn't match.
+ */
+export function getJobCookieJar(jobId, token) {
+  const entry = liveEntry(jobId);
+  if (!entry || (token !== undefined && !tokenMatches(entry, token))) return null;
+  entry.lastUsed = Date.now();
+  return entry.jar;
+}
+
+export function clearJobCookies(jobId) {
+  return jobJars.delete(jobId);
+}
+
+// Expired jars would otherwise sit in memory until their job is touched again
+setInterval(() => {
+  const now = Date.now();
+  for (const [jobId, entry] of jobJars) {
+    if (now - entry.lastUsed > JAR_TTL) jobJars.delete(jobId);
+  }
+}, 60 * 60 * 1000).unref();
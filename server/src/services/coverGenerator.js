@@ -0,0 +1,19 @@
+import { coverLayout, coverSvg } from 'w2e-shared/coverArt.js';
+import { loadSharp } from './imageOptimizer.js';
+
+/**
+ * Generated cover for a novel without one (see w2e-shared/coverArt.js), as { data, mediaType }.
+ * The SVG is rasterized to JPEG since not every reader shows SVG covers; if sharp can't
+ * render it (not installed, or no SVG support in this build), the SVG is used as-is.
+ */
+export async function generateCover(novel, style) {
+  const svg = coverSvg(coverLayout(novel, style));
+  try {
+    const sharp = await loadSharp();
+    const data = await sharp(Buffer.from(svg)).jpeg({ quality: 90 }).toBuffer();
+    return { data, mediaType: 'image/jpeg' };
+  } catch (e) {
+    console.warn(`Cover generator: could not rasterize the SVG (${e.message}), embedding it as SVG`);
+    return { data: Buffer.from(svg), mediaType: 'image/svg+xml' };
+  }
+}
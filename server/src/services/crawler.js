@@ -2,26 +2,30 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import pLimit from 'p-limit';
 import UserAgent from 'fake-useragent';
-import { extractChapterContent } from './parser.js';
+import { normalizeLanguage, normalizeTags, normalizeSeries, DEFAULT_LANGUAGE } from 'w2e-shared/metadata.js';
+import { extractChapter, extractChapterContent, mergeContentRules } from './parser.js';
+import { reviewChapters } from './chapterQuality.js';
+import { detectVolumes, finalizeVolumes } from './tocVolumes.js';
+import { findAdapter, selectValue, selectValues } from './adapters.js';
+import { scheduleRequest, pauseHost, parseRetryAfter } from './hostScheduler.js';
+import { getCachedPage, isFresh, validatorHeaders, storePage, touchCachedPage } from './httpCache.js';
+import { getFetcher } from './fetchers.js';
+import { getJobCookieJar } from './cookieJars.js';
 import { getIO } from '../socket.js';
 
-const TIMEOUT = 30000;
 const MAX_TOC_PAGES = 500;
 const MAX_RETRIES = 3;
+const MAX_BACKOFF = 30000;
+const MAX_RETRY_AFTER = 5 * 60 * 1000;
+const DEFAULT_CHAIN_CHAPTERS = 2000;
+const MAX_CHAIN_CHAPTERS = 5000;
 
 // Job Manager to prevent zombie processes
 const activeJobs = new Map();
 
-// Factory for axios configuration to ensure robust timeouts
-const axiosConfig = { 
-  timeout: TIMEOUT, 
-  maxRedirects: 5,
-  validateStatus: (status) => status >= 200 && status < 400
-};
-
 function getHeaders(ua) {
   return {
-    'User-Agent': ua || new UserAgent().random,
+    'User-Agent': ua || UserAgent(),
     'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
     'Accept-Language': 'en-US,en;q=0.5',
     'Cache-Control': 'no-cache',
@@ -31,27 +35,82 @@ function getHeaders(ua) {
   };
 }
 
-async function fetchPage(url, userAgent, retries = MAX_RETRIES, signal = null) {
-  try {
-    const response = await axios.get(url, { 
-      ...axiosConfig,
-      headers: getHeaders(userAgent),
-      signal // Pass AbortSignal to axios
-    });
-    return response.data;
-  } catch (error) {
-    if (axios.isCancel(error)) {
-        throw error;
-    }
-    if (retries > 0) {
-      const delay = (MAX_RETRIES - retries + 1) * 2000 + Math.random() * 1000;
-      await new Promise(r => setTimeout(r, delay));
-      return fetchPage(url, userAgent, retries - 1, signal);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Exponential backoff with jitter: ~1s, 2s, 4s... capped
+const backoffDelay = (attempt) => Math.min(MAX_BACKOFF, 1000 * 2 ** attempt) + Math.random() * 1000;
+
+// Other 4xx answers (404, 403...) won't change on a retry
+const isRetryable = (status) => !status || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Fetches a page through the disk cache (see httpCache.js) and the per-host scheduler (see hostScheduler.js).
+ * 429/503 pause the whole host for Retry-After; other transient failures back off exponentially.
+ * `bypassCache` forces a full download (the result still refreshes the cache).
+ * `fetcher` ('http' | 'browser', see fetchers.js) defaults to the site adapter's `fetcher.type`,
+ * then to plain HTTP. `waitForSelector` makes the browser wait for chapter content to render.
+ * `cookieJar` (see cookieJars.js) adds the user's cookies; such requests skip the shared cache
+ * so logged-in pages never leak to other jobs. Pages rendered by another fetcher (or waiting for
+ * another selector) are cached apart from the plain HTTP copy, which may be a script-less shell.
+ */
+export async function fetchPage(url, userAgent, { retries = MAX_RETRIES, signal = null, bypassCache = false, fetcher = null, waitForSelector = null, cookieJar = null } = {}) {
+  const cookieHeader = cookieJar?.headerFor(url) || null;
+  const useCache = !cookieHeader;
+  const backend = getFetcher(fetcher || (await findAdapter(url))?.fetcher?.type || 'http');
+  const variant = backend.name === 'http' ? '' : `${backend.name} ${waitForSelector || ''}`.trim();
+  const cached = bypassCache || !useCache ? null : await getCachedPage(url, variant);
+  if (cached && isFresh(cached)) return cached.body;
+
+  const fetchOptions = {
+    userAgent,
+    signal,
+    headers: { ...getHeaders(userAgent), ...validatorHeaders(cached), ...(cookieHeader ? { Cookie: cookieHeader } : {}) },
+    cookies: cookieHeader ? cookieJar.cookiesFor(url) : [],
+    waitForSelector
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await scheduleRequest(url, () => backend.fetch(url, fetchOptions), { signal });
+
+      if (response.status === 304 && cached) {
+        await touchCachedPage(url, cached, variant);
+        return cached.body;
+      }
+      if (useCache) await storePage(url, response, variant);
+      return response.data;
+    } catch (error) {
+      // The request error carries its config, Cookie header included; it must not travel up to a log
+      if (axios.isCancel(error) || signal?.aborted) {
+          throw new Error('Job cancelled');
+      }
+      const status = error.response?.status;
+      if (attempt >= retries || error.code === 'FETCHER_UNAVAILABLE' || !isRetryable(status)) {
+        // A stale copy beats no copy (site down, offline re-parsing)
+        if (cached) {
+          console.warn(`Serving stale cached copy of ${url}: ${error.message}`);
+          return cached.body;
+        }
+        throw new Error(`Failed to fetch ${url} after ${attempt + 1} attempts. ${error.message}`);
+      }
+
+      if (status === 429 || status === 503) {
+        // The pause applies to every queued request for the host, not just this retry
+        const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+        pauseHost(url, Math.min(retryAfter ?? backoffDelay(attempt), MAX_RETRY_AFTER));
+      } else {
+        await sleep(backoffDelay(attempt));
+      }
     }
-    throw new Error(`Failed to fetch ${url} after ${MAX_RETRIES} attempts. ${error.message}`);
   }
 }
 
+// fetchPage options for a chapter page: the job's choice wins over the adapter's
+const chapterFetchOptions = (fetchOptions, adapter) => ({
+  fetcher: fetchOptions.fetcher || null,
+  waitForSelector: fetchOptions.waitForSelector || adapter?.fetcher?.waitForSelector || null
+});
+
 /**
  * Sophisticated heuristic to extract chapter links from a TOC page.
  * Uses clustering and scoring to distinguish chapter lists from sidebars/archives.
@@ -144,14 +203,13 @@ function extractChapterList($, baseUrl) {
     }
   });
   
-  let finalChapters = [];
-  // If we found a dominant cluster, use it. Otherwise fallback to all candidates if safe.
-  if (bestClusterKey && clusters[bestClusterKey].length > 0) {
-    finalChapters = clusters[bestClusterKey].map(c => c.data);
-  } else {
-    // Fallback: Use all strong matches
-    finalChapters = candidates.filter(c => c.isStrongMatch).map(c => c.data);
-  }
+  // If we found a dominant cluster, use it. Otherwise fallback to all strong matches.
+  const chosen = bestClusterKey && clusters[bestClusterKey].length > 0
+    ? clusters[bestClusterKey]
+    : candidates.filter(c => c.isStrongMatch);
+  // Volume headings / nested lists around the chapter links (sets data.volume)
+  detectVolumes($, chosen);
+  const finalChapters = chosen.map(c => c.data);
 
   // Deduplicate by URL
   const uniqueMap = new Map();
@@ -164,6 +222,121 @@ function extractChapterList($, baseUrl) {
   return Array.from(uniqueMap.values());
 }
 
+/**
+ * Chapter list from an adapter's `toc.chapterLinks` selector (or its own extract function).
+ */
+function extractAdapterChapterList($, baseUrl, toc) {
+  if (typeof toc.extract === 'function') return toc.extract($, baseUrl);
+
+  const items = [];
+  $(toc.chapterLinks).each((i, el) => {
+    const href = $(el).attr('href');
+    if (!href) return;
+    try {
+      items.push({ element: $(el), data: { title: $(el).text().trim() || `Chapter ${i + 1}`, url: new URL(href, baseUrl).href } });
+    } catch (e) {}
+  });
+  detectVolumes($, items, toc.volumes || null);
+  return items.map(item => item.data);
+}
+
+/**
+ * Picks the TOC strategy: adapter rules when present, generic heuristics otherwise.
+ */
+function extractTocPage($, baseUrl, adapter) {
+  const toc = adapter?.toc;
+  const chapters = toc && (toc.chapterLinks || toc.extract)
+    ? extractAdapterChapterList($, baseUrl, toc)
+    : extractChapterList($, baseUrl);
+
+  let nextUrl;
+  if (typeof toc?.findNext === 'function') {
+    nextUrl = toc.findNext($, baseUrl);
+  } else if (toc?.nextPage) {
+    const href = selectValue($, toc.nextPage.includes('@') ? toc.nextPage : `${toc.nextPage}@href`);
+    try { nextUrl = href ? new URL(href, baseUrl).href : null; } catch (e) { nextUrl = null; }
+  } else if (toc && (toc.chapterLinks || toc.extract)) {
+    // Adapter knows the chapter list but declared no pagination: single page TOC
+    nextUrl = null;
+  } else {
+    nextUrl = findNextTocPage($, baseUrl);
+  }
+
+  return { chapters, nextUrl };
+}
+
+/**
+ * Reads the book metadata (title, author, cover, description, tags, status, language,
+ * publisher, series; see w2e-shared/metadata.js), preferring adapter selectors over heuristics.
+ */
+function extractMetadata($, baseUrl, adapter) {
+  const rules = adapter?.metadata || {};
+  let metadata = { title: 'Unknown Novel', author: 'Unknown', cover: null, description: '', tags: [], status: '', publisher: '', series: null };
+
+  if (typeof rules.extract === 'function') {
+    metadata = { ...metadata, ...rules.extract($, baseUrl) };
+  } else {
+    Object.assign(metadata, extractGenericMetadata($, rules));
+  }
+
+  // Page-level facts, also filled in for adapters with their own extract()
+  metadata.language = normalizeLanguage(metadata.language)
+    || normalizeLanguage($('html').attr('lang'))
+    || normalizeLanguage($('meta[property="og:locale"]').attr('content'))
+    || DEFAULT_LANGUAGE;
+  metadata.publisher = metadata.publisher || $('meta[property="og:site_name"]').attr('content')?.trim() || '';
+  metadata.tags = normalizeTags(metadata.tags);
+  metadata.series = normalizeSeries(metadata.series);
+
+  // Fix cover URL
+  if (metadata.cover && !metadata.cover.startsWith('http')) {
+    try { metadata.cover = new URL(metadata.cover, baseUrl).href; } catch (e) {}
+  }
+  return metadata;
+}
+
+function extractGenericMetadata($, rules) {
+  const metadata = { author: 'Unknown' };
+  metadata.title = selectValue($, rules.title) || $('meta[property="og:title"]').attr('content') || $('title').text().split(/[-|]/)[0].trim() || 'Unknown';
+  metadata.cover = selectValue($, rules.cover) || $('meta[property="og:image"]').attr('content') || $('.book-img img, .cover img, .detail-info img').attr('src') || null;
+  metadata.description = selectValue($, rules.description) || $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || $('.description, .summary, .synopsis').first().text().trim();
+
+  metadata.tags = selectValues($, rules.tags);
+  if (metadata.tags.length === 0) {
+    metadata.tags = $('meta[property="book:tag"], meta[property="article:tag"]').toArray().map(el => $(el).attr('content') || '');
+  }
+  if (metadata.tags.length === 0) metadata.tags = selectValues($, '.genres a, .genre a, .tags a, a[rel="tag"]');
+  metadata.status = selectValue($, rules.status) || '';
+  metadata.publisher = selectValue($, rules.publisher) || '';
+  const seriesName = selectValue($, rules.series);
+  metadata.series = seriesName ? { name: seriesName, index: selectValue($, rules.seriesIndex) } : null;
+
+  const adapterAuthor = selectValue($, rules.author);
+  if (adapterAuthor) {
+    metadata.author = adapterAuthor;
+  } else {
+    // Heuristic for Author
+    $('div, span, p, li').each((i, el) => {
+       const t = $(el).text().trim();
+       if (/^(Author|Written by)\s*[:\-]/i.test(t)) {
+         metadata.author = t.replace(/^(Author|Written by)\s*[:\-]\s*/i, '').trim();
+       }
+    });
+  }
+
+  if (!metadata.status) {
+    // "Status: Ongoing" in a short info line
+    $('div, span, p, li').each((i, el) => {
+      const t = $(el).text().replace(/\s+/g, ' ').trim();
+      if (t.length < 60 && /^Status\s*[:\-]/i.test(t)) {
+        metadata.status = t.replace(/^Status\s*[:\-]\s*/i, '');
+        return false;
+      }
+    });
+  }
+  return metadata;
+}
+
 /**
  * Finds the "Next" button for paginated TOCs.
  */
@@ -234,12 +407,22 @@ function normalizeUrl(url) {
     }
 }
 
-// NOTE: socketId is now jobId (or roomId)
-export async function analyzeNovel(startUrl, jobId) {
+/**
+ * Routes job events to the job's socket room and, when given, a local listener
+ * (the CLI has no socket, it subscribes through `onEvent`).
+ */
+function createEmitter(jobId, onEvent) {
   const io = jobId ? getIO() : null;
-  const sessionUserAgent = new UserAgent().random; // Persistence for session
+  return (event, payload) => {
+    if (io) io.to(jobId).emit(event, payload);
+    if (onEvent) onEvent(event, payload);
+  };
+}
 
-  // Cancellation / Zombie Process Management
+/**
+ * Cancellation / Zombie Process Management: a new analysis for a job aborts the previous one.
+ */
+function registerJob(jobId) {
   if (activeJobs.has(jobId)) {
       console.log(`Aborting previous job for ${jobId}`);
       const oldController = activeJobs.get(jobId);
@@ -248,42 +431,56 @@ export async function analyzeNovel(startUrl, jobId) {
   }
   const controller = new AbortController();
   activeJobs.set(jobId, controller);
+  return controller;
+}
+
+/**
+ * Scans the TOC (following pagination) and resolves with { ...metadata, chapters, userAgent }.
+ * Resolves null when the job was cancelled; other failures are emitted and rethrown.
+ *
+ * options.onCheckpoint receives the scan state after every TOC page; passing that
+ * state back as options.resume continues an interrupted scan where it stopped.
+ * options.bypassCache re-downloads pages instead of using the HTTP cache; options.fetchOptions
+ * ({ fetcher, waitForSelector }) picks the fetch backend (TOC pages don't wait for the selector).
+ * NOTE: socketId is now jobId (or roomId)
+ */
+export async function analyzeNovel(startUrl, jobId, { onEvent, onCheckpoint, resume = null, bypassCache = false, fetchOptions = {}, cookieJar = getJobCookieJar(jobId) } = {}) {
+  const emit = createEmitter(jobId, onEvent);
+  const sessionUserAgent = resume?.metadata?.userAgent || UserAgent(); // Persistence for session
+
+  const controller = registerJob(jobId);
 
   try {
-    let currentUrl = startUrl;
-    let visited = new Set();
-    let allChapters = [];
+    let currentUrl = resume ? resume.nextUrl : startUrl;
+    let visited = new Set(resume?.visited || []);
+    let allChapters = [...(resume?.chapters || [])];
     // Optimized lookup set for O(1) deduplication instead of O(N^2)
-    let seenChapterUrls = new Set();
-    let metadata = { title: 'Unknown Novel', author: 'Unknown', cover: null, description: '' };
-    let pageCount = 0;
-
-    if (io) io.to(jobId).emit('log', `Connecting to ${startUrl}...`);
+    let seenChapterUrls = new Set(allChapters.map(ch => normalizeUrl(ch.url)));
+    let pageCount = resume?.pageCount || 0;
+    const adapter = await findAdapter(startUrl);
+
+    let $ = null;
+    let metadata;
+    if (resume) {
+      const { userAgent, ...savedMetadata } = resume.metadata;
+      metadata = savedMetadata;
+      emit('log', `Resuming scan at TOC page ${pageCount + 1} (${allChapters.length} chapters so far)...`);
+    } else {
+      emit('log', `Connecting to ${startUrl}...`);
+    }
+    if (adapter) emit('log', `Using site adapter: ${adapter.name}`);
 
-    // Initial fetch
-    const html = await fetchPage(startUrl, sessionUserAgent, MAX_RETRIES, controller.signal);
-    const $ = cheerio.load(html);
+    if (!resume) {
+      // Initial fetch
+      const html = await fetchPage(startUrl, sessionUserAgent, { signal: controller.signal, bypassCache, fetcher: fetchOptions.fetcher, cookieJar });
+      $ = cheerio.load(html);
 
-    // --- Metadata Extraction ---
-    metadata.title = $('meta[property="og:title"]').attr('content') || $('title').text().split(/[-|]/)[0].trim() || 'Unknown';
-    metadata.cover = $('meta[property="og:image"]').attr('content') || $('.book-img img, .cover img, .detail-info img').attr('src') || null;
-    metadata.description = $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || $('.description, .summary, .synopsis').first().text().trim();
-    
-    // Heuristic for Author
-    $('div, span, p, li').each((i, el) => {
-       const t = $(el).text().trim();
-       if (/^(Author|Written by)\s*[:\-]/i.test(t)) {
-         metadata.author = t.replace(/^(Author|Written by)\s*[:\-]\s*/i, '').trim();
-       }
-    });
-
-    // Fix cover URL
-    if (metadata.cover && !metadata.cover.startsWith('http')) {
-      try { metadata.cover = new URL(metadata.cover, startUrl).href; } catch (e) {}
+      // --- Metadata Extraction ---
+      metadata = extractMetadata($, startUrl, adapter);
     }
 
     // Send preliminary metadata to client
-    if (io) io.to(jobId).emit('novel-metadata', { ...metadata, userAgent: sessionUserAgent });
+    emit('novel-metadata', { ...metadata, userAgent: sessionUserAgent });
 
     // --- Pagination Loop ---
     while (currentUrl && !visited.has(normalizeUrl(currentUrl)) && pageCount < MAX_TOC_PAGES) {
@@ -291,7 +488,7 @@ export async function analyzeNovel(startUrl, jobId) {
 
       visited.add(normalizeUrl(currentUrl));
       const msg = `Scanning TOC Page ${pageCount + 1}...`;
-      if (io) io.to(jobId).emit('log', msg);
+      emit('log', msg);
 
       let $page;
       if (currentUrl === startUrl && pageCount === 0) {
@@ -300,16 +497,16 @@ export async function analyzeNovel(startUrl, jobId) {
           try {
             // Politeness delay + Random jitter to look human
             await new Promise(r => setTimeout(r, 800 + Math.random() * 500)); 
-            const pageHtml = await fetchPage(currentUrl, sessionUserAgent, MAX_RETRIES, controller.signal);
+            const pageHtml = await fetchPage(currentUrl, sessionUserAgent, { signal: controller.signal, bypassCache, fetcher: fetchOptions.fetcher, cookieJar });
             $page = cheerio.load(pageHtml);
           } catch (e) {
             if (axios.isCancel(e) || controller.signal.aborted) throw new Error('Job cancelled');
-            if (io) io.to(jobId).emit('log', `Error scanning page: ${e.message}`);
+            emit('log', `Error scanning page: ${e.message}`);
             break;
           }
       }
       
-      const chaptersFound = extractChapterList($page, currentUrl);
+      const { chapters: chaptersFound, nextUrl: nextLink } = extractTocPage($page, currentUrl, adapter);
       if (chaptersFound.length > 0) {
          let newCount = 0;
          chaptersFound.forEach(ch => {
@@ -321,8 +518,8 @@ export async function analyzeNovel(startUrl, jobId) {
              newCount++;
            }
          });
-         if (io && newCount > 0) {
-            io.to(jobId).emit('progress-update', { 
+         if (newCount > 0) {
+            emit('progress-update', { 
                 totalChapters: allChapters.length, 
                 message: `Found ${newCount} new chapters (Total: ${allChapters.length})` 
             });
@@ -330,65 +527,273 @@ export async function analyzeNovel(startUrl, jobId) {
       } else {
         // If no chapters found on page > 0, likely end of list or wrong page
         if (pageCount > 0) {
-             if (io) io.to(jobId).emit('log', `No chapters found on page ${pageCount + 1}. Stopping scan.`);
+             emit('log', `No chapters found on page ${pageCount + 1}. Stopping scan.`);
              break;
         }
       }
 
-      const nextLink = findNextTocPage($page, currentUrl);
       // Ensure nextLink isn't one we've already visited to prevent loops
       if (nextLink && !visited.has(normalizeUrl(nextLink))) {
         currentUrl = nextLink;
       } else {
         if (nextLink && visited.has(normalizeUrl(nextLink))) {
-             if (io) io.to(jobId).emit('log', `Pagination loop detected. Stopping.`);
+             emit('log', `Pagination loop detected. Stopping.`);
         }
         currentUrl = null;
       }
       pageCount++;
+
+      if (onCheckpoint) {
+        onCheckpoint({
+          metadata: { ...metadata, userAgent: sessionUserAgent },
+          chapters: allChapters,
+          visited: Array.from(visited),
+          nextUrl: currentUrl,
+          pageCount
+        });
+      }
+    }
+
+    // Some sites list newest chapters first
+    if (adapter?.toc?.reverse) allChapters.reverse();
+    finalizeVolumes(allChapters);
+
+    const result = { ...metadata, chapters: allChapters, userAgent: sessionUserAgent };
+    emit('log', `Analysis Complete. Total chapters: ${allChapters.length}`);
+    emit('novel-ready', result);
+    return result;
+
+  } catch (error) {
+     if (axios.isCancel(error) || error.message === 'Job cancelled') {
+        console.log(`Job ${jobId} was cancelled successfully.`);
+        emit('log', 'Scan cancelled.');
+        return null;
+     }
+     console.error('Analysis failed:', error.message);
+     emit('error', { message: error.message });
+     throw error;
+  } finally {
+     activeJobs.delete(jobId);
+  }
+}
+
+/**
+ * Finds the "Next Chapter" link on a chapter page (chain-crawl mode).
+ * Same idea as findNextTocPage, but tuned for reader navigation bars.
+ */
+function findNextChapterLink($, baseUrl, adapter) {
+  const resolve = (href) => {
+    try { return href ? new URL(href, baseUrl).href : null; } catch (e) { return null; }
+  };
+
+  // 1. Adapter selector
+  const rule = adapter?.chain?.nextLink;
+  if (rule) return resolve(selectValue($, rule.includes('@') ? rule : `${rule}@href`));
+
+  // 2. Check <link rel="next">
+  const relNext = $('link[rel="next"]').attr('href') || $('a[rel="next"]').attr('href');
+  if (relNext) return resolve(relNext);
+
+  // 3. Search text, title and class/id of all links
+  const nextText = /^(next(\s+chapter)?|next\s*[>»→]+|[>»→]+)$|^next\s+chapter\b/i;
+  let nextUrl = null;
+  $('a').each((i, el) => {
+    const href = $(el).attr('href');
+    if (!href || href.startsWith('#') || href.startsWith('javascript')) return;
+
+    const text = $(el).text().trim().replace(/\s+/g, ' ');
+    const title = ($(el).attr('title') || '').trim();
+    const attrs = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`.toLowerCase();
+
+    if (nextText.test(text) || nextText.test(title) || (attrs.includes('next') && !/prev|breadcrumb/.test(attrs))) {
+      nextUrl = resolve(href);
+      if (nextUrl) return false;
+    }
+  });
+  return nextUrl;
+}
+
+function extractChapterTitle($, position) {
+  const heading = $('h1').first().text().trim() || $('h2').first().text().trim();
+  if (heading && heading.length <= 150) return heading;
+  const title = $('title').text().trim();
+  return title ? title.split(/\s[-|–]\s/)[0].trim() : `Chapter ${position}`;
+}
+
+// "/novel/my-story/chapter-1" -> "/novel/my-story/": chain links must stay below this path
+function isWithinNovel(url, startUrl) {
+  try {
+    const target = new URL(url);
+    const start = new URL(startUrl);
+    const prefix = start.pathname.replace(/[^/]*$/, '');
+    return target.hostname === start.hostname && target.pathname.startsWith(prefix);
+  } catch (e) {
+    return false;
+  }
+}
+
+const textLength = (html) => html.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim().length;
+
+/**
+ * Chain-crawl mode for sites without a usable TOC: starts at the first chapter and
+ * follows "Next Chapter" links. Stops on loops, maxChapters, endUrl, a link leaving
+ * the novel's path, or a page without chapter content.
+ * Resolves with the same shape as analyzeNovel and emits the same 'novel-ready' event.
+ */
+export async function crawlChapterChain(startUrl, jobId, { onEvent, onCheckpoint, resume = null, maxChapters, endUrl = null, bypassCache = false, fetchOptions = {}, cookieJar = getJobCookieJar(jobId) } = {}) {
+  const emit = createEmitter(jobId, onEvent);
+  const sessionUserAgent = resume?.metadata?.userAgent || UserAgent();
+  const limit = Math.min(parseInt(maxChapters, 10) || DEFAULT_CHAIN_CHAPTERS, MAX_CHAIN_CHAPTERS);
+  const endKey = endUrl ? normalizeUrl(endUrl) : null;
+  const controller = registerJob(jobId);
+
+  try {
+    let currentUrl = resume ? resume.nextUrl : startUrl;
+    const visited = new Set(resume?.visited || []);
+    const chapters = [...(resume?.chapters || [])];
+    const adapter = await findAdapter(startUrl);
+    let metadata = null;
+    if (resume) {
+      const { userAgent, ...savedMetadata } = resume.metadata;
+      metadata = savedMetadata;
     }
 
-    if (io) {
-       io.to(jobId).emit('log', `Analysis Complete. Total chapters: ${allChapters.length}`);
-       io.to(jobId).emit('novel-ready', { ...metadata, chapters: allChapters, userAgent: sessionUserAgent });
+    emit('log', resume
+      ? `Resuming chapter chain at chapter ${chapters.length + 1}...`
+      : `Following next-chapter links from ${startUrl}...`);
+    if (adapter) emit('log', `Using site adapter: ${adapter.name}`);
+
+    while (currentUrl && chapters.length < limit) {
+      if (controller.signal.aborted) throw new Error('Job cancelled');
+
+      const key = normalizeUrl(currentUrl);
+      if (visited.has(key)) {
+        emit('log', 'Chapter loop detected. Stopping.');
+        break;
+      }
+      visited.add(key);
+
+      let html;
+      try {
+        // Politeness delay + Random jitter to look human
+        if (chapters.length > 0) await new Promise(r => setTimeout(r, 800 + Math.random() * 500));
+        html = await fetchPage(currentUrl, sessionUserAgent, { signal: controller.signal, bypassCache, cookieJar, ...chapterFetchOptions(fetchOptions, adapter) });
+      } catch (e) {
+        if (axios.isCancel(e) || controller.signal.aborted) throw new Error('Job cancelled');
+        if (chapters.length === 0) throw e;
+        emit('log', `Error fetching ${currentUrl}: ${e.message}. Stopping chain.`);
+        break;
+      }
+
+      const $ = cheerio.load(html);
+      if (!metadata) {
+        metadata = extractMetadata($, startUrl, adapter);
+        // A chapter page's <title> usually reads "Chapter 1 - Novel Name | Site"
+        if (/^(chapter|ch\.|episode|prologue)\b/i.test(metadata.title)) {
+          const parts = $('title').text().split(/\s[-|–]\s/).map(p => p.trim());
+          metadata.title = parts.find(p => p && !/^(chapter|ch\.|episode|prologue)\b/i.test(p)) || metadata.title;
+        }
+        emit('novel-metadata', { ...metadata, userAgent: sessionUserAgent });
+      }
+
+      if (textLength(extractChapterContent(html, currentUrl, adapter?.content)) < 100) {
+        emit('log', `No chapter content at ${currentUrl}. Stopping chain.`);
+        break;
+      }
+      chapters.push({ title: extractChapterTitle($, chapters.length + 1), url: currentUrl });
+      if (chapters.length % 10 === 0) {
+        emit('progress-update', { totalChapters: chapters.length, message: `Followed ${chapters.length} chapters...` });
+      }
+
+      if (endKey && key === endKey) {
+        emit('log', 'Reached end URL. Stopping chain.');
+        currentUrl = null;
+      } else {
+        const nextLink = findNextChapterLink($, currentUrl, adapter);
+        if (!nextLink) {
+          emit('log', 'No next-chapter link found. Stopping chain.');
+          currentUrl = null;
+        } else if (!isWithinNovel(nextLink, startUrl)) {
+          emit('log', `Next link leaves the novel (${nextLink}). Stopping chain.`);
+          currentUrl = null;
+        } else {
+          currentUrl = nextLink;
+        }
+      }
+
+      if (onCheckpoint) {
+        onCheckpoint({
+          metadata: { ...metadata, userAgent: sessionUserAgent },
+          chapters,
+          visited: Array.from(visited),
+          nextUrl: currentUrl,
+          pageCount: chapters.length
+        });
+      }
     }
 
+    if (currentUrl && chapters.length >= limit) emit('log', `Reached the limit of ${limit} chapters. Stopping chain.`);
+    finalizeVolumes(chapters);
+
+    const result = { ...metadata, chapters, userAgent: sessionUserAgent };
+    emit('log', `Analysis Complete. Total chapters: ${chapters.length}`);
+    emit('novel-ready', result);
+    return result;
+
   } catch (error) {
      if (axios.isCancel(error) || error.message === 'Job cancelled') {
         console.log(`Job ${jobId} was cancelled successfully.`);
-        if (io) io.to(jobId).emit('log', 'Scan cancelled.');
-        return;
+        emit('log', 'Scan cancelled.');
+        return null;
      }
-     console.error("Analysis failed:", error);
-     if (io) io.to(jobId).emit('error', { message: error.message });
+     console.error('Chain crawl failed:', error.message);
+     emit('error', { message: error.message });
+     throw error;
   } finally {
      activeJobs.delete(jobId);
   }
 }
 
+/**
+ * Aborts a running analysis. Returns false when nothing was running for the job.
+ */
+export function cancelAnalysis(jobId) {
+  const controller = activeJobs.get(jobId);
+  if (!controller) return false;
+  controller.abort();
+  activeJobs.delete(jobId);
+  return true;
+}
+
 // NOTE: socketId is now jobId (or roomId)
-export async function fetchChaptersBatch(chapters, jobId, userAgent) {
-  const limit = pLimit(15); // Concurrent limit for THIS batch request
-  const io = jobId ? getIO() : null;
-  const batchUserAgent = userAgent || new UserAgent().random;
+// options.contentRules are the user's overrides from normalizeContentRules (see parser.js).
+// Successful results carry the parser's `quality` report and `review` reasons (see chapterQuality.js),
+// judged against options.reference: already downloaded chapters of the novel ({ url, quality }).
+export async function fetchChaptersBatch(chapters, jobId, userAgent, { onEvent, bypassCache = false, fetchOptions = {}, cookieJar = getJobCookieJar(jobId), contentRules = null, reference = [] } = {}) {
+  // Per-host politeness is enforced in fetchPage; this only bounds how many chapters one batch holds in memory
+  const limit = pLimit(15);
+  const emit = createEmitter(jobId, onEvent);
+  const batchUserAgent = userAgent || UserAgent();
   let completed = 0;
 
   const tasks = chapters.map((chapter) => limit(async () => {
     try {
-      const html = await fetchPage(chapter.url, batchUserAgent);
-      const content = extractChapterContent(html, chapter.url);
+      const adapter = await findAdapter(chapter.url);
+      const html = await fetchPage(chapter.url, batchUserAgent, { bypassCache, cookieJar, ...chapterFetchOptions(fetchOptions, adapter) });
+      const { content, quality, title: pageTitle } = extractChapter(html, chapter.url, mergeContentRules(adapter?.content, contentRules));
       
       completed++;
       // Emit progress less frequently to save bandwidth (every 10 or 25%)
-      if (io && (completed % 10 === 0 || completed === chapters.length)) {
-          io.to(jobId).emit('batch-progress', { 
+      if (completed % 10 === 0 || completed === chapters.length) {
+          emit('batch-progress', { 
               completed, 
               total: chapters.length, 
               message: `Downloaded ${completed}/${chapters.length}` 
           });
       }
 
-      return { url: chapter.url, title: chapter.title, content: content, success: true };
+      // pageTitle: the chapter's own heading, an alternative to the TOC link text (see shared chapterTitles.js)
+      return { url: chapter.url, title: chapter.title, pageTitle, content: content, quality, success: true };
     } catch (err) {
       completed++;
       return {
@@ -399,5 +804,27 @@ export async function fetchChaptersBatch(chapters, jobId, userAgent) {
     }
   }));
 
-  return Promise.all(tasks);
+  return reviewChapters(await Promise.all(tasks), reference);
+}
+
+/**
+ * Extracts a single chapter so users can check their content rules before downloading
+ * the whole novel. `selectorMatches` counts elements matching the content selector
+ * (null without one), which tells a typo apart from a selector that matched the wrong thing.
+ */
+export async function previewChapter(url, { userAgent = null, bypassCache = false, fetchOptions = {}, cookieJar = null, contentRules = null } = {}) {
+  const adapter = await findAdapter(url);
+  const html = await fetchPage(url, userAgent || UserAgent(), { bypassCache, cookieJar, ...chapterFetchOptions(fetchOptions, adapter) });
+  const rules = mergeContentRules(adapter?.content, contentRules);
+  const { content, quality, title } = extractChapter(html, url, rules);
+
+  return {
+    url,
+    adapter: adapter?.name || null,
+    title,
+    content,
+    quality,
+    textLength: textLength(content),
+    selectorMatches: rules?.selector ? cheerio.load(html)(rules.selector).length : null
+  };
 }
@@ -0,0 +1,131 @@
+import JSZip from 'jszip';
+import { assembleEpub, DEFAULT_MAX_IMAGE_BYTES } from 'w2e-shared/epub.js';
+import { fetchChaptersBatch } from './crawler.js';
+import { fetchRemoteResource } from './safeFetch.js';
+import { optimizeImage, toCoreImageType } from './imageOptimizer.js';
+import { generateCover } from './coverGenerator.js';
+import { normalizeChapterTitles } from 'w2e-shared/chapterTitles.js';
+import { getIO } from '../socket.js';
+
+// Chapters are fetched in slices so a 3000 chapter book doesn't hold every page in flight at once
+const FETCH_SLICE = 50;
+
+const MAX_IMAGE_BYTES = (parseInt(process.env.EPUB_IMAGE_LIMIT_MB, 10) * 1024 * 1024) || DEFAULT_MAX_IMAGE_BYTES;
+
+/**
+ * Cover and chapter-image loaders for one book. Everything goes through the SSRF guard used
+ * by the image proxy; with `imageOptions` set, images are also run through the optimizer and
+ * the byte totals are tallied in `stats`. Without it, only types EPUBs can't hold are converted.
+ */
+function createImageLoaders(imageOptions) {
+  const stats = { optimized: 0, originalBytes: 0, bytes: 0 };
+
+  async function load(url) {
+    const { data, contentType } = await fetchRemoteResource(url);
+    if (!imageOptions) {
+      const image = await toCoreImageType(data, contentType);
+      return { data: image.data, mediaType: image.contentType.split(';')[0].trim() };
+    }
+
+    const result = await optimizeImage(data, contentType, imageOptions);
+    stats.optimized++;
+    stats.originalBytes += result.originalBytes;
+    stats.bytes += result.bytes;
+    return { data: result.data, mediaType: result.contentType };
+  }
+
+  async function fetchCover(coverUrl) {
+    if (!coverUrl) return null;
+    try {
+      return await load(coverUrl);
+    } catch (e) {
+      console.warn(`EPUB builder: failed to embed cover ${coverUrl}: ${e.message}`);
+      return null;
+    }
+  }
+
+  return { fetchCover, fetchImage: load, stats };
+}
+
+/**
+ * Server-side counterpart of the browser worker: downloads and parses every chapter
+ * through fetchChaptersBatch, then assembles the book with the shared templates.
+ *
+ * @param {Object} novel - { title, author, description, cover, chapters: [{ title, url, volume? }] }
+ * @param {Object} options - { jobId, userAgent, fetchOptions, cookieJar, contentRules, imageOptions, volumePages, style,
+ *   coverImage, frontMatter, titleOptions } (imageOptions from parseImageOptions, style from normalizeStyleOptions,
+ *   coverImage { data, mediaType } used instead of novel.cover, frontMatter from normalizeFrontMatter, titleOptions
+ *   from normalizeTitleOptions to clean up the chapter titles, possibly with the headings found on the pages)
+ * @returns {Promise<{zip: JSZip, imageStats: Object, validation: Object}>} Populated zip; the caller chooses how to serialize/stream it.
+ */
+export async function buildEpub(novel, { jobId, userAgent, fetchOptions = {}, cookieJar = null, contentRules = null, imageOptions = null, volumePages = false, style = null, coverImage = null, frontMatter = null, titleOptions = null } = {}) {
+  const io = jobId ? getIO() : null;
+  const contents = new Map();
+  const pageTitles = new Map();
+  let failed = 0;
+
+  for (let i = 0; i < novel.chapters.length; i += FETCH_SLICE) {
+    const slice = novel.chapters.slice(i, i + FETCH_SLICE);
+    const results = await fetchChaptersBatch(slice, jobId, userAgent, { fetchOptions, cookieJar, contentRules });
+    results.forEach(result => {
+      if (result.success) {
+        contents.set(result.url, result.content);
+        if (result.pageTitle) pageTitles.set(result.url, result.pageTitle);
+      } else {
+        failed++;
+      }
+    });
+    if (io) io.to(jobId).emit('log', `EPUB builder: fetched ${Math.min(i + FETCH_SLICE, novel.chapters.length)}/${novel.chapters.length} chapters`);
+  }
+
+  if (failed > 0 && io) io.to(jobId).emit('log', `EPUB builder: ${failed} chapters could not be fetched`);
+
+  let book = novel;
+  if (titleOptions) {
+    const chapters = novel.chapters.map(c => ({ ...c, pageTitle: pageTitles.get(c.url) }));
+    const { titles, renumbered } = normalizeChapterTitles(chapters, titleOptions, { novelTitle: novel.title });
+    book = { ...novel, chapters: novel.chapters.map((c, i) => ({ ...c, title: titles[i] })) };
+    if (io) renumbered.forEach(({ index, from, to }) => io.to(jobId).emit('log', `EPUB builder: renumbered chapter ${from} -> ${to} (${titles[index]})`));
+  }
+
+  const result = await packageEpub(book, async (chapterMeta) => contents.get(chapterMeta.url) || null, { imageOptions, volumePages, style, coverImage, frontMatter });
+  const { optimized, originalBytes, bytes } = result.imageStats;
+  if (optimized > 0 && io) {
+    io.to(jobId).emit('log', `EPUB builder: optimized ${optimized} images, saved ${((originalBytes - bytes) / 1024).toFixed(0)} KB`);
+  }
+  const { chapters: repaired, problems, images } = result.validation;
+  if (io) io.to(jobId).emit('log', `EPUB builder: ${describeImageStats(images)}`);
+  if (repaired.length > 0 && io) io.to(jobId).emit('log', `EPUB builder: repaired markup in ${repaired.length} chapters`);
+  if (io) problems.forEach(problem => io.to(jobId).emit('log', `EPUB builder: ${problem}`));
+  return result;
+}
+
+/**
+ * One-line summary of validation.images (see assembleEpub) for logs.
+ */
+export const describeImageStats = ({ embedded, reused, failed, unsupported, overBudget, bytes }) =>
+  `${embedded} images embedded (${(bytes / 1024 / 1024).toFixed(1)} MB), ${reused} duplicates, ${failed} failed, ${unsupported} unsupported, ${overBudget} over the size limit`;
+
+/**
+ * Packages already-downloaded chapters (the CLI reads them from its work directory).
+ * @param {Function} loadChapter - async (chapterMeta, index) => XHTML body string or null
+ * @param {Object} [options] - { imageOptions, volumePages, style, coverImage, frontMatter } (see buildEpub)
+ * @returns {Promise<{zip: JSZip, imageStats: {optimized, originalBytes, bytes}, validation: {chapters, problems}}>}
+ *   (validation: see assembleEpub)
+ */
+export async function packageEpub(novel, loadChapter, { imageOptions = null, volumePages = false, style = null, coverImage = null, frontMatter = null } = {}) {
+  const { fetchCover, fetchImage, stats } = createImageLoaders(imageOptions);
+  const validation = {};
+  // No cover on the site (or it failed to download): generate one from the title
+  const cover = coverImage || (await fetchCover(novel.cover)) || (await generateCover(novel, style?.coverStyle));
+  const zip = await assembleEpub(new JSZip(), novel, {
+    cover,
+    images: { fetchImage, maxBytes: MAX_IMAGE_BYTES },
+    loadChapter,
+    volumePages,
+    style,
+    frontMatter,
+    validation
+  });
+  return { zip, imageStats: stats, validation };
+}
@@ -0,0 +1,176 @@
+import axios from 'axios';
+import pLimit from 'p-limit';
+
+/**
+ * fetchers.js - Backends that download a page for fetchPage.
+ *
+ * A fetcher is { name, fetch(url, { headers, userAgent, signal, waitForSelector, cookies }) } resolving
+ * with an axios-like { status, data, headers }. HTTP errors must reject with an error carrying
+ * `response.status` / `response.headers`, so retries, Retry-After and the cache work the same
+ * for every backend. Errors with code 'FETCHER_UNAVAILABLE' (missing setup) are not retried.
+ *
+ *   http     axios (default)
+ *   browser  headless Chromium via the optional playwright-core package, for sites that render
+ *            chapters with JavaScript or serve a JS challenge first
+ */
+
+const TIMEOUT = 30000;
+
+// Browser pages are expensive; this caps them across all jobs (the host scheduler still applies)
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 2;
+const BROWSER_IDLE_TIMEOUT = 60000;
+// Interstitials such as Cloudflare's "Just a moment..." replace themselves after a few seconds
+const CHALLENGE_TITLE = /just a moment|checking your browser|attention required/i;
+const CHALLENGE_TIMEOUT = 15000;
+
+// Factory for axios configuration to ensure robust timeouts
+const axiosConfig = {
+  timeout: TIMEOUT,
+  maxRedirects: 5,
+  validateStatus: (status) => status >= 200 && status < 400
+};
+
+const httpFetcher = {
+  name: 'http',
+  fetch: (url, { headers, signal }) => axios.get(url, { ...axiosConfig, headers, signal })
+};
+
+let browserPromise = null;
+let idleTimer = null;
+let openPages = 0;
+const pageLimit = pLimit(BROWSER_MAX_PAGES);
+
+// Setup problems are not worth retrying
+const unavailable = (message) => Object.assign(new Error(message), { code: 'FETCHER_UNAVAILABLE' });
+
+async function launchBrowser() {
+  let playwright;
+  try {
+    playwright = await import('playwright-core');
+  } catch (e) {
+    throw unavailable('Browser fetching needs the optional "playwright-core" package (npm install playwright-core)');
+  }
+  try {
+    return await playwright.chromium.launch({
+      headless: true,
+      executablePath: process.env.CHROMIUM_PATH || undefined
+    });
+  } catch (e) {
+    throw unavailable(`Could not start Chromium (set CHROMIUM_PATH or run "npx playwright install chromium"): ${e.message.split('\n')[0]}`);
+  }
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = launchBrowser().catch(err => {
+      browserPromise = null;
+      throw err;
+    });
+  }
+  return browserPromise;
+}
+
+/**
+ * Closes the shared browser (idle timeout, shutdown).
+ */
+export async function closeBrowser() {
+  clearTimeout(idleTimer);
+  const pending = browserPromise;
+  browserPromise = null;
+  if (!pending) return;
+  try {
+    await (await pending).close();
+  } catch (e) {
+    // Never started or already gone
+  }
+}
+
+function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  if (openPages === 0) idleTimer = setTimeout(closeBrowser, BROWSER_IDLE_TIMEOUT).unref();
+}
+
+async function waitForChallenge(page) {
+  const deadline = Date.now() + CHALLENGE_TIMEOUT;
+  while (CHALLENGE_TITLE.test(await page.title()) && Date.now() < deadline) {
+    await page.waitForTimeout(500);
+  }
+}
+
+async function renderPage(url, { userAgent, signal, waitForSelector, cookies = [] }) {
+  const browser = await getBrowser();
+  clearTimeout(idleTimer);
+  openPages++;
+  let context = null;
+  const onAbort = () => context?.close().catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    context = await browser.newContext({ userAgent: userAgent || undefined });
+    if (cookies.length > 0) {
+      await context.addCookies(cookies.map(c => ({
+        name: c.name,
+        value: c.value,
+        domain: c.hostOnly ? c.domain : `.${c.domain}`,
+        path: c.path,
+        secure: c.secure,
+        expires: c.expires ? Math.floor(c.expires / 1000) : -1
+      })));
+    }
+    const page = await context.newPage();
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+    await waitForChallenge(page);
+
+    if (waitForSelector) {
+      await page.waitForSelector(waitForSelector, { timeout: TIMEOUT });
+    } else {
+      // Give client-side rendering a moment; busy pages never go fully idle
+      await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    }
+
+    const status = response?.status() || 200;
+    const headers = response ? await response.allHeaders() : {};
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers };
+      throw error;
+    }
+    return { status, headers, data: await page.content() };
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason || new Error('Request aborted');
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    await context?.close().catch(() => {});
+    openPages--;
+    scheduleIdleClose();
+  }
+}
+
+const browserFetcher = {
+  name: 'browser',
+  fetch: (url, options) => pageLimit(() => renderPage(url, options))
+};
+
+const fetchers = new Map([
+  [httpFetcher.name, httpFetcher],
+  [browserFetcher.name, browserFetcher]
+]);
+
+/**
+ * Adds (or replaces) a fetcher backend, e.g. one backed by a remote scraping service.
+ */
+export function registerFetcher(fetcher) {
+  if (!fetcher?.name || typeof fetcher.fetch !== 'function') {
+    throw new Error('A fetcher needs a name and a fetch(url, options) function');
+  }
+  fetchers.set(fetcher.name, fetcher);
+}
+
+export function getFetcher(name = 'http') {
+  const fetcher = fetchers.get(name);
+  if (!fetcher) throw new Error(`Unknown fetcher "${name}" (available: ${Array.from(fetchers.keys()).join(', ')})`);
+  return fetcher;
+}
+
+export const isFetcherName = (name) => fetchers.has(name);
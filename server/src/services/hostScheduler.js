@@ -0,0 +1,186 @@
+import axios from 'axios';
+import { findAdapter } from './adapters.js';
+
+/**
+ * hostScheduler.js - Process-wide politeness policy for outgoing page requests.
+ *
+ * Every crawler request is queued per hostname, so limits hold across all jobs and
+ * batches: at most `concurrency` requests in flight, request starts spaced at least
+ * `delay` ms apart, and a host that answered 429/503 is paused for its Retry-After.
+ *
+ * Limits come from (later wins):
+ *   HOST_CONCURRENCY / HOST_DELAY_MS          defaults for every host
+ *   adapter `rateLimit`                       { concurrency, delay, respectRobots }
+ *   HOST_LIMITS                               JSON, e.g. {"example.com": {"concurrency": 1, "delay": 2000}}
+ * With RESPECT_ROBOTS_TXT=true (or respectRobots on a host) a robots.txt Crawl-delay
+ * raises the delay.
+ */
+
+const DEFAULT_POLICY = {
+  concurrency: parseInt(process.env.HOST_CONCURRENCY, 10) || 4,
+  delay: parseInt(process.env.HOST_DELAY_MS, 10) || 250,
+  respectRobots: process.env.RESPECT_ROBOTS_TXT === 'true'
+};
+
+// Crawl-delay values above this are treated as a typo rather than stalling a job for minutes
+const MAX_CRAWL_DELAY = 60000;
+const ROBOTS_TIMEOUT = 10000;
+
+let hostOverrides = {};
+try {
+  hostOverrides = JSON.parse(process.env.HOST_LIMITS || '{}');
+} catch (e) {
+  console.warn(`[HostScheduler] Ignoring invalid HOST_LIMITS: ${e.message}`);
+}
+
+const hosts = new Map();
+
+const normalizeHost = (hostname) => hostname.toLowerCase().replace(/^www\./, '');
+
+function overrideFor(hostname) {
+  const match = Object.keys(hostOverrides)
+    .map(normalizeHost)
+    .find(h => hostname === h || hostname.endsWith(`.${h}`));
+  if (!match) return {};
+  return hostOverrides[match] || hostOverrides[`www.${match}`] || {};
+}
+
+/**
+ * Reads the Crawl-delay for "User-agent: *" from robots.txt, in milliseconds (0 when absent).
+ */
+async function fetchCrawlDelay(origin) {
+  try {
+    const { data } = await axios.get(`${origin}/robots.txt`, { timeout: ROBOTS_TIMEOUT, responseType: 'text' });
+    let inWildcardGroup = false;
+    for (const rawLine of String(data).split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const [key, ...rest] = line.split(':');
+      const value = rest.join(':').trim();
+      if (/^user-agent$/i.test(key)) inWildcardGroup = value === '*';
+      else if (inWildcardGroup && /^crawl-delay$/i.test(key)) {
+        const seconds = parseFloat(value);
+        if (Number.isFinite(seconds) && seconds > 0) return Math.min(seconds * 1000, MAX_CRAWL_DELAY);
+      }
+    }
+  } catch (e) {
+    // No robots.txt (or unreachable) means no crawl-delay
+  }
+  return 0;
+}
+
+async function resolvePolicy(url) {
+  const { hostname, origin } = new URL(url);
+  const adapter = await findAdapter(url);
+  const policy = { ...DEFAULT_POLICY, ...(adapter?.rateLimit || {}), ...overrideFor(normalizeHost(hostname)) };
+  policy.concurrency = Math.max(1, parseInt(policy.concurrency, 10) || 1);
+  policy.delay = Math.max(0, parseInt(policy.delay, 10) || 0);
+
+  if (policy.respectRobots) {
+    const crawlDelay = await fetchCrawlDelay(origin);
+    if (crawlDelay > policy.delay) {
+      console.log(`[HostScheduler] ${hostname}: using robots.txt crawl-delay of ${crawlDelay}ms`);
+      policy.delay = crawlDelay;
+    }
+  }
+  return policy;
+}
+
+function getHost(url) {
+  const key = normalizeHost(new URL(url).hostname);
+  if (!hosts.has(key)) {
+    hosts.set(key, {
+      name: key,
+      policyPromise: resolvePolicy(url),
+      policy: null,
+      queue: [],
+      active: 0,
+      nextStart: 0,
+      pausedUntil: 0,
+      timer: null
+    });
+  }
+  return hosts.get(key);
+}
+
+function pump(host) {
+  if (host.timer || !host.policy) return;
+
+  while (host.queue.length > 0 && host.active < host.policy.concurrency) {
+    const wait = Math.max(host.nextStart, host.pausedUntil) - Date.now();
+    if (wait > 0) {
+      host.timer = setTimeout(() => {
+        host.timer = null;
+        pump(host);
+      }, wait);
+      return;
+    }
+
+    const entry = host.queue.shift();
+    entry.detach();
+    host.active++;
+    host.nextStart = Date.now() + host.policy.delay;
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        host.active--;
+        pump(host);
+      });
+  }
+}
+
+/**
+ * Runs `task` once the host of `url` has a free slot. Rejects without running the task
+ * if `signal` aborts while it is still queued.
+ *
+ * @param {string} url - Request URL (only the hostname matters)
+ * @param {Function} task - async () => result
+ * @param {Object} [options] - { signal }
+ */
+export async function scheduleRequest(url, task, { signal = null } = {}) {
+  const host = getHost(url);
+  if (!host.policy) host.policy = await host.policyPromise;
+  if (signal?.aborted) throw signal.reason || new Error('Request aborted');
+
+  return new Promise((resolve, reject) => {
+    const entry = { task, resolve, reject, detach: () => {} };
+    if (signal) {
+      const onAbort = () => {
+        host.queue = host.queue.filter(e => e !== entry);
+        reject(signal.reason || new Error('Request aborted'));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.detach = () => signal.removeEventListener('abort', onAbort);
+    }
+    host.queue.push(entry);
+    pump(host);
+  });
+}
+
+/**
+ * Holds back every request to the host of `url` for `ms` (e.g. after a 429 with Retry-After).
+ */
+export function pauseHost(url, ms) {
+  const host = getHost(url);
+  const until = Date.now() + ms;
+  if (until <= host.pausedUntil) return;
+
+  host.pausedUntil = until;
+  console.warn(`[HostScheduler] ${host.name} asked us to slow down; pausing for ${Math.round(ms / 1000)}s`);
+  if (host.timer) {
+    clearTimeout(host.timer);
+    host.timer = null;
+  }
+  pump(host);
+}
+
+/**
+ * Parses a Retry-After header (delta seconds or HTTP date) into milliseconds, or null.
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
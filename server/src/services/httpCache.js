@@ -0,0 +1,135 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+import { DATA_DIR } from './jobStore.js';
+
+/**
+ * httpCache.js - Disk cache for pages fetched by the crawler.
+ *
+ * Entries are keyed by normalized URL (plus a variant naming how the page was fetched, e.g.
+ * rendered in a browser) and stored gzipped under DATA_DIR/cache. A page
+ * younger than HTTP_CACHE_TTL_HOURS is served without touching the network; older ones
+ * are revalidated with If-None-Match / If-Modified-Since. Entries unused for
+ * HTTP_CACHE_MAX_DAYS are deleted on startup. HTTP_CACHE=false turns the cache off.
+ */
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+export const CACHE_ENABLED = process.env.HTTP_CACHE !== 'false';
+const TTL = (parseFloat(process.env.HTTP_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_AGE = (parseFloat(process.env.HTTP_CACHE_MAX_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Query parameters that never change the page content
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref)$/i;
+
+/**
+ * Canonical form used as the cache key: no fragment, default port or tracking
+ * parameters, query parameters sorted.
+ */
+export function normalizeCacheKey(url) {
+  const u = new URL(url);
+  u.hash = '';
+  const params = Array.from(u.searchParams.entries())
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  u.search = new URLSearchParams(params).toString();
+  return u.href;
+}
+
+function entryFile(url, variant) {
+  const key = variant ? `${normalizeCacheKey(url)} ${variant}` : normalizeCacheKey(url);
+  const hash = crypto.createHash('sha256').update(key).digest('hex');
+  return path.join(CACHE_DIR, hash.slice(0, 2), `${hash}.json.gz`);
+}
+
+/**
+ * @param {string} [variant] - Separates copies of the same URL fetched differently ('' = plain HTTP)
+ * @returns {Promise<{url, body, etag, lastModified, fetchedAt}|null>}
+ */
+export async function getCachedPage(url, variant = '') {
+  if (!CACHE_ENABLED) return null;
+  try {
+    return JSON.parse((await gunzip(await fs.readFile(entryFile(url, variant)))).toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+export const isFresh = (entry) => Date.now() - entry.fetchedAt < TTL;
+
+/**
+ * Conditional request headers for revalidating a stale entry.
+ */
+export function validatorHeaders(entry) {
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+async function writeEntry(url, variant, entry) {
+  const file = entryFile(url, variant);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, await gzip(JSON.stringify(entry)));
+    await fs.rename(tmp, file);
+  } catch (e) {
+    console.warn(`[HttpCache] Failed to store ${url}: ${e.message}`);
+  }
+}
+
+/**
+ * Stores a successful axios response. Only text bodies are cached.
+ */
+export async function storePage(url, response, variant = '') {
+  if (!CACHE_ENABLED || typeof response.data !== 'string') return;
+  await writeEntry(url, variant, {
+    url: normalizeCacheKey(url),
+    body: response.data,
+    etag: response.headers?.etag || null,
+    lastModified: response.headers?.['last-modified'] || null,
+    fetchedAt: Date.now()
+  });
+}
+
+/**
+ * Marks an entry as fresh again after a 304 Not Modified.
+ */
+export async function touchCachedPage(url, entry, variant = '') {
+  if (!CACHE_ENABLED) return;
+  await writeEntry(url, variant, { ...entry, fetchedAt: Date.now() });
+}
+
+/**
+ * Deletes entries that have not been refreshed for HTTP_CACHE_MAX_DAYS.
+ */
+export async function pruneHttpCache() {
+  if (!CACHE_ENABLED) return;
+  let shards = [];
+  try {
+    shards = await fs.readdir(CACHE_DIR);
+  } catch (e) {
+    return;
+  }
+
+  const cutoff = Date.now() - MAX_AGE;
+  let removed = 0;
+  for (const shard of shards) {
+    const dir = path.join(CACHE_DIR, shard);
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const file of files) {
+      const fullPath = path.join(dir, file);
+      const stat = await fs.stat(fullPath).catch(() => null);
+      if (stat && stat.mtimeMs < cutoff) {
+        await fs.unlink(fullPath).catch(() => {});
+        removed++;
+      }
+    }
+  }
+  if (removed > 0) console.log(`[HttpCache] Pruned ${removed} expired page(s)`);
+}
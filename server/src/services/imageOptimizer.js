@@ -0,0 +1,117 @@
+import { isCoreImageType } from 'w2e-shared/epub.js';
+
+/**
+ * imageOptimizer.js - Shrinks images before they go into a book: converts formats that
+ * e-readers cannot display (WebP, AVIF, TIFF...) to JPEG/PNG, caps the longest side,
+ * optionally drops colour for e-ink screens, and recompresses.
+ *
+ * sharp is an optional native dependency, loaded on first use: without it the server and the
+ * CLI still run, optimizing fails with a clear error and unsupported types get the placeholder.
+ */
+
+let sharpPromise = null;
+
+/**
+ * The sharp module; rejects with code 'SHARP_UNAVAILABLE' when it isn't installed (or won't load).
+ */
+export function loadSharp() {
+  if (!sharpPromise) {
+    sharpPromise = import('sharp')
+      .then(module => module.default)
+      .catch(e => {
+        throw Object.assign(new Error(`Image processing needs the optional "sharp" package (npm install sharp): ${e.message.split('\n')[0]}`), { code: 'SHARP_UNAVAILABLE' });
+      });
+  }
+  return sharpPromise;
+}
+
+// Vector and (possibly animated) GIF images are passed through untouched
+const PASSTHROUGH_TYPES = new Set(['image/svg+xml', 'image/gif']);
+// Formats every reader understands; anything else is always re-encoded
+const READER_SAFE_TYPES = new Set(['image/jpeg', 'image/png']);
+
+export const DEFAULT_IMAGE_OPTIONS = { maxDimension: 1600, grayscale: false, quality: 80 };
+
+const clampInt = (value, min, max, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+const isTruthy = (value) => value === true || value === 'true' || value === '1' || value === 1;
+
+/**
+ * Reads optimization settings from a query string or JSON body.
+ * Returns null unless `optimize` is set, so callers can skip processing entirely.
+ */
+export function parseImageOptions(source) {
+  if (!source || !isTruthy(source.optimize)) return null;
+  return {
+    maxDimension: clampInt(source.maxDimension, 64, 10000, DEFAULT_IMAGE_OPTIONS.maxDimension),
+    grayscale: isTruthy(source.grayscale),
+    quality: clampInt(source.quality, 1, 100, DEFAULT_IMAGE_OPTIONS.quality)
+  };
+}
+
+/**
+ * @param {Buffer} data - Original image bytes
+ * @param {string} contentType - Content-Type reported by the remote server
+ * @param {Object} options - { maxDimension, grayscale, quality } from parseImageOptions
+ * @returns {Promise<{data: Buffer, contentType: string, originalBytes: number, bytes: number}>}
+ *   Rejects with code 'SHARP_UNAVAILABLE' when sharp is missing; other failures return the original.
+ */
+export async function optimizeImage(data, contentType, options) {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  const original = { data, contentType: mediaType, originalBytes: data.length, bytes: data.length };
+  if (PASSTHROUGH_TYPES.has(mediaType)) return original;
+
+  const sharp = await loadSharp();
+  try {
+    // rotate() applies the EXIF orientation before the metadata is stripped
+    let pipeline = sharp(data, { failOn: 'none' }).rotate();
+    const { hasAlpha } = await pipeline.metadata();
+
+    if (options.maxDimension) {
+      pipeline = pipeline.resize({
+        width: options.maxDimension,
+        height: options.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+    }
+    if (options.grayscale) pipeline = pipeline.grayscale().toColourspace('b-w');
+
+    // Transparency only survives as PNG; everything else becomes JPEG
+    const output = hasAlpha
+      ? await pipeline.png({ compressionLevel: 9, palette: options.quality < 100, quality: options.quality }).toBuffer()
+      : await pipeline.jpeg({ quality: options.quality, mozjpeg: true }).toBuffer();
+
+    // Re-encoding an already small image can make it bigger; keep the original when it is readable as-is
+    if (output.length >= data.length && READER_SAFE_TYPES.has(mediaType) && !options.grayscale) return original;
+
+    return {
+      data: output,
+      contentType: hasAlpha ? 'image/png' : 'image/jpeg',
+      originalBytes: data.length,
+      bytes: output.length
+    };
+  } catch (e) {
+    console.warn(`[ImageOptimizer] Could not process ${mediaType || 'image'}: ${e.message}`);
+    return original;
+  }
+}
+
+/**
+ * Without optimization, images still have to be one of the EPUB core types: AVIF, BMP, icons
+ * and the like are re-encoded as JPEG/PNG at full size, everything else is left alone.
+ * @returns {Promise<{data: Buffer, contentType: string}>} The original when it can't be converted
+ */
+export async function toCoreImageType(data, contentType) {
+  if (isCoreImageType(contentType)) return { data, contentType };
+  try {
+    const result = await optimizeImage(data, contentType, { maxDimension: 0, grayscale: false, quality: 90 });
+    return { data: result.data, contentType: result.contentType };
+  } catch (e) {
+    // Without sharp the image keeps its type and the book shows the placeholder
+    return { data, contentType };
+  }
+}
@@ -0,0 +1,173 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * jobStore.js - Persists job state as one JSON file per job so analysis results and
+ * per-chapter download status survive server restarts and missed socket events.
+ *
+ * Reads are served from memory; writes are debounced and flushed atomically (tmp + rename).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+
+const SAVE_DELAY = 500;
+const JOB_TTL = (parseInt(process.env.JOB_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+// jobIds come from clients and end up in file names
+const JOB_ID_REGEX = /^[\w-]{1,100}$/;
+
+const jobs = new Map();
+const pendingSaves = new Map();
+
+export const isValidJobId = (jobId) => typeof jobId === 'string' && JOB_ID_REGEX.test(jobId);
+
+const jobFile = (jobId) => path.join(JOBS_DIR, `${jobId}.json`);
+
+async function writeJob(jobId) {
+  pendingSaves.delete(jobId);
+  const job = jobs.get(jobId);
+  if (!job) return;
+  try {
+    await fs.mkdir(JOBS_DIR, { recursive: true });
+    const tmp = `${jobFile(jobId)}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(job));
+    await fs.rename(tmp, jobFile(jobId));
+  } catch (e) {
+    console.error(`[JobStore] Failed to persist job ${jobId}:`, e.message);
+  }
+}
+
+function scheduleSave(jobId) {
+  if (pendingSaves.has(jobId)) return;
+  pendingSaves.set(jobId, setTimeout(() => writeJob(jobId), SAVE_DELAY));
+}
+
+/**
+ * Loads persisted jobs. Jobs that were mid-analysis when the process died are
+ * marked 'interrupted' so they can be resumed; expired jobs are deleted.
+ */
+export async function initJobStore() {
+  let files = [];
+  try {
+    files = await fs.readdir(JOBS_DIR);
+  } catch (e) {
+    return;
+  }
+
+  const now = Date.now();
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const fullPath = path.join(JOBS_DIR, file);
+    try {
+      const job = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+      if (now - job.updatedAt > JOB_TTL) {
+        await fs.unlink(fullPath);
+        continue;
+      }
+      if (job.status === 'analyzing') job.status = 'interrupted';
+      jobs.set(job.id, job);
+    } catch (e) {
+      console.warn(`[JobStore] Skipping unreadable job file ${file}: ${e.message}`);
+    }
+  }
+  console.log(`[JobStore] Restored ${jobs.size} job(s)`);
+}
+
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+export function createJob(jobId, url) {
+  const now = Date.now();
+  const job = {
+    id: jobId,
+    url,
+    status: 'analyzing',
+    error: null,
+    metadata: null,
+    chapters: [],
+    analysis: null, // TOC scan checkpoint, used to resume an interrupted analysis
+    createdAt: now,
+    updatedAt: now
+  };
+  jobs.set(jobId, job);
+  scheduleSave(jobId);
+  return job;
+}
+
+export function updateJob(jobId, patch) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  Object.assign(job, patch, { updatedAt: Date.now() });
+  scheduleSave(jobId);
+  return job;
+}
+
+/**
+ * Records the outcome of a /chapters-batch call against the job's chapter list.
+ */
+export function recordChapterResults(jobId, results) {
+  const job = jobs.get(jobId);
+  if (!job || job.chapters.length === 0) return;
+
+  const byUrl = new Map(results.map(r => [r.url, r]));
+  job.chapters = job.chapters.map(ch => {
+    const result = byUrl.get(ch.url);
+    if (!result) return ch;
+    if (!result.success) return { ...ch, status: 'error' };
+    // Chapters with review reasons (see chapterQuality.js) were downloaded but need a look
+    const review = result.review || [];
+    return { ...ch, status: review.length > 0 ? 'review' : 'success', quality: result.quality, review };
+  });
+  updateJob(jobId, {});
+}
+
+/**
+ * True once the job has a chapter list and every chapter of it is downloaded.
+ */
+export function isJobComplete(jobId) {
+  const job = jobs.get(jobId);
+  return Boolean(job && job.chapters.length > 0 && job.chapters.every(c => c.status === 'success' || c.status === 'review'));
+}
+
+/**
+ * Public view of a job, replayed to clients on join-job and served by the /jobs routes.
+ */
+export function toSnapshot(job) {
+  const chapters = job.chapters.length > 0 ? job.chapters : (job.analysis?.chapters || []).map(c => ({ ...c, status: 'pending' }));
+  const counts = { total: chapters.length, pending: 0, success: 0, review: 0, error: 0 };
+  chapters.forEach(c => { counts[c.status] = (counts[c.status] || 0) + 1; });
+
+  return {
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    error: job.error,
+    metadata: job.metadata || job.analysis?.metadata || null,
+    chapters,
+    counts,
+    tocPagesScanned: job.analysis?.pageCount || 0,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+export function listJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(job => {
+      const { chapters, ...summary } = toSnapshot(job);
+      return summary;
+    });
+}
+
+/**
+ * Writes any debounced changes immediately (used on shutdown).
+ */
+export async function flushJobs() {
+  const ids = Array.from(pendingSaves.keys());
+  ids.forEach(id => clearTimeout(pendingSaves.get(id)));
+  await Promise.all(ids.map(writeJob));
+}
@@ -0,0 +1,75 @@
+import { analyzeNovel, crawlChapterChain, cancelAnalysis } from './crawler.js';
+import { createJob, getJob, updateJob } from './jobStore.js';
+import { clearJobCookies } from './cookieJars.js';
+
+/**
+ * jobs.js - Runs analyses on behalf of persisted jobs, mirroring progress into the job store.
+ */
+
+/**
+ * Starts (or resumes from the stored checkpoint) the analysis for a job.
+ * `crawl` selects the strategy: { mode: 'toc' } (default) or { mode: 'chain', maxChapters, endUrl }.
+ * `bypassCache` re-downloads pages instead of reading the HTTP cache; like `crawl`, it is stored on the job
+ * so a resumed analysis keeps it.
+ * `fetchOptions` ({ fetcher, waitForSelector }) is stored on the job and reused for its chapter batches.
+ * `cookieJar` is the jar the requesting client may use (see cookieJars.js); none by default.
+ * Runs in the background; failures are reported through the socket and the job record.
+ */
+export function startAnalysis(jobId, url, { resume = false, crawl = { mode: 'toc' }, bypassCache = false, fetchOptions = {}, cookieJar = null } = {}) {
+  const existing = getJob(jobId);
+  const checkpoint = resume && existing?.analysis?.metadata ? existing.analysis : null;
+  if (!resume || !existing) createJob(jobId, url);
+
+  // Resumed jobs keep the strategy they were started with
+  const crawlOptions = resume && existing?.crawl ? existing.crawl : crawl;
+  const jobFetchOptions = resume && existing?.fetchOptions ? existing.fetchOptions : fetchOptions;
+  const jobBypassCache = resume && existing ? existing.bypassCache === true : bypassCache;
+
+  // A newer run for the same job supersedes this one; stale callbacks must not overwrite its state
+  const runId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  updateJob(jobId, { status: 'analyzing', error: null, runId, crawl: crawlOptions, fetchOptions: jobFetchOptions, bypassCache: jobBypassCache });
+  const isCurrent = () => getJob(jobId)?.runId === runId;
+
+  const run = crawlOptions.mode === 'chain' ? crawlChapterChain : analyzeNovel;
+  run(url, jobId, {
+    maxChapters: crawlOptions.maxChapters,
+    endUrl: crawlOptions.endUrl,
+    resume: checkpoint,
+    bypassCache: jobBypassCache,
+    fetchOptions: jobFetchOptions,
+    cookieJar,
+    onCheckpoint: (analysis) => {
+      if (isCurrent()) updateJob(jobId, { analysis });
+    }
+  })
+    .then(result => {
+      if (!isCurrent()) return;
+      if (!result) {
+        updateJob(jobId, { status: 'cancelled' });
+        clearJobCookies(jobId);
+        return;
+      }
+      const { chapters, ...metadata } = result;
+      updateJob(jobId, {
+        status: 'ready',
+        metadata,
+        chapters: chapters.map(c => ({ ...c, status: 'pending' })),
+        analysis: null
+      });
+    })
+    .catch(err => {
+      // analyzeNovel already emitted the error to the job room
+      console.error('Background analysis failed:', err.message);
+      if (isCurrent()) {
+        updateJob(jobId, { status: 'failed', error: err.message });
+        clearJobCookies(jobId);
+      }
+    });
+}
+
+export function cancelJob(jobId) {
+  const wasRunning = cancelAnalysis(jobId);
+  const job = getJob(jobId);
+  if (job && job.status === 'analyzing') updateJob(jobId, { status: 'cancelled' });
+  return wasRunning;
+}
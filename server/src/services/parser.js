@@ -1,4 +1,6 @@
+import crypto from 'node:crypto';
 import * as cheerio from 'cheerio';
+import { repairXhtml } from 'w2e-shared/validation.js';
 
 /**
  * content.js - Powerful HTML extraction and sanitization engine.
@@ -56,16 +58,177 @@ function resolveUrl(url, baseUrl) {
   }
 }
 
-export function extractChapterContent(html, baseUrl) {
-  if (!html) return '';
+// User-supplied regexes run against every short paragraph on the shared server thread; keep them short
+const MAX_TEXT_FILTER_LENGTH = 200;
+// Text filters only remove short blocks (notices, ads), longer text is never tested
+const TEXT_FILTER_MAX_BLOCK = 150;
+
+// A repeated group that itself contains a quantifier ("(a+)+", "(\w*\s?)*", "(a?)+") or an alternation
+// ("(a|aa)+", "(\w|\d)+") can match the same text in exponentially many ways and backtrack forever
+function hasNestedQuantifier(pattern) {
+  const groups = []; // per open group: does it contain a quantifier or an alternation?
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      // "(?:", "(?=", "(?!", "(?<=", "(?<!", "(?<name>": the "?" is group syntax, not a quantifier
+      if (pattern[i + 1] === '?') {
+        const named = pattern[i + 2] === '<' && !['=', '!'].includes(pattern[i + 3]);
+        i = named ? Math.max(pattern.indexOf('>', i), i + 2) : i + 2 + (pattern[i + 2] === '<' ? 1 : 0);
+      }
+    } else if (char === ')') {
+      const risky = groups.pop();
+      const next = pattern[i + 1];
+      if (risky && (next === '+' || next === '*' || next === '{')) return true;
+      if ((risky || next === '+' || next === '*' || next === '{' || next === '?') && groups.length) groups[groups.length - 1] = true;
+    } else if ((char === '+' || char === '*' || char === '{' || char === '?' || char === '|') && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(/\r?\n/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Validates user overrides ({ selector, remove, textFilters }) for a novel whose content the
+ * heuristics get wrong. `remove` and `textFilters` accept arrays or one entry per line.
+ * Returns null when nothing is set; throws with a readable message on an invalid selector or regex.
+ */
+export function normalizeContentRules(input) {
+  if (!input) return null;
+  if (typeof input !== 'object') throw new Error('contentRules must be an object');
+
+  const rules = {
+    selector: String(input.selector || '').trim(),
+    remove: toList(input.remove),
+    textFilters: toList(input.textFilters)
+  };
+
+  const $ = cheerio.load('');
+  for (const selector of [rules.selector, ...rules.remove].filter(Boolean)) {
+    // cheerio would build markup from a string starting with "<" instead of querying
+    if (selector.startsWith('<')) throw new Error(`Invalid CSS selector: ${selector}`);
+    try {
+      $(selector);
+    } catch (e) {
+      throw new Error(`Invalid CSS selector: ${selector}`);
+    }
+  }
+  for (const filter of rules.textFilters) {
+    if (filter.length > MAX_TEXT_FILTER_LENGTH) throw new Error(`Text filter is longer than ${MAX_TEXT_FILTER_LENGTH} characters`);
+    try {
+      new RegExp(filter, 'i');
+    } catch (e) {
+      throw new Error(`Invalid text filter: ${e.message}`);
+    }
+    if (hasNestedQuantifier(filter)) throw new Error(`Text filter "${filter}" repeats a group that contains a repetition or an alternation, which can hang the server`);
+  }
+
+  if (!rules.selector && rules.remove.length === 0 && rules.textFilters.length === 0) return null;
+  return rules;
+}
+
+/**
+ * Layers user overrides on top of a site adapter's content rules: the user's selector
+ * wins, removal selectors and text filters add up, the adapter's clean() still runs.
+ */
+export function mergeContentRules(adapterRules, overrides) {
+  if (!overrides) return adapterRules || null;
+  return {
+    ...(adapterRules || {}),
+    selector: overrides.selector || adapterRules?.selector || null,
+    remove: [...(adapterRules?.remove || []), ...overrides.remove],
+    textFilters: [...(adapterRules?.textFilters || []), ...overrides.textFilters]
+  };
+}
+
+const EMPTY_QUALITY = { words: 0, textLength: 0, linkRatio: 0, strategy: 'none', hash: null };
+
+// Where chapter pages usually put their own title; the site name tends to be an <h1> in the header
+const TITLE_SELECTORS = ['.chapter-title', '.chapter-name', '#chapter-title', '.entry-title', '.post-title', 'h1.title'];
+const SITE_HEADER = '.site-title, .site-branding, .site-header, #masthead, .logo, .navbar, nav';
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * The chapter's own heading: the adapter's `title` selector, known title classes, then
+ * the first <h1> outside the site header. Null when the page has none.
+ */
+function findPageTitle($, rules) {
+  const usable = (node) => {
+    const text = node.text().replace(/\s+/g, ' ').trim();
+    return text && text.length <= MAX_TITLE_LENGTH ? text : null;
+  };
+  for (const selector of [rules?.title, ...TITLE_SELECTORS].filter(Boolean)) {
+    const text = usable($(selector).first());
+    if (text) return text;
+  }
+  const heading = $('h1').filter((i, el) => $(el).closest(SITE_HEADER).length === 0).first();
+  return heading.length ? usable(heading) : null;
+}
+
+/**
+ * Measures the extracted node so suspicious chapters can be flagged (see chapterQuality.js).
+ * `hash` identifies the text regardless of markup and case, for duplicate detection.
+ */
+function measureQuality(node, strategy) {
+  const text = node.text().replace(/\s+/g, ' ').trim();
+  if (!text) return { ...EMPTY_QUALITY, strategy };
+  const linkText = node.find('a').text().replace(/\s+/g, ' ').trim();
+  return {
+    words: text.split(' ').length,
+    textLength: text.length,
+    linkRatio: Math.round((linkText.length / text.length) * 100) / 100,
+    strategy,
+    hash: crypto.createHash('sha256').update(text.toLowerCase()).digest('hex').slice(0, 16)
+  };
+}
+
+/**
+ * Extracts the chapter body from a page.
+ * `rules` are content rules ({ selector, remove, textFilters, clean }) from the site adapter
+ * and/or the user (see mergeContentRules).
+ */
+export function extractChapterContent(html, baseUrl, rules = null) {
+  return extractChapter(html, baseUrl, rules).content;
+}
+
+/**
+ * Like extractChapterContent, plus a quality report:
+ * { words, textLength, linkRatio, strategy, hash } where strategy tells which step picked
+ * the text: 'rules' (adapter/user selector), 'selector' (known content selectors),
+ * 'density' (text density scoring), 'body' (whole page fallback) or 'none'.
+ * `title` is the page's own chapter heading (see findPageTitle), or null.
+ */
+export function extractChapter(html, baseUrl, rules = null) {
+  if (!html) return { content: '', quality: EMPTY_QUALITY, title: null };
 
   // Load as HTML first (forgiving parser)
   const $ = cheerio.load(html, {
     decodeEntities: false
   });
 
+  // Site-specific cleanup runs first, while <style>/<script> are still present
+  if (rules && typeof rules.clean === 'function') rules.clean($);
+
+  // Before the cleaning below, which drops <header> elements that often hold the title
+  const title = findPageTitle($, rules);
+
   // 1. Initial Cleaning
-  $(JUNK_SELECTORS.join(',')).remove();
+  $(JUNK_SELECTORS.concat(rules?.remove || []).join(',')).remove();
 
   $('*').each((i, el) => {
     const style = $(el).attr('style');
@@ -75,17 +238,30 @@ export function extractChapterContent(html, baseUrl) {
   });
 
   let bestNode = null;
+  let strategy = 'none';
+  const textPatterns = BAD_TEXT_PATTERNS.concat((rules?.textFilters || []).map(f => new RegExp(f, 'i')));
 
-  // 2. High-Priority Selectors
+  // 2. Adapter / user selector wins whenever it matches anything
+  if (rules?.selector) {
+    const match = $(rules.selector).first();
+    if (match.length > 0 && match.text().trim().length > 0) {
+      bestNode = match;
+      strategy = 'rules';
+    }
+  }
+
+  // 3. High-Priority Selectors
   for (const selector of HIGH_PRIORITY_SELECTORS) {
+    if (bestNode) break;
     const match = $(selector).first();
     if (match.length > 0 && match.text().trim().length > 300) {
       bestNode = match;
+      strategy = 'selector';
       break;
     }
   }
 
-  // 3. Density Scoring (Heuristic fallback)
+  // 4. Density Scoring (Heuristic fallback)
   if (!bestNode) {
     const candidates = [];
     $('div, section, main, article, td').each((i, el) => {
@@ -110,13 +286,19 @@ export function extractChapterContent(html, baseUrl) {
     });
     
     candidates.sort((a, b) => b.score - a.score);
-    if (candidates.length > 0) bestNode = candidates[0].node;
+    if (candidates.length > 0) {
+      bestNode = candidates[0].node;
+      strategy = 'density';
+    }
   }
 
-  // 4. Ultimate Fallback
-  if (!bestNode) bestNode = $('body');
+  // 5. Ultimate Fallback
+  if (!bestNode) {
+    bestNode = $('body');
+    strategy = 'body';
+  }
 
-  // 5. Deep Cleaning & XHTML Normalization
+  // 6. Deep Cleaning & XHTML Normalization
   if (bestNode) {
     // Fix Images
     bestNode.find('img').each((i, el) => {
@@ -144,8 +326,8 @@ export function extractChapterContent(html, baseUrl) {
     // Remove unwanted text patterns and empty containers
     bestNode.find('p, div, span, h1, h2, h3, h4, h5, h6, strong, em, b, i').each((i, el) => {
       const text = $(el).text().trim();
-      for (const pattern of BAD_TEXT_PATTERNS) {
-        if (pattern.test(text) && text.length < 150) {
+      for (const pattern of textPatterns) {
+        if (text.length < TEXT_FILTER_MAX_BLOCK && pattern.test(text)) {
           $(el).remove();
           return;
         }
@@ -165,30 +347,13 @@ export function extractChapterContent(html, baseUrl) {
        }
     });
 
-    // 6. OUTPUT AS XHTML with strict entity handling
-    // We use $.xml() on the node to generate valid XHTML string (self-closing tags etc)
-    let xmlContent = $.xml(bestNode);
-    
-    // STRICT XHTML CLEANUP:
-    // Replace named entities with numeric references because EPUB readers (XML) 
-    // often choke on entities like &nbsp; without a DTD.
-    xmlContent = xmlContent
-      .replace(/&nbsp;/g, '&#160;')
-      .replace(/&copy;/g, '&#169;')
-      .replace(/&mdash;/g, '&#8212;')
-      .replace(/&ndash;/g, '&#8211;')
-      .replace(/&lsquo;/g, '&#8216;')
-      .replace(/&rsquo;/g, '&#8217;')
-      .replace(/&ldquo;/g, '&#8220;')
-      .replace(/&rdquo;/g, '&#8221;')
-      .replace(/&apos;/g, '&#39;');
-      
-    // Ensure any remaining ampersands that aren't part of an entity are escaped
-    // Matches '&' not followed by 'word;' or '#123;' or '#xABC;'
-    xmlContent = xmlContent.replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#[xX][a-fA-F0-9]+);)/g, '&amp;');
+    // 7. OUTPUT AS XHTML
+    // Cheerio serializes HTML (<img>, <br>, named entities, any attribute); repairXhtml turns
+    // that into well-formed XML, which strict EPUB readers insist on.
+    const xmlContent = repairXhtml($.xml(bestNode)).html;
 
-    return `<div class="chapter-content">${xmlContent}</div>`;
+    return { content: `<div class="chapter-content">${xmlContent}</div>`, quality: measureQuality(bestNode, strategy), title };
   }
 
-  return '<p>No content extracted.</p>';
+  return { content: '<p>No content extracted.</p>', quality: EMPTY_QUALITY, title };
 }
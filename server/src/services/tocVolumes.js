@@ -0,0 +1,95 @@
+import { detectVolumeNumber } from 'w2e-shared/volumes.js';
+
+/**
+ * tocVolumes.js - Finds the volume/arc a chapter belongs to, for nested EPUB tables of contents.
+ *
+ * On a TOC page, in order of preference:
+ *   nested lists   <li>Volume 1<ul><li><a>Chapter 1</a></li>...</ul></li>
+ *   headings       <h3>Volume 1</h3><ul>...chapters...</ul> (or an adapter's toc.volumes selector)
+ * Failing both, "Volume N" / "Book N" in the chapter titles (finalizeVolumes).
+ */
+
+// Text that names a volume on its own, e.g. "Volume 2: The Capital" or "Arc IV"
+const VOLUME_TEXT = /^\s*(?:volume|vol\.?|book|arc|season)\s*(?:\d+|[ivxlc]+)\b/i;
+const CHAPTER_TEXT = /^\s*(?:chapter|ch\.|episode)\s*\d/i;
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'dt', 'summary', 'caption', 'legend']);
+const VOLUME_CLASS = /\b(?:volume|vol|arc)(?:[-_]?(?:title|name|header|heading))?\b/i;
+const MAX_LABEL_LENGTH = 120;
+
+const cleanLabel = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Text of an element without its nested lists and links: "Volume 1" in <li>Volume 1<ul>...</ul></li>
+function ownLabel($, el) {
+  const clone = $(el).clone();
+  clone.find('ul, ol, a').remove();
+  return cleanLabel(clone.text());
+}
+
+function nestedListVolume($, item) {
+  // The chapter's own <li> (if any) is skipped; the next <li> up is the group
+  const groups = item.element.parents('li');
+  const group = item.element.closest('li').length > 0 ? groups.eq(1) : groups.eq(0);
+  if (group.length === 0) return null;
+  const label = ownLabel($, group);
+  return label && label.length <= MAX_LABEL_LENGTH && !CHAPTER_TEXT.test(label) ? label : null;
+}
+
+function isHeading($, el, chapterEls, volumeSelector) {
+  const node = $(el);
+  if (volumeSelector) return node.is(volumeSelector);
+
+  // Containers of chapter links are sections, not headings
+  if (node.find('a').toArray().some(a => chapterEls.has(a))) return false;
+  const text = cleanLabel(node.text());
+  if (!text || text.length > MAX_LABEL_LENGTH || CHAPTER_TEXT.test(text)) return false;
+  return HEADING_TAGS.has(el.tagName) || VOLUME_TEXT.test(text) || VOLUME_CLASS.test(node.attr('class') || '');
+}
+
+/**
+ * Sets `data.volume` on TOC items ({ element, data } with cheerio link elements, in page order).
+ * `volumeSelector` is an adapter's toc.volumes selector for the volume headings.
+ */
+export function detectVolumes($, items, volumeSelector = null) {
+  if (items.length === 0) return;
+
+  if (!volumeSelector) {
+    const labels = items.map(item => nestedListVolume($, item));
+    if (new Set(labels.filter(Boolean)).size > 1) {
+      items.forEach((item, i) => { if (labels[i]) item.data.volume = labels[i]; });
+      return;
+    }
+  }
+
+  // Walk the page in document order; each chapter link takes the last heading seen before it
+  const chapterEls = new Set(items.map(item => item.element.get(0)));
+  const itemByEl = new Map(items.map(item => [item.element.get(0), item]));
+  let current = null;
+  $('body *').each((i, el) => {
+    if (chapterEls.has(el)) {
+      if (current) itemByEl.get(el).data.volume = current;
+    } else if (isHeading($, el, chapterEls, volumeSelector)) {
+      current = cleanLabel($(el).text());
+    }
+  });
+}
+
+/**
+ * Final pass over a novel's chapter list. Page headings that are not volumes (a single
+ * "Table of Contents" heading) are dropped; without headings, "Volume N" in the titles is used.
+ */
+export function finalizeVolumes(chapters) {
+  const labels = new Set(chapters.map(c => c.volume).filter(Boolean));
+  if (labels.size > 1 || (labels.size === 1 && VOLUME_TEXT.test([...labels][0]))) return chapters;
+  chapters.forEach(c => { delete c.volume; });
+
+  let current = null;
+  const fromTitles = chapters.map(c => {
+    const number = detectVolumeNumber(c.title);
+    if (number !== null) current = `Volume ${number}`;
+    return current;
+  });
+  if (new Set(fromTitles.filter(Boolean)).size > 1) {
+    chapters.forEach((c, i) => { if (fromTitles[i]) c.volume = fromTitles[i]; });
+  }
+  return chapters;
+}
@@ -1,4 +1,5 @@
 import { Server } from 'socket.io';
+import { getJob, toSnapshot } from './services/jobStore.js';
 
 let io;
 
@@ -18,6 +19,11 @@ export const initSocket = (httpServer) => {
       if (jobId) {
         console.log(`[Socket] ${socket.id} joining job room: ${jobId}`);
         socket.join(jobId);
+
+        // Replay the persisted state so a client that missed events (or reconnected
+        // after a restart) can catch up
+        const job = getJob(jobId);
+        if (job) socket.emit('job-snapshot', toSnapshot(job));
       }
     });
 
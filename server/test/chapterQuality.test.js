@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reviewChapters } from '../src/services/chapterQuality.js';
+
+const quality = (textLength, extra = {}) => ({ words: textLength / 5, textLength, linkRatio: 0, strategy: 'selector', hash: `h${textLength}`, ...extra });
+const result = (url, q) => ({ url, success: true, quality: q });
+
+test('reviewChapters flags empty, short, duplicate, link-heavy and whole-page chapters', () => {
+  const results = [
+    result('1', quality(5000)),
+    result('2', quality(5200)),
+    result('3', quality(4800)),
+    result('4', quality(0, { hash: null })),
+    result('5', quality(300)),
+    result('6', quality(5000)),
+    result('7', quality(4900, { linkRatio: 0.8 })),
+    result('8', quality(5100, { strategy: 'body' })),
+    { url: '9', success: false }
+  ];
+  const reasons = Object.fromEntries(reviewChapters(results).map(r => [r.url, r.review]));
+  assert.deepEqual(reasons, {
+    1: ['duplicate'],
+    2: [],
+    3: [],
+    4: ['empty'],
+    5: ['short'],
+    6: ['duplicate'],
+    7: ['links'],
+    8: ['fallback'],
+    9: undefined
+  });
+});
+
+test('reviewChapters judges a batch against the chapters downloaded before', () => {
+  const reference = ['a', 'b', 'c', 'd', 'e'].map((url, i) => ({ url, quality: quality(5000 + i) }));
+  const [short, copy] = reviewChapters([result('x', quality(400)), result('y', quality(5002))], reference);
+  assert.deepEqual(short.review, ['short']);
+  assert.deepEqual(copy.review, ['duplicate']);
+});
+
+test('reviewChapters does not judge length on too few chapters', () => {
+  const [a, b] = reviewChapters([result('a', quality(5000)), result('b', quality(100))]);
+  assert.deepEqual(a.review, []);
+  assert.deepEqual(b.review, []);
+});
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCacheKey } from '../src/services/httpCache.js';
+
+test('normalizeCacheKey drops fragments, default ports and tracking parameters', () => {
+  assert.equal(
+    normalizeCacheKey('https://example.com:443/novel?utm_source=x&b=2&a=1#top'),
+    'https://example.com/novel?a=1&b=2'
+  );
+  assert.equal(normalizeCacheKey('https://example.com/novel?fbclid=1'), 'https://example.com/novel');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeContentRules, mergeContentRules, extractChapter } from '../src/services/parser.js';
+
+const filter = (pattern) => () => normalizeContentRules({ textFilters: [pattern] });
+
+test('normalizeContentRules returns null when nothing is set', () => {
+  assert.equal(normalizeContentRules(null), null);
+  assert.equal(normalizeContentRules({ selector: ' ', remove: '', textFilters: [] }), null);
+});
+
+test('normalizeContentRules splits lines and rejects invalid selectors and regexes', () => {
+  assert.deepEqual(normalizeContentRules({ remove: '.ad\n\n.share ' }), { selector: '', remove: ['.ad', '.share'], textFilters: [] });
+  assert.throws(() => normalizeContentRules({ selector: '<div>' }), /Invalid CSS selector/);
+  assert.throws(() => normalizeContentRules({ selector: 'div[' }), /Invalid CSS selector/);
+  assert.throws(filter('(unclosed'), /Invalid text filter/);
+  assert.throws(filter('a'.repeat(201)), /longer than/);
+});
+
+test('text filters that can backtrack exponentially are rejected', () => {
+  for (const pattern of ['(a+)+$', '((ab)*c)+', '(\\w*\\s?)*', '(a{2,})*', '(a?)+', '(a|aa)+', '(\\w|\\d)+$', '(?:a|b)*x', '(?<n>a+)+']) {
+    assert.throws(filter(pattern), /can hang the server/, pattern);
+  }
+});
+
+test('safe text filters are accepted', () => {
+  for (const pattern of ['read.*at', '(?:ad|sponsor) here', '[(a+)]+', '\\(a+\\)+', '(?:www\\.)?site', '(abc)+', '(?<n>ab)+']) {
+    assert.doesNotThrow(filter(pattern), pattern);
+  }
+});
+
+test('mergeContentRules lets the user selector win and adds up the lists', () => {
+  const merged = mergeContentRules(
+    { selector: '.text', remove: ['.ad'], textFilters: ['a'], title: 'h2' },
+    { selector: '', remove: ['.share'], textFilters: ['b'] }
+  );
+  assert.deepEqual(merged, { selector: '.text', remove: ['.ad', '.share'], textFilters: ['a', 'b'], title: 'h2' });
+  assert.equal(mergeContentRules(null, null), null);
+});
+
+test('extractChapter applies the selector and text filters and finds the page title', () => {
+  const html = `<html><body><header class="site-header"><h1>My Site</h1></header>
+    <h1>Chapter 3: Storm</h1>
+    <div class="text"><p>The wind rose over the harbour and did not stop for three days.</p><p>Visit mysite for more</p></div>
+    <div class="sidebar"><p>Unrelated</p></div></body></html>`;
+  const rules = normalizeContentRules({ selector: '.text', textFilters: ['^visit mysite'] });
+  const { content, quality, title } = extractChapter(html, 'https://example.com/c3', rules);
+  assert.equal(title, 'Chapter 3: Storm');
+  assert.match(content, /The wind rose/);
+  assert.doesNotMatch(content, /Visit mysite/);
+  assert.doesNotMatch(content, /Unrelated/);
+  assert.equal(quality.strategy, 'rules');
+});
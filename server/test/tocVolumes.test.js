@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { detectVolumes, finalizeVolumes } from '../src/services/tocVolumes.js';
+
+const tocItems = (html) => {
+  const $ = cheerio.load(html);
+  const items = $('a').toArray().map(a => ({ element: $(a), data: { title: $(a).text() } }));
+  return { $, items };
+};
+
+test('detectVolumes reads nested lists', () => {
+  const { $, items } = tocItems(`<ul>
+    <li>Volume 1<ul><li><a href="1">Chapter 1</a></li><li><a href="2">Chapter 2</a></li></ul></li>
+    <li>Volume 2: The Capital<ul><li><a href="3">Chapter 3</a></li></ul></li>
+  </ul>`);
+  detectVolumes($, items);
+  assert.deepEqual(items.map(i => i.data.volume), ['Volume 1', 'Volume 1', 'Volume 2: The Capital']);
+});
+
+test('detectVolumes uses the heading before each group of chapters', () => {
+  const { $, items } = tocItems(`<div>
+    <a href="0">Prologue</a>
+    <h3>Book I</h3><ul><li><a href="1">Chapter 1</a></li></ul>
+    <h3>Book II</h3><ul><li><a href="2">Chapter 2</a></li></ul>
+  </div>`);
+  detectVolumes($, items);
+  assert.deepEqual(items.map(i => i.data.volume), [undefined, 'Book I', 'Book II']);
+});
+
+test('finalizeVolumes drops a single heading that is not a volume', () => {
+  const chapters = finalizeVolumes([{ title: 'Chapter 1', volume: 'Table of Contents' }, { title: 'Chapter 2', volume: 'Table of Contents' }]);
+  assert.deepEqual(chapters.map(c => c.volume), [undefined, undefined]);
+});
+
+test('finalizeVolumes falls back to volume numbers in the titles', () => {
+  const chapters = finalizeVolumes([{ title: 'Vol 1 Chapter 1' }, { title: 'Chapter 2' }, { title: 'Vol 2 Chapter 1' }]);
+  assert.deepEqual(chapters.map(c => c.volume), ['Volume 1', 'Volume 1', 'Volume 2']);
+});
@@ -0,0 +1,202 @@
+/**
+ * chapterTitles.js - Cleans up chapter titles. TOC link text gives things like
+ * "Chapter 12 - Chapter 12: The Fall", "ch.12" or a bare "12"; the rules below strip the
+ * duplicated prefixes and the novel title, optionally rewrite everything as "Chapter N: Title"
+ * and find (or renumber away) gaps and duplicates in the numbering.
+ *
+ * Chapters are { title, tocTitle?, pageTitle?, volume? }: `tocTitle` is the original link text
+ * once titles were rewritten, `pageTitle` the heading found on the chapter page while
+ * downloading (see the server's extractChapter).
+ *
+ * isReversedOrder() spots tables of contents that list the newest chapter first.
+ */
+
+export const TITLE_SOURCES = {
+  toc: { label: 'TOC link text' },
+  page: { label: 'Chapter page heading' }
+};
+
+export const TITLE_FORMATS = {
+  keep: { label: 'Keep the site\'s format' },
+  chapter: { label: 'Chapter N: Title' }
+};
+
+export const DEFAULT_TITLE_OPTIONS = { source: 'toc', stripDuplicates: true, format: 'keep', renumber: false };
+
+/**
+ * Title options with defaults filled in; throws on invalid values.
+ */
+export function normalizeTitleOptions(input) {
+  const options = { ...DEFAULT_TITLE_OPTIONS, ...(input || {}) };
+  if (!TITLE_SOURCES[options.source]) throw new Error(`Unknown title source "${options.source}" (available: ${Object.keys(TITLE_SOURCES).join(', ')})`);
+  if (!TITLE_FORMATS[options.format]) throw new Error(`Unknown title format "${options.format}" (available: ${Object.keys(TITLE_FORMATS).join(', ')})`);
+  return { source: options.source, stripDuplicates: options.stripDuplicates !== false, format: options.format, renumber: options.renumber === true };
+}
+
+// "Chapter 12", "Ch. 12", "ch.12", "Episode 12", "Chapter #12" (and the separator after it)
+const CHAPTER_PREFIX = /^((?:chapter|chap|ch|episode|ep)\.?\s*#?\s*(\d+(?:\.\d+)?))(?!\w)\s*(?:[:.\-–—|)]\s*)*/i;
+// A bare number, only when punctuation or nothing follows: "12", "12. The Fall", "12 - The Fall"
+const NUMBER_PREFIX = /^(#?(\d+(?:\.\d+)?))\s*(?:[:.\-–—|)]\s*)+|^(#?(\d+(?:\.\d+)?))\s*$/;
+// "Volume 2", "Vol. 2", "Book 3", "Arc 4" in front of the chapter number
+const VOLUME_PREFIX = /^((?:volume|vol|book|arc)\.?\s*\d+)\s*(?:[:,.\-–—|]\s*)*/i;
+// "Part 2" / "Pt. 2": several chapters share a number
+const SPLIT_PATTERN = /^(?:part|pt)\.?\s*\d+\b/i;
+
+const SEPARATORS = /^[\s:.\-–—|,]+|[\s:.\-–—|,]+$/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function matchNumber(text) {
+  const chapter = text.match(CHAPTER_PREFIX);
+  if (chapter) return { label: chapter[1], number: chapter[2], length: chapter[0].length };
+  const bare = text.match(NUMBER_PREFIX);
+  if (bare) return { label: bare[1] || bare[3], number: bare[2] || bare[4], length: bare[0].length };
+  return null;
+}
+
+// The novel title in front of a chapter number ("My Novel - Chapter 12") or after any title ("The Fall | My Novel")
+function stripNovelTitle(text, novelTitle) {
+  const novel = escapeRegExp(String(novelTitle).replace(/\s+/g, ' ').trim());
+  if (!novel) return text;
+  let result = text.replace(new RegExp(`\\s*[:\\-–—|,(]\\s*${novel}\\)?$`, 'i'), '');
+  const prefix = result.match(new RegExp(`^${novel}[\\s:\\-–—|,]+`, 'i'));
+  if (prefix) {
+    const rest = result.slice(prefix[0].length);
+    if (VOLUME_PREFIX.test(rest) || matchNumber(rest)) result = rest;
+  }
+  return result.trim() || text;
+}
+
+/**
+ * Splits a title into { volume, label, number, name, stripped }: "Vol. 2 Ch. 12 - The Fall"
+ * gives volume "Vol. 2", label "Ch. 12", number "12", name "The Fall". Titles without a
+ * chapter number ("Prologue") only have a name. With `stripDuplicates`, repeats of the same
+ * number ("Chapter 12 - Chapter 12: ...") and the novel title are removed (`stripped` is set).
+ */
+export function parseChapterTitle(title, { stripDuplicates = true, novelTitle = '' } = {}) {
+  const original = String(title || '').replace(/\s+/g, ' ').trim();
+  const text = stripDuplicates && novelTitle ? stripNovelTitle(original, novelTitle) : original;
+
+  const volumeMatch = text.match(VOLUME_PREFIX);
+  const rest = volumeMatch ? text.slice(volumeMatch[0].length) : text;
+  const chapter = matchNumber(rest);
+  if (!chapter) return { volume: null, label: null, number: null, name: text, stripped: text !== original };
+
+  let name = rest.slice(chapter.length);
+  let repeated = false;
+  if (stripDuplicates) {
+    for (let repeat = matchNumber(name); repeat && Number(repeat.number) === Number(chapter.number); repeat = matchNumber(name)) {
+      name = name.slice(repeat.length);
+      repeated = true;
+    }
+  }
+  return {
+    volume: volumeMatch ? volumeMatch[1] : null,
+    label: chapter.label,
+    number: chapter.number,
+    name: name.replace(SEPARATORS, '').trim(),
+    stripped: repeated || text !== original
+  };
+}
+
+/**
+ * Numbering problems among the parsed titles, in reading order:
+ * [{ index, kind: 'gap' | 'duplicate' | 'order', message }]. Numbering may restart at 1 (and
+ * does when the volume changes); decimal numbers (12.5) and "Part N" chapters don't count.
+ */
+function checkNumbering(parsed, chapters) {
+  const issues = [];
+  let previous = null;
+  for (let i = 0; i < parsed.length; i++) {
+    const { number, name, volume } = parsed[i];
+    if (number === null || number.includes('.')) continue;
+    const value = Number(number);
+    const group = `${chapters[i].volume || ''}|${volume || ''}`;
+    const split = SPLIT_PATTERN.test(name);
+
+    if (previous && previous.group === group && !(split && value === previous.value)) {
+      if (value === previous.value) {
+        issues.push({ index: i, kind: 'duplicate', message: `Chapter ${value} appears twice` });
+      } else if (value > previous.value + 1) {
+        const missing = value - previous.value - 1;
+        issues.push({ index: i, kind: 'gap', message: missing === 1 ? `Chapter ${previous.value + 1} is missing` : `Chapters ${previous.value + 1}-${value - 1} are missing` });
+      } else if (value < previous.value && value !== 1) {
+        issues.push({ index: i, kind: 'order', message: `Chapter ${value} comes after chapter ${previous.value}` });
+      }
+    }
+    previous = { value, group };
+  }
+  return issues;
+}
+
+// New numbers for consecutive chapters: each run (a volume, or a restart at 1) counts up from its first number
+function renumber(parsed, chapters) {
+  const numbers = parsed.map(p => p.number);
+  let previous = null;
+  for (let i = 0; i < parsed.length; i++) {
+    const { number, name, volume } = parsed[i];
+    if (number === null || number.includes('.')) continue;
+    const value = Number(number);
+    const group = `${chapters[i].volume || ''}|${volume || ''}`;
+    let assigned;
+    if (!previous || previous.group !== group || (value === 1 && previous.value !== 1)) assigned = value;
+    else if (SPLIT_PATTERN.test(name) && value === previous.value) assigned = previous.assigned;
+    else assigned = previous.assigned + 1;
+    numbers[i] = String(assigned);
+    previous = { value, group, assigned };
+  }
+  return numbers;
+}
+
+/**
+ * Titles for `chapters` under `options` (see DEFAULT_TITLE_OPTIONS), plus the numbering
+ * problems of the source titles and, with `renumber`, the chapters whose number changed:
+ * { titles: string[], issues, renumbered: [{ index, from, to }] }. With source 'page', chapters
+ * whose page heading wasn't captured keep their TOC text.
+ */
+export function normalizeChapterTitles(chapters, options = DEFAULT_TITLE_OPTIONS, { novelTitle = '' } = {}) {
+  const { source, stripDuplicates, format, renumber: fixNumbers } = { ...DEFAULT_TITLE_OPTIONS, ...options };
+  const sources = chapters.map(c => (source === 'page' && c.pageTitle ? c.pageTitle : c.tocTitle || c.title) || '');
+  const parsed = sources.map(text => parseChapterTitle(text, { stripDuplicates, novelTitle }));
+  const issues = checkNumbering(parsed, chapters);
+  const numbers = fixNumbers ? renumber(parsed, chapters) : parsed.map(p => p.number);
+  const renumbered = parsed
+    .map((p, index) => ({ index, from: p.number, to: numbers[index] }))
+    .filter(change => change.from !== change.to);
+
+  const titles = parsed.map((p, i) => {
+    if (p.number === null) return p.name || sources[i] || `Chapter ${i + 1}`;
+    // Kept titles nothing was stripped from stay as the site wrote them, apart from a new number
+    if (format !== 'chapter' && !p.stripped) {
+      const text = sources[i].replace(/\s+/g, ' ').trim();
+      return numbers[i] === p.number ? text : text.replace(p.label, p.label.replace(p.number, numbers[i]));
+    }
+    const label = format === 'chapter'
+      ? `Chapter ${numbers[i]}`
+      : numbers[i] === p.number ? p.label : p.label.replace(p.number, numbers[i]);
+    const heading = p.volume ? `${p.volume} ${label}` : label;
+    if (!p.name) return heading;
+    // "Chapter 6 Part 2" reads better without the colon
+    return SPLIT_PATTERN.test(p.name) ? `${heading} ${p.name}` : `${heading}: ${p.name}`;
+  });
+  return { titles, issues, renumbered };
+}
+
+/**
+ * True when the chapter numbers mostly count down ("Chapter 300", "Chapter 299", ...), as on
+ * tables of contents that list the newest chapter first. Volume restarts don't change the verdict.
+ */
+export function isReversedOrder(chapters) {
+  let ascending = 0;
+  let descending = 0;
+  let previous = null;
+  for (const chapter of chapters) {
+    const { number } = parseChapterTitle(chapter.tocTitle || chapter.title);
+    if (number === null || number.includes('.')) continue;
+    const value = Number(number);
+    if (previous !== null && value > previous) ascending++;
+    if (previous !== null && value < previous) descending++;
+    previous = value;
+  }
+  return descending >= 2 && descending > ascending;
+}
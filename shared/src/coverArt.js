@@ -0,0 +1,175 @@
+/**
+ * coverArt.js - Generated covers for novels whose site has no cover image, and the file
+ * types accepted when the user supplies a local one.
+ *
+ * coverLayout() turns the title/author into a list of plain drawing instructions, so every
+ * renderer draws the same cover: coverSvg() here (the server rasterizes it with sharp), and
+ * the browser worker paints it on an OffscreenCanvas (client/src/lib/coverCanvas.js).
+ * Colors come from a hash of the title, so a novel keeps its colors across rebuilds.
+ *
+ * Instructions:
+ *   { type: 'rect', x, y, w, h, fill?, gradient?: [top, bottom], stroke?, strokeWidth? }
+ *   { type: 'text', x, y, text, size, family, weight, color, anchor: 'start' | 'middle' }
+ */
+
+import { xmlEscape } from './xml.js';
+
+export const COVER_WIDTH = 1200;
+export const COVER_HEIGHT = 1800;
+
+export const COVER_STYLES = {
+  gradient: { label: 'Gradient' },
+  band: { label: 'Color band' },
+  frame: { label: 'Framed' },
+  minimal: { label: 'Minimal' }
+};
+
+export const DEFAULT_COVER_STYLE = 'gradient';
+
+// Image files accepted as a local cover (uploaded in the UI, --cover on the CLI)
+export const COVER_MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+export const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+export const coverMediaType = (fileName) => COVER_MEDIA_TYPES[String(fileName || '').split('.').pop().toLowerCase()] || null;
+
+// Average glyph width as a fraction of the font size, for wrapping without measuring
+const CHAR_WIDTH = 0.62;
+const MAX_TITLE_LINES = 6;
+const MIN_TITLE_SIZE = 64;
+
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+
+const hsl = (h, s, l) => `hsl(${Math.round(h) % 360}, ${s}%, ${l}%)`;
+
+/**
+ * Splits `text` into lines of at most `maxChars` characters, breaking at spaces
+ * (words longer than a line are cut).
+ */
+export function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (let word of String(text || '').split(/\s+/).filter(Boolean)) {
+    while (word.length > maxChars) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, maxChars - 1) + '-');
+      word = word.slice(maxChars - 1);
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= maxChars) line += ` ${word}`;
+    else { lines.push(line); line = word; }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Largest title size (from `start`, in steps of 10%) whose wrapped text fits the box without cutting words
+function fitTitle(title, width, start) {
+  const longestWord = Math.max(...title.split(/\s+/).map(word => word.length));
+  for (let size = start; ; size = Math.round(size * 0.9)) {
+    const maxChars = Math.max(4, Math.floor(width / (size * CHAR_WIDTH)));
+    const lines = wrapText(title, maxChars);
+    const fits = lines.length <= MAX_TITLE_LINES && longestWord <= maxChars;
+    // Past the smallest size, very long words get cut instead
+    if (fits || size * 0.9 < MIN_TITLE_SIZE) return { size, lines: lines.slice(0, MAX_TITLE_LINES) };
+  }
+}
+
+// Text lines centered vertically around `centerY`
+function textBlock(lines, { x, centerY, size, lineHeight = 1.2, ...style }) {
+  const step = size * lineHeight;
+  const top = centerY - ((lines.length - 1) * step) / 2 + size * 0.35;
+  return lines.map((text, i) => ({ type: 'text', x, y: Math.round(top + i * step), text, size, ...style }));
+}
+
+/**
+ * Drawing instructions for a cover in `style` (a key of COVER_STYLES).
+ */
+export function coverLayout({ title, author }, style = DEFAULT_COVER_STYLE) {
+  const W = COVER_WIDTH;
+  const H = COVER_HEIGHT;
+  const name = String(title || 'Untitled').trim() || 'Untitled';
+  const byline = author && author !== 'Unknown' ? String(author).trim() : '';
+  const hue = hashString(name) % 360;
+  const accentHue = hue + 40;
+
+  switch (COVER_STYLES[style] ? style : DEFAULT_COVER_STYLE) {
+    case 'band': {
+      const { size, lines } = fitTitle(name, W - 200, 130);
+      const bandHeight = Math.max(520, lines.length * size * 1.2 + 240);
+      const bandTop = (H - bandHeight) / 2 - 100;
+      return [
+        { type: 'rect', x: 0, y: 0, w: W, h: H, fill: hsl(hue, 30, 92) },
+        { type: 'rect', x: 0, y: bandTop, w: W, h: bandHeight, fill: hsl(hue, 50, 32) },
+        { type: 'rect', x: 0, y: bandTop + bandHeight, w: W, h: 16, fill: hsl(accentHue, 65, 55) },
+        ...textBlock(lines, { x: W / 2, centerY: bandTop + bandHeight / 2, size, family: 'serif', weight: 'bold', color: '#ffffff', anchor: 'middle' }),
+        ...(byline ? textBlock([byline], { x: W / 2, centerY: H - 220, size: 60, family: 'sans-serif', weight: 'normal', color: hsl(hue, 40, 25), anchor: 'middle' }) : [])
+      ];
+    }
+    case 'frame': {
+      const gold = hsl(hue + 180, 55, 72);
+      const { size, lines } = fitTitle(name, W - 320, 120);
+      return [
+        { type: 'rect', x: 0, y: 0, w: W, h: H, fill: hsl(hue, 40, 14) },
+        { type: 'rect', x: 70, y: 70, w: W - 140, h: H - 140, stroke: gold, strokeWidth: 6 },
+        { type: 'rect', x: 100, y: 100, w: W - 200, h: H - 200, stroke: gold, strokeWidth: 2 },
+        ...textBlock(lines, { x: W / 2, centerY: H * 0.42, size, family: 'serif', weight: 'bold', color: gold, anchor: 'middle' }),
+        { type: 'rect', x: W / 2 - 120, y: H * 0.42 + (lines.length * size * 1.2) / 2 + 60, w: 240, h: 4, fill: gold },
+        ...(byline ? textBlock([byline], { x: W / 2, centerY: H - 300, size: 58, family: 'serif', weight: 'normal', color: '#f1f5f9', anchor: 'middle' }) : [])
+      ];
+    }
+    case 'minimal': {
+      const { size, lines } = fitTitle(name, W - 260, 140);
+      const blockHeight = lines.length * size * 1.15;
+      return [
+        { type: 'rect', x: 0, y: 0, w: W, h: H, fill: '#fafaf9' },
+        { type: 'rect', x: 120, y: 220, w: 160, h: 24, fill: hsl(hue, 65, 45) },
+        ...textBlock(lines, { x: 120, centerY: 340 + blockHeight / 2, size, lineHeight: 1.15, family: 'sans-serif', weight: 'bold', color: '#1c1917', anchor: 'start' }),
+        ...(byline ? textBlock([byline], { x: 120, centerY: H - 200, size: 56, family: 'sans-serif', weight: 'normal', color: hsl(hue, 30, 35), anchor: 'start' }) : [])
+      ];
+    }
+    default: {
+      const { size, lines } = fitTitle(name, W - 200, 130);
+      return [
+        { type: 'rect', x: 0, y: 0, w: W, h: H, gradient: [hsl(hue, 55, 38), hsl(accentHue, 60, 16)] },
+        ...textBlock(lines, { x: W / 2, centerY: H * 0.4, size, family: 'serif', weight: 'bold', color: '#ffffff', anchor: 'middle' }),
+        { type: 'rect', x: W / 2 - 90, y: H * 0.4 + (lines.length * size * 1.2) / 2 + 50, w: 180, h: 6, fill: hsl(accentHue, 70, 70) },
+        ...(byline ? textBlock([byline], { x: W / 2, centerY: H * 0.4 + (lines.length * size * 1.2) / 2 + 160, size: 60, family: 'sans-serif', weight: 'normal', color: hsl(hue, 30, 88), anchor: 'middle' }) : [])
+      ];
+    }
+  }
+}
+
+/**
+ * The layout as a standalone SVG document.
+ */
+export function coverSvg(layout) {
+  const defs = [];
+  const shapes = layout.map((item, i) => {
+    if (item.type === 'text') {
+      return `<text x="${item.x}" y="${item.y}" font-family="${item.family}" font-size="${item.size}" font-weight="${item.weight}" fill="${item.color}" text-anchor="${item.anchor}">${xmlEscape(item.text)}</text>`;
+    }
+    let fill = item.fill || 'none';
+    if (item.gradient) {
+      defs.push(`<linearGradient id="g${i}" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${item.gradient[0]}"/><stop offset="1" stop-color="${item.gradient[1]}"/></linearGradient>`);
+      fill = `url(#g${i})`;
+    }
+    const stroke = item.stroke ? ` stroke="${item.stroke}" stroke-width="${item.strokeWidth || 1}"` : '';
+    return `<rect x="${item.x}" y="${item.y}" width="${item.w}" height="${item.h}" fill="${fill}"${stroke}/>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${COVER_WIDTH}" height="${COVER_HEIGHT}" viewBox="0 0 ${COVER_WIDTH} ${COVER_HEIGHT}">
+<defs>${defs.join('')}</defs>
+${shapes.join('\n')}
+</svg>`;
+}
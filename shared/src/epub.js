@@ -0,0 +1,458 @@
+import { repairXhtml, countIssues, validatePackage } from './validation.js';
+import { buildStylesheet, fontHref, FONT_MEDIA_TYPES, fontExtension } from './styles.js';
+import { bookIdentifier, normalizeLanguage, normalizeTags, normalizeSeries, DEFAULT_LANGUAGE } from './metadata.js';
+import { frontMatterPages } from './frontMatter.js';
+import { xmlEscape } from './xml.js';
+
+/**
+ * epub.js - EPUB 3 templating shared by the browser worker and the server builder.
+ * Both sides hand in a JSZip instance and their own way of loading chapter bodies,
+ * so the OPF/NCX/nav output is identical no matter where a book is built.
+ */
+
+
+export const CONTAINER_XML = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+   <rootfiles>
+      <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+   </rootfiles>
+</container>`;
+
+// Stylesheet of the default theme (see styles.js)
+export const DEFAULT_CSS = buildStylesheet();
+
+// Upper bound for all embedded chapter images in one book; images past it get the placeholder
+export const DEFAULT_MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+
+const IMAGE_PLACEHOLDER_HREF = 'images/placeholder.svg';
+const IMAGE_PLACEHOLDER_SVG = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="400" height="120" viewBox="0 0 400 120">
+  <rect x="1" y="1" width="398" height="118" fill="#f1f5f9" stroke="#94a3b8" stroke-dasharray="6 4"/>
+  <text x="200" y="66" font-family="sans-serif" font-size="16" fill="#64748b" text-anchor="middle">Image unavailable</text>
+</svg>`;
+
+// The EPUB core image types; readers don't have to show anything else and epubcheck rejects it
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+export const isCoreImageType = (mediaType) => Object.prototype.hasOwnProperty.call(IMAGE_EXTENSIONS, (mediaType || '').split(';')[0].trim().toLowerCase());
+
+const IMG_SRC_REGEX = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])(.*?)\2/gi;
+
+const decodeAttr = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Content hash used to store identical images once. Falls back to a 53-bit string hash
+// where SubtleCrypto is missing (pages served over plain http from a non-localhost host).
+async function hashBytes(bytes) {
+  if (globalThis.crypto?.subtle) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest).slice(0, 10), b => b.toString(16).padStart(2, '0')).join('');
+  }
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < bytes.length; i++) {
+    h1 = Math.imul(h1 ^ bytes[i], 2654435761);
+    h2 = Math.imul(h2 ^ bytes[i], 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return `${hash.toString(16)}${bytes.length.toString(16)}`;
+}
+
+/**
+ * Downloads the images referenced by chapter bodies into OEBPS/images/ and rewrites
+ * their `src` to the local copy. Identical files are stored once; failed downloads, images
+ * past the size budget and types outside the core ones (AVIF, BMP, icons...; callers convert
+ * those where they can) point at a shared placeholder.
+ *
+ * @param {Function} fetchImage - async (url) => { data: ArrayBuffer|Uint8Array, mediaType } or null
+ */
+function createImageEmbedder(oebps, manifest, { fetchImage, maxBytes = DEFAULT_MAX_IMAGE_BYTES }) {
+  const byUrl = new Map();
+  const byHash = new Map();
+  const stats = { embedded: 0, reused: 0, failed: 0, unsupported: 0, overBudget: 0, bytes: 0 };
+  let placeholderAdded = false;
+
+  const placeholder = () => {
+    if (!placeholderAdded) {
+      oebps.file(IMAGE_PLACEHOLDER_HREF, IMAGE_PLACEHOLDER_SVG);
+      manifest.push({ id: 'img-placeholder', href: IMAGE_PLACEHOLDER_HREF, mediaType: 'image/svg+xml' });
+      placeholderAdded = true;
+    }
+    return IMAGE_PLACEHOLDER_HREF;
+  };
+
+  // A failed download becomes the placeholder and counts in stats.failed
+  const download = async (url) => {
+    try {
+      return await fetchImage(url);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  async function store(image) {
+    const mediaType = (image?.mediaType || '').split(';')[0].trim().toLowerCase();
+    if (!image?.data || !mediaType.startsWith('image/')) {
+      stats.failed++;
+      return placeholder();
+    }
+    if (!isCoreImageType(mediaType)) {
+      stats.unsupported++;
+      return placeholder();
+    }
+
+    const bytes = image.data instanceof Uint8Array ? image.data : new Uint8Array(image.data);
+    const hash = await hashBytes(bytes);
+    if (byHash.has(hash)) {
+      stats.reused++;
+      return byHash.get(hash);
+    }
+    if (stats.bytes + bytes.length > maxBytes) {
+      stats.overBudget++;
+      return placeholder();
+    }
+
+    const href = `images/img_${hash}.${IMAGE_EXTENSIONS[mediaType]}`;
+    oebps.file(href, bytes);
+    manifest.push({ id: `img-${hash}`, href, mediaType });
+    byHash.set(hash, href);
+    stats.bytes += bytes.length;
+    stats.embedded++;
+    return href;
+  }
+
+  async function embed(contentHtml) {
+    const urls = new Set();
+    for (const match of contentHtml.matchAll(IMG_SRC_REGEX)) {
+      const url = decodeAttr(match[3]);
+      if (/^https?:\/\//i.test(url) && !byUrl.has(url)) urls.add(url);
+    }
+
+    // Download in parallel, but store in document order so dedupe and the budget are deterministic
+    const pending = Array.from(urls);
+    const images = await Promise.all(pending.map(download));
+    for (let i = 0; i < pending.length; i++) {
+      byUrl.set(pending[i], await store(images[i]));
+    }
+
+    return contentHtml.replace(IMG_SRC_REGEX, (match, prefix, quote, value) => {
+      const href = byUrl.get(decodeAttr(value));
+      return href ? `${prefix}${quote}${href}${quote}` : match;
+    });
+  }
+
+  return { embed, stats };
+}
+
+export function chapterXhtml(title, contentHtml, lang = DEFAULT_LANGUAGE) {
+  const safeTitle = xmlEscape(title);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <title>${safeTitle}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+  <h1>${safeTitle}</h1>
+  ${contentHtml}
+</body>
+</html>`;
+}
+
+// Title page at the start of a volume/arc
+export function volumeXhtml(title, lang = DEFAULT_LANGUAGE) {
+  const safeTitle = xmlEscape(title);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <title>${safeTitle}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body epub:type="part">
+  <h1 class="volume-title">${safeTitle}</h1>
+</body>
+</html>`;
+}
+
+// Front matter page (see frontMatter.js); `body` brings its own heading
+export function frontMatterXhtml(title, body, epubType, lang = DEFAULT_LANGUAGE) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <title>${xmlEscape(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+<section epub:type="${epubType}">
+${body}
+</section>
+</body>
+</html>`;
+}
+
+const navItem = (e) => {
+  const children = e.children?.length ? `<ol>\n${e.children.map(navItem).join('\n')}\n</ol>` : '';
+  return `<li><a href="${e.href}">${xmlEscape(e.title)}</a>${children}</li>`;
+};
+
+/**
+ * @param {Array<{href: string, title: string, children?: Array}>} entries - Volumes carry their chapters as children
+ */
+export function navXhtml(entries, lang = DEFAULT_LANGUAGE) {
+  const navLi = entries.map(navItem).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+    <title>Table of Contents</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+    <nav epub:type="toc" id="toc">
+        <h1>Table of Contents</h1>
+        <ol>
+            ${navLi}
+        </ol>
+    </nav>
+</body>
+</html>`;
+}
+
+export function tocNcx(uid, title, entries) {
+  // playOrder follows the reading order, so a volume without a title page shares it with its first chapter
+  const playOrders = new Map();
+  let pointCount = 0;
+  const navPoint = (e) => {
+    if (!playOrders.has(e.href)) playOrders.set(e.href, playOrders.size + 1);
+    pointCount += 1;
+    const id = `navPoint-${pointCount}`;
+    const children = (e.children || []).map(navPoint).join('');
+    return `
+    <navPoint id="${id}" playOrder="${playOrders.get(e.href)}">
+      <navLabel><text>${xmlEscape(e.title)}</text></navLabel>
+      <content src="${e.href}"/>${children}
+    </navPoint>`;
+  };
+  const navPoints = entries.map(navPoint).join('');
+  const depth = entries.some(e => e.children?.length) ? 2 : 1;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${xmlEscape(uid)}"/>
+    <meta name="dtb:depth" content="${depth}"/>
+    <meta name="dtb:totalPageCount" content="0"/>
+    <meta name="dtb:maxPageNumber" content="0"/>
+  </head>
+  <docTitle><text>${xmlEscape(title)}</text></docTitle>
+  <navMap>
+    ${navPoints}
+  </navMap>
+</ncx>`;
+}
+
+// Series metadata (the novel's own series, or the volumes of a split novel): EPUB 3 collection plus calibre's tags
+const seriesMeta = ({ name, index }) => `<meta property="belongs-to-collection" id="series">${xmlEscape(name)}</meta>
+    <meta refines="#series" property="collection-type">series</meta>
+    <meta refines="#series" property="group-position">${index}</meta>
+    <meta name="calibre:series" content="${xmlEscape(name)}"/>
+    <meta name="calibre:series_index" content="${index}"/>`;
+
+/**
+ * @param {Array<{id: string, href: string, mediaType: string, properties?: string}>} manifest
+ * @param {string[]} spine - idrefs in reading order
+ */
+export function contentOpf({ uid, novel, manifest, spine, hasCover }) {
+  const date = new Date().toISOString().split('T')[0];
+  const language = normalizeLanguage(novel.language) || DEFAULT_LANGUAGE;
+  const series = normalizeSeries(novel.series);
+  const subjects = normalizeTags(novel.tags).map(tag => `<dc:subject>${xmlEscape(tag)}</dc:subject>`).join('\n    ');
+  const manifestItems = manifest.map(item =>
+    `<item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`
+  ).join('\n    ');
+  const spineRefs = spine.map(id => `<itemref idref="${id}"/>`).join('\n    ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>${xmlEscape(novel.title)}</dc:title>
+    <dc:creator>${xmlEscape(novel.author || 'Unknown')}</dc:creator>
+    <dc:language>${language}</dc:language>
+    <dc:identifier id="BookId">${xmlEscape(uid)}</dc:identifier>
+    <dc:description>${xmlEscape(novel.description)}</dc:description>
+    <dc:date>${date}</dc:date>
+    ${novel.publisher ? `<dc:publisher>${xmlEscape(novel.publisher)}</dc:publisher>` : ''}
+    ${novel.source ? `<dc:source>${xmlEscape(novel.source)}</dc:source>` : ''}
+    ${subjects}
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+    ${hasCover ? '<meta name="cover" content="cover-image" />' : ''}
+    ${series ? seriesMeta(series) : ''}
+  </metadata>
+  <manifest>
+    ${manifestItems}
+  </manifest>
+  <spine toc="ncx">
+    ${spineRefs}
+  </spine>
+</package>`;
+}
+
+/**
+ * Fills a JSZip instance with a complete EPUB.
+ *
+ * @param {JSZip} zip - Empty JSZip instance (the caller picks the output type).
+ * @param {Object} novel - { title, author, description, chapters: [{ title, url, volume? }] } plus the optional
+ *   metadata described in metadata.js; `volumeNumber` marks one volume of a split novel
+ * @param {Object} options
+ * @param {Function} options.loadChapter - async (chapterMeta, index) => XHTML body string or null
+ * @param {Object} [options.cover] - { data, mediaType } already downloaded cover image
+ * @param {Object} [options.images] - { fetchImage, maxBytes } to embed chapter images; omitted = hot-link
+ * @param {boolean} [options.volumePages] - Add a title page before each volume (chapters with `volume` set)
+ * @param {Object} [options.style] - Theme, typography, custom CSS and embedded font (see styles.js)
+ * @param {Object} [options.frontMatter] - Title, about and note pages (see frontMatter.js)
+ * @param {Object} [options.validation] - Filled with the validation report:
+ *   { chapters: [{ index, title, url, href, issues }] (chapters that needed repairs), problems: [string]
+ *   (package problems, a left-out cover, chapters that failed to load),
+ *   images: { embedded, reused, failed, unsupported, overBudget, bytes } (only when images were embedded) }
+ */
+export async function assembleEpub(zip, novel, { loadChapter, cover = null, images = null, volumePages = false, style = null, frontMatter = null, validation = null }) {
+  const uuid = await bookIdentifier(novel);
+  const lang = normalizeLanguage(novel.language) || DEFAULT_LANGUAGE;
+
+  // 1. Mimetype
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+
+  // 2. Container
+  zip.folder('META-INF').file('container.xml', CONTAINER_XML);
+
+  const oebps = zip.folder('OEBPS');
+
+  // 3. CSS, with the user's font next to it
+  const manifest = [{ id: 'style', href: 'style.css', mediaType: 'text/css' }];
+  const font = style?.font ? fontHref(style.font) : null;
+  if (font) {
+    oebps.file(font, style.font.data);
+    manifest.push({ id: 'font', href: font, mediaType: FONT_MEDIA_TYPES[fontExtension(style.font.name)] });
+  }
+  oebps.file('style.css', buildStylesheet(style || undefined, font));
+
+  const spine = [];
+  const navEntries = [];
+  const repairedChapters = [];
+  const problems = [];
+  const references = [];
+  // Every generated document is parsed once more; a failure here is a template bug
+  const writeDocument = (href, xml) => {
+    if (countIssues(repairXhtml(xml, { document: true }).issues) > 0) problems.push(`${href} is not well-formed XML`);
+    oebps.file(href, xml);
+  };
+
+  // 4. Cover Image
+  if (cover && !isCoreImageType(cover.mediaType)) {
+    problems.push(`Cover left out: ${cover.mediaType} is not an EPUB image type`);
+    cover = null;
+  }
+  if (cover) {
+    const mediaType = cover.mediaType.split(';')[0].trim().toLowerCase();
+    const coverFilename = `cover.${IMAGE_EXTENSIONS[mediaType]}`;
+    oebps.file(coverFilename, cover.data);
+    manifest.push({ id: 'cover-image', href: coverFilename, mediaType, properties: 'cover-image' });
+  }
+
+  const imageEmbedder = images?.fetchImage ? createImageEmbedder(oebps, manifest, images) : null;
+
+  manifest.push({ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' });
+  manifest.push({ id: 'ncx', href: 'toc.ncx', mediaType: 'application/x-dtbncx+xml' });
+
+  // 5. Front matter and the end note; only the title page stays out of the TOC
+  const extraPages = frontMatterPages(novel, frontMatter);
+  const addPage = (page) => {
+    const href = `${page.id}.xhtml`;
+    writeDocument(href, frontMatterXhtml(page.title, page.body, page.epubType, lang));
+    manifest.push({ id: page.id, href, mediaType: 'application/xhtml+xml' });
+    spine.push(page.id);
+    if (page.toc) navEntries.push({ href, title: page.title });
+  };
+  extraPages.filter(page => page.position === 'front').forEach(addPage);
+
+  // 6. Chapters - processed sequentially to save memory.
+  // Chapters with a `volume` are grouped under it in the TOC; chapters before the first volume stay top-level.
+  let currentVolume = null;
+  let volumeEntry = null;
+  for (let i = 0; i < novel.chapters.length; i++) {
+    const chapterMeta = novel.chapters[i];
+    const filename = `chapter_${i + 1}.xhtml`;
+    const id = `chap${i + 1}`;
+    const title = chapterMeta.title || `Chapter ${i + 1}`;
+
+    if (chapterMeta.volume && chapterMeta.volume !== currentVolume) {
+      currentVolume = chapterMeta.volume;
+      let href = filename;
+      if (volumePages) {
+        const volumeNumber = navEntries.filter(e => e.children).length + 1;
+        href = `volume_${volumeNumber}.xhtml`;
+        writeDocument(href, volumeXhtml(currentVolume, lang));
+        manifest.push({ id: `vol${volumeNumber}`, href, mediaType: 'application/xhtml+xml' });
+        spine.push(`vol${volumeNumber}`);
+      }
+      volumeEntry = { href, title: currentVolume, children: [] };
+      navEntries.push(volumeEntry);
+    }
+
+    let contentHtml = '<p>Content missing.</p>';
+    try {
+      const content = await loadChapter(chapterMeta, i);
+      if (content) {
+        // Chapters stored before the parser emitted strict XHTML (or edited by hand) get fixed here
+        const repaired = repairXhtml(content);
+        if (countIssues(repaired.issues) > 0) {
+          repairedChapters.push({ index: i, title, url: chapterMeta.url, href: filename, issues: repaired.issues });
+        }
+        contentHtml = imageEmbedder ? await imageEmbedder.embed(repaired.html) : repaired.html;
+      }
+    } catch (e) {
+      problems.push(`${filename}: content of "${title}" could not be loaded (${e.message})`);
+    }
+    for (const match of contentHtml.matchAll(IMG_SRC_REGEX)) {
+      const src = decodeAttr(match[3]);
+      if (!/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(src)) references.push(src);
+    }
+
+    writeDocument(filename, chapterXhtml(title, contentHtml, lang));
+    manifest.push({ id, href: filename, mediaType: 'application/xhtml+xml' });
+    spine.push(id);
+    (volumeEntry ? volumeEntry.children : navEntries).push({ href: filename, title });
+  }
+
+  extraPages.filter(page => page.position === 'end').forEach(addPage);
+
+  // 7. Navigation Document (EPUB 3) and NCX (EPUB 2)
+  writeDocument('nav.xhtml', navXhtml(navEntries, lang));
+  writeDocument('toc.ncx', tocNcx(uuid, novel.title, navEntries));
+
+  // 8. Content.opf
+  const opf = contentOpf({ uid: uuid, novel, manifest, spine, hasCover: Boolean(cover) });
+  oebps.file('content.opf', opf);
+
+  // 9. Validation
+  const files = [];
+  oebps.forEach((relativePath, file) => { if (!file.dir) files.push(relativePath); });
+  problems.push(...validatePackage({ opf, manifest, spine, files, references }));
+  if (validation) Object.assign(validation, { chapters: repairedChapters, problems }, imageEmbedder ? { images: { ...imageEmbedder.stats } } : {});
+
+  return zip;
+}
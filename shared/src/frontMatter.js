@@ -0,0 +1,98 @@
+/**
+ * frontMatter.js - Optional pages around the chapters: a title page, an "About this book"
+ * page (description, details and source URL) and a custom note placed before the first
+ * chapter or after the last one.
+ *
+ * frontMatterPages() returns the page bodies as XHTML fragments; the EPUB wraps each in its
+ * own document, the HTML export inlines them as sections.
+ */
+import { normalizeTags, normalizeSeries } from './metadata.js';
+import { xmlEscape } from './xml.js';
+
+export const NOTE_POSITIONS = {
+  front: { label: 'Before the first chapter' },
+  end: { label: 'After the last chapter' }
+};
+
+export const DEFAULT_FRONT_MATTER = { titlePage: false, aboutPage: false, noteTitle: '', note: '', notePosition: 'front' };
+
+export const MAX_NOTE_LENGTH = 20000;
+const DEFAULT_NOTE_TITLE = 'Note';
+
+/**
+ * Front matter options with defaults filled in; throws on invalid values.
+ */
+export function normalizeFrontMatter(input) {
+  const options = { ...DEFAULT_FRONT_MATTER, ...(input || {}) };
+  if (!NOTE_POSITIONS[options.notePosition]) throw new Error(`Unknown note position "${options.notePosition}"`);
+  const note = String(options.note || '').trim();
+  if (note.length > MAX_NOTE_LENGTH) throw new Error(`The note is limited to ${MAX_NOTE_LENGTH} characters`);
+  return {
+    titlePage: options.titlePage === true,
+    aboutPage: options.aboutPage === true,
+    noteTitle: String(options.noteTitle || '').trim(),
+    note,
+    notePosition: options.notePosition
+  };
+}
+
+export const hasFrontMatter = (options) => Boolean(options && (options.titlePage || options.aboutPage || String(options.note || '').trim()));
+
+// Plain text to paragraphs: blank lines separate paragraphs, single newlines become <br/>
+const paragraphs = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .map(block => block.trim())
+  .filter(Boolean)
+  .map(block => `<p>${block.split('\n').map(line => xmlEscape(line.trim())).join('<br/>')}</p>`)
+  .join('\n');
+
+function titlePageBody(novel) {
+  const series = normalizeSeries(novel.series);
+  const author = novel.author && novel.author !== 'Unknown' ? `<p class="front-author">${xmlEscape(novel.author)}</p>` : '';
+  return `<div class="front-title">
+<h1>${xmlEscape(novel.title)}</h1>
+${author}
+${series ? `<p class="front-series">${xmlEscape(series.name)}, book ${series.index}</p>` : ''}
+${novel.publisher ? `<p class="front-publisher">${xmlEscape(novel.publisher)}</p>` : ''}
+</div>`;
+}
+
+function aboutPageBody(novel, title) {
+  const series = normalizeSeries(novel.series);
+  const tags = normalizeTags(novel.tags);
+  const details = [
+    ['Author', novel.author && novel.author !== 'Unknown' ? xmlEscape(novel.author) : ''],
+    ['Status', xmlEscape(novel.status)],
+    ['Series', series ? `${xmlEscape(series.name)} #${series.index}` : ''],
+    ['Tags', xmlEscape(tags.join(', '))],
+    ['Publisher', xmlEscape(novel.publisher)],
+    ['Source', /^https?:\/\//i.test(novel.source || '') ? `<a href="${xmlEscape(novel.source)}">${xmlEscape(novel.source)}</a>` : '']
+  ].filter(([, value]) => value);
+  return `<h1>${xmlEscape(title)}</h1>
+${paragraphs(novel.description)}
+${details.length ? `<dl class="front-details">\n${details.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('\n')}\n</dl>` : ''}`;
+}
+
+/**
+ * Pages for `options` (see normalizeFrontMatter), in reading order:
+ * [{ id, title, body, position: 'front' | 'end', toc, epubType }]. The title page stays out
+ * of the table of contents.
+ */
+export function frontMatterPages(novel, options) {
+  if (!hasFrontMatter(options)) return [];
+  const pages = [];
+  if (options.titlePage) {
+    pages.push({ id: 'titlepage', title: novel.title || 'Title Page', body: titlePageBody(novel), position: 'front', toc: false, epubType: 'titlepage' });
+  }
+  if (options.aboutPage) {
+    const title = 'About This Book';
+    pages.push({ id: 'about', title, body: aboutPageBody(novel, title), position: 'front', toc: true, epubType: 'preface' });
+  }
+  const note = String(options.note || '').trim();
+  if (note) {
+    const title = String(options.noteTitle || '').trim() || DEFAULT_NOTE_TITLE;
+    const position = options.notePosition === 'end' ? 'end' : 'front';
+    pages.push({ id: 'note', title, body: `<h1>${xmlEscape(title)}</h1>\n${paragraphs(note)}`, position, toc: true, epubType: position === 'end' ? 'afterword' : 'foreword' });
+  }
+  return pages;
+}
@@ -0,0 +1,88 @@
+/**
+ * metadata.js - Book metadata helpers shared by the crawler (extraction), the UI (edit form)
+ * and the EPUB templates.
+ *
+ * Beyond title/author/description/cover a novel may carry:
+ *   tags         ["Fantasy", "Isekai"] - genres and tags, written as dc:subject
+ *   status       "Ongoing", "Completed"... as shown on the site
+ *   language     BCP 47 tag ("en", "pt-BR"), from <html lang> when the site declares it
+ *   publisher    Usually the site name
+ *   series       { name, index } when the novel is part of a series
+ *   identifier   Custom dc:identifier (e.g. "isbn:..."); by default one is derived from `source`
+ *   source       TOC URL the book was built from
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+export const MAX_TAGS = 30;
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{1,8})*$/i;
+
+/**
+ * "en_US" / "EN-us" -> "en-US"; anything that isn't a language tag -> null.
+ */
+export function normalizeLanguage(value) {
+  const tag = String(value || '').trim().replace(/_/g, '-');
+  if (!LANGUAGE_PATTERN.test(tag)) return null;
+  const [primary, ...subtags] = tag.split('-');
+  return [primary.toLowerCase(), ...subtags.map(s => (s.length === 2 ? s.toUpperCase() : s.length === 4 ? s[0].toUpperCase() + s.slice(1).toLowerCase() : s.toLowerCase()))].join('-');
+}
+
+/**
+ * Tags from an array or a comma separated string, trimmed and de-duplicated (case-insensitive).
+ */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+  const tags = [];
+  for (const item of list) {
+    const tag = String(item || '').replace(/\s+/g, ' ').trim();
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+  return tags.slice(0, MAX_TAGS);
+}
+
+// { name, index } with a usable name, or null
+export function normalizeSeries(series) {
+  const name = String(series?.name || '').trim();
+  if (!name) return null;
+  const index = parseFloat(series.index);
+  return { name, index: Number.isFinite(index) && index > 0 ? index : 1 };
+}
+
+// 128-bit digest of `text` as hex: SHA-1 when WebCrypto is around, otherwise four seeded 32-bit hashes
+async function digestHex(text) {
+  const bytes = new TextEncoder().encode(text);
+  if (globalThis.crypto?.subtle) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-1', bytes);
+    return Array.from(new Uint8Array(digest).slice(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+  }
+  return [0x811c9dc5, 0x01000193, 0xdeadbeef, 0x41c6ce57].map(seed => {
+    let h = seed;
+    for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 16777619);
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }).join('');
+}
+
+// Name-based UUID (version 5 layout) so the same input always gives the same id
+async function uuidFromText(text) {
+  const hex = (await digestHex(text)).split('');
+  hex[12] = '5';
+  hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  const h = hex.join('');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+/**
+ * The book's dc:identifier. Rebuilding a novel from the same source gives the same id, so
+ * readers replace the old copy instead of adding a second one. Volumes of a split novel
+ * (`volumeNumber`) each get their own id.
+ */
+export async function bookIdentifier(novel) {
+  const part = novel.volumeNumber ? `-vol-${novel.volumeNumber}` : '';
+  const custom = String(novel.identifier || '').trim();
+  if (custom) return `${custom}${part}`;
+  if (novel.source) return `urn:uuid:${await uuidFromText(`${novel.source}${part}`)}`;
+  return 'urn:uuid:' + (globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : Date.now().toString());
+}
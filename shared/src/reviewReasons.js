@@ -0,0 +1,12 @@
+/**
+ * reviewReasons.js - Labels for the reasons a downloaded chapter gets the 'review' status.
+ * The server decides them (server/src/services/chapterQuality.js); the client and the CLI show them.
+ */
+
+export const REVIEW_REASONS = {
+  empty: 'No text extracted',
+  short: 'Much shorter than the other chapters',
+  duplicate: 'Same text as another chapter',
+  links: 'Mostly links',
+  fallback: 'Whole page used, no content block found'
+};
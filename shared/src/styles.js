@@ -0,0 +1,151 @@
+/**
+ * styles.js - Stylesheets for the generated books: a theme plus the user's typography
+ * overrides, custom CSS and an optional embedded font. The EPUB writes the result to
+ * style.css, the HTML export inlines it. The style options also pick the look of the
+ * generated cover (coverArt.js) used when a novel has none.
+ */
+import { COVER_STYLES, DEFAULT_COVER_STYLE } from './coverArt.js';
+
+// Rules every theme shares
+const BASE_CSS = `
+    h1 { text-align: center; margin-bottom: 1em; page-break-after: avoid; font-size: 1.5em; font-weight: bold; }
+    h2 { font-size: 1.3em; margin-bottom: 0.8em; }
+    img { max-width: 100%; height: auto; display: block; margin: 1em auto; }
+    .chapter-content { margin-top: 2em; }
+    .volume-title { margin-top: 30%; font-size: 2em; }
+    .front-title { margin-top: 30%; text-align: center; }
+    .front-title h1 { font-size: 2em; }
+    .front-title p { text-indent: 0; text-align: center; }
+    .front-author { font-size: 1.2em; }
+    .front-details dt { font-weight: bold; margin-top: 0.5em; }
+    .front-details dd { margin-left: 1em; }`;
+
+export const THEMES = {
+  classic: {
+    label: 'Classic serif',
+    family: 'serif', // fallback behind an embedded font
+    css: `
+    body { font-family: serif; line-height: 1.6; padding: 0 1em; }
+    p { margin-bottom: 1em; text-indent: 1em; text-align: justify; }`
+  },
+  modern: {
+    label: 'Modern sans',
+    family: 'sans-serif',
+    css: `
+    body { font-family: sans-serif; line-height: 1.5; padding: 0 1em; }
+    p { margin: 0 0 0.9em; text-indent: 0; text-align: left; }
+    h1, h2 { font-weight: 600; letter-spacing: 0.01em; }`
+  },
+  eink: {
+    label: 'E-ink high contrast',
+    family: 'serif',
+    css: `
+    body { font-family: serif; line-height: 1.5; padding: 0 0.5em; color: #000; background: #fff; }
+    p { margin: 0; text-indent: 1.2em; text-align: left; }
+    h1, h2, strong, b { color: #000; font-weight: bold; }
+    a { color: #000; text-decoration: underline; }
+    hr { border: 0; border-top: 2px solid #000; }`
+  },
+  spaced: {
+    label: 'No indent, spaced paragraphs',
+    family: 'serif',
+    css: `
+    body { font-family: serif; line-height: 1.6; padding: 0 1em; }
+    p { margin: 0 0 1.2em; text-indent: 0; text-align: left; }`
+  }
+};
+
+export const DEFAULT_THEME = 'classic';
+
+// 'theme' keeps whatever the theme does
+export const PARAGRAPH_STYLES = {
+  theme: { label: 'Theme default', css: '' },
+  indent: { label: 'Indented', css: 'p { margin-top: 0; margin-bottom: 0; text-indent: 1.5em; }' },
+  spaced: { label: 'Spaced blocks', css: 'p { margin-top: 0; margin-bottom: 1em; text-indent: 0; }' }
+};
+
+// fontSize is a percentage of the reader's default size; empty values keep the theme's
+export const DEFAULT_STYLE_OPTIONS = { theme: DEFAULT_THEME, fontSize: '', lineHeight: '', paragraphs: 'theme', customCss: '', font: null, coverStyle: DEFAULT_COVER_STYLE };
+
+export const FONT_MEDIA_TYPES = {
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff: 'font/woff',
+  woff2: 'font/woff2'
+};
+
+export const MAX_FONT_BYTES = 5 * 1024 * 1024;
+const MAX_CUSTOM_CSS_LENGTH = 50000;
+const FONT_FAMILY = 'w2e-embedded';
+
+export const fontExtension = (fileName) => {
+  const ext = String(fileName || '').split('.').pop().toLowerCase();
+  return FONT_MEDIA_TYPES[ext] ? ext : null;
+};
+
+// Path of the embedded font inside the book, relative to style.css
+export const fontHref = (font) => {
+  const ext = fontExtension(font.name);
+  const base = font.name.slice(0, -(ext.length + 1)).replace(/[^a-z0-9_-]/gi, '_') || 'font';
+  return `fonts/${base}.${ext}`;
+};
+
+const clampNumber = (value, min, max) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : null;
+};
+
+/**
+ * Checks style options coming from outside (API body, CLI flags) and fills in defaults.
+ * Throws on values that can't be used. `font` must be { name, data } with a font file name.
+ */
+export function normalizeStyleOptions(input) {
+  if (!input) return { ...DEFAULT_STYLE_OPTIONS };
+  if (typeof input !== 'object') throw new Error('style must be an object');
+
+  const options = { ...DEFAULT_STYLE_OPTIONS, ...input };
+  if (!THEMES[options.theme]) throw new Error(`Unknown theme "${options.theme}" (available: ${Object.keys(THEMES).join(', ')})`);
+  if (!PARAGRAPH_STYLES[options.paragraphs]) throw new Error(`Unknown paragraph style "${options.paragraphs}"`);
+  if (!COVER_STYLES[options.coverStyle]) throw new Error(`Unknown cover style "${options.coverStyle}" (available: ${Object.keys(COVER_STYLES).join(', ')})`);
+  for (const key of ['fontSize', 'lineHeight']) {
+    if (options[key] !== '' && options[key] !== null && !Number.isFinite(parseFloat(options[key]))) throw new Error(`${key} must be a number`);
+  }
+  if (typeof options.customCss !== 'string') throw new Error('customCss must be a string');
+  if (options.customCss.length > MAX_CUSTOM_CSS_LENGTH) throw new Error(`customCss is longer than ${MAX_CUSTOM_CSS_LENGTH} characters`);
+  if (options.font) {
+    if (!options.font.data || !fontExtension(options.font.name)) {
+      throw new Error(`font must be a ${Object.keys(FONT_MEDIA_TYPES).join('/')} file`);
+    }
+    if (options.font.data.byteLength > MAX_FONT_BYTES) throw new Error(`font is larger than ${MAX_FONT_BYTES / 1024 / 1024} MB`);
+  }
+  return options;
+}
+
+/**
+ * The complete stylesheet for `options` (see DEFAULT_STYLE_OPTIONS).
+ * @param {string} [fontSrc] - URL of the embedded font (a path in the EPUB, a data: URI in HTML)
+ */
+export function buildStylesheet(options = DEFAULT_STYLE_OPTIONS, fontSrc = null) {
+  const { theme, fontSize, lineHeight, paragraphs, customCss, font } = { ...DEFAULT_STYLE_OPTIONS, ...options };
+  const themeStyle = THEMES[theme] || THEMES[DEFAULT_THEME];
+  const parts = [BASE_CSS, themeStyle.css];
+
+  const paragraphCss = PARAGRAPH_STYLES[paragraphs]?.css;
+  if (paragraphCss) parts.push(`    ${paragraphCss}`);
+
+  const body = [];
+  const size = clampNumber(fontSize, 50, 300);
+  const height = clampNumber(lineHeight, 1, 3);
+  if (size) body.push(`font-size: ${size}%;`);
+  if (height) body.push(`line-height: ${height};`);
+  if (font && fontSrc) {
+    parts.push(`    @font-face { font-family: "${FONT_FAMILY}"; src: url("${fontSrc}"); }`);
+    body.push(`font-family: "${FONT_FAMILY}", ${themeStyle.family};`);
+  }
+  if (body.length > 0) parts.push(`    body { ${body.join(' ')} }`);
+
+  // Last, so it wins over everything above
+  if (customCss?.trim()) parts.push(`\n    /* Custom CSS */\n${customCss.trim()}`);
+  return `${parts.join('\n')}\n  `;
+}
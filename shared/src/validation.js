@@ -0,0 +1,261 @@
+/**
+ * validation.js - Keeps EPUBs openable on strict readers (Kobo, Apple Books, ADE), which
+ * refuse a book when a single chapter is not well-formed XML.
+ *
+ * repairXhtml() re-serializes a chapter body with a small tokenizer (workers have no
+ * DOMParser) and counts what it had to fix; validatePackage() checks the OPF side:
+ * manifest/spine consistency, IDs, media types and required metadata.
+ */
+
+// Repairs, keyed by the issue codes repairXhtml reports
+export const XHTML_ISSUES = {
+  entity: 'undeclared entities replaced',
+  unclosed: 'unclosed tags closed',
+  'stray-end-tag': 'stray closing tags removed',
+  attribute: 'invalid attributes fixed or removed',
+  id: 'duplicate or invalid IDs fixed',
+  markup: 'broken markup escaped or removed',
+  'invalid-char': 'characters not allowed in XML removed'
+};
+
+// XML only predefines these; everything else needs a DTD that EPUB readers don't load
+const XML_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'apos']);
+
+const HTML_ENTITIES = {
+  nbsp: 160, iexcl: 161, cent: 162, pound: 163, curren: 164, yen: 165, brvbar: 166, sect: 167,
+  uml: 168, copy: 169, ordf: 170, laquo: 171, not: 172, shy: 173, reg: 174, macr: 175,
+  deg: 176, plusmn: 177, sup2: 178, sup3: 179, acute: 180, micro: 181, para: 182, middot: 183,
+  cedil: 184, sup1: 185, ordm: 186, raquo: 187, frac14: 188, frac12: 189, frac34: 190, iquest: 191,
+  Agrave: 192, Aacute: 193, Acirc: 194, Atilde: 195, Auml: 196, Aring: 197, AElig: 198, Ccedil: 199,
+  Egrave: 200, Eacute: 201, Ecirc: 202, Euml: 203, Igrave: 204, Iacute: 205, Icirc: 206, Iuml: 207,
+  ETH: 208, Ntilde: 209, Ograve: 210, Oacute: 211, Ocirc: 212, Otilde: 213, Ouml: 214, times: 215,
+  Oslash: 216, Ugrave: 217, Uacute: 218, Ucirc: 219, Uuml: 220, Yacute: 221, THORN: 222, szlig: 223,
+  agrave: 224, aacute: 225, acirc: 226, atilde: 227, auml: 228, aring: 229, aelig: 230, ccedil: 231,
+  egrave: 232, eacute: 233, ecirc: 234, euml: 235, igrave: 236, iacute: 237, icirc: 238, iuml: 239,
+  eth: 240, ntilde: 241, ograve: 242, oacute: 243, ocirc: 244, otilde: 245, ouml: 246, divide: 247,
+  oslash: 248, ugrave: 249, uacute: 250, ucirc: 251, uuml: 252, yacute: 253, thorn: 254, yuml: 255,
+  OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221, bdquo: 8222,
+  dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242, Prime: 8243,
+  lsaquo: 8249, rsaquo: 8250, oline: 8254, euro: 8364, trade: 8482,
+  larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596, hearts: 9829, spades: 9824, clubs: 9827, diams: 9830
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const NAME_REGEX = /^[A-Za-z_][\w.-]*$/;
+// Namespace prefixes declared by chapterXhtml
+const CHAPTER_PREFIXES = new Set(['xml', 'epub']);
+const INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+// Sticky: matched at the current position; attribute values may hold '>' inside quotes
+const TAG_REGEX = /<(\/?)([A-Za-z_][\w.:-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/y;
+const ATTRIBUTE_REGEX = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const isCodePointAllowed = (point) => point === 0x9 || point === 0xA || point === 0xD
+  || (point >= 0x20 && point <= 0xD7FF) || (point >= 0xE000 && point <= 0xFFFD) || (point >= 0x10000 && point <= 0x10FFFF);
+
+/**
+ * @param {string} html - Chapter body (fragment) from the parser or IDB
+ * @param {Object} [options] - { document: true } checks a complete generated file instead:
+ *   prolog/doctype are allowed and so is any namespace prefix
+ * @returns {{ html: string, issues: Object }} Well-formed XHTML and { [XHTML_ISSUES code]: count }
+ */
+export function repairXhtml(html, { document = false } = {}) {
+  const issues = {};
+  const note = (code) => { issues[code] = (issues[code] || 0) + 1; };
+  const out = [];
+  const stack = [];
+  const ids = new Set();
+  const prefixAllowed = (name) => {
+    const colon = name.indexOf(':');
+    if (colon === -1) return NAME_REGEX.test(name);
+    return NAME_REGEX.test(name.slice(0, colon)) && NAME_REGEX.test(name.slice(colon + 1))
+      && (document || CHAPTER_PREFIXES.has(name.slice(0, colon)));
+  };
+
+  // Text and attribute values: fix entities and bare '&', drop characters XML forbids
+  const escapeText = (text, quote = false) => {
+    let value = text.replace(INVALID_CHARS, () => { note('invalid-char'); return ''; });
+    value = value.replace(/&(?:(#\d+|#[xX][0-9a-fA-F]+|[A-Za-z][A-Za-z0-9]*);)?/g, (match, ref) => {
+      if (!ref) { note('entity'); return '&amp;'; }
+      if (ref[0] === '#') {
+        const point = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+        if (isCodePointAllowed(point)) return match;
+        note('invalid-char');
+        return '';
+      }
+      if (XML_ENTITIES.has(ref)) return match;
+      note('entity');
+      return HTML_ENTITIES[ref] ? `&#${HTML_ENTITIES[ref]};` : `&amp;${ref};`;
+    });
+    value = value.replace(/</g, () => { note('markup'); return '&lt;'; }).replace(/]]>/g, ']]&gt;');
+    return quote ? value.replace(/"/g, '&quot;') : value;
+  };
+
+  const attributes = (source) => {
+    const seen = new Set();
+    const parts = [];
+    for (const [, name, double, single, bare] of source.matchAll(ATTRIBUTE_REGEX)) {
+      const lower = name.toLowerCase();
+      // Event handlers would make the book "scripted content"
+      if (!prefixAllowed(name) || lower.startsWith('on') || (!document && lower.startsWith('xmlns'))) { note('attribute'); continue; }
+      if (seen.has(name)) { note('attribute'); continue; }
+      seen.add(name);
+      let value = double ?? single ?? bare;
+      if (value === undefined) { note('attribute'); value = name; } // <iframe allowfullscreen>
+      else if (bare !== undefined) note('attribute');
+      if (name === 'id') {
+        if (!NAME_REGEX.test(value)) { note('id'); value = `id-${value.replace(/[^\w.-]/g, '_')}`; }
+        if (ids.has(value)) { note('id'); continue; }
+        ids.add(value);
+      }
+      parts.push(` ${name}="${escapeText(value, true)}"`);
+    }
+    return parts.join('');
+  };
+
+  const closeTo = (depth) => {
+    while (stack.length > depth) out.push(`</${stack.pop()}>`);
+  };
+
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) { out.push(escapeText(html.slice(i))); break; }
+    if (lt > i) out.push(escapeText(html.slice(i, lt)));
+    i = lt;
+
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      i = end === -1 ? html.length : end + 3; // comments are dropped
+      continue;
+    }
+    if (html.startsWith('<![CDATA[', i)) {
+      const end = html.indexOf(']]>', i);
+      if (end === -1) { note('markup'); out.push(escapeText(html.slice(i + 9))); i = html.length; continue; }
+      out.push(html.slice(i, end + 3));
+      i = end + 3;
+      continue;
+    }
+    if (html.startsWith('<?', i) || html.startsWith('<!', i)) {
+      const end = html.indexOf('>', i);
+      if (!document) note('markup');
+      else out.push(html.slice(i, end === -1 ? html.length : end + 1));
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    TAG_REGEX.lastIndex = i;
+    const tag = TAG_REGEX.exec(html);
+    if (!tag) {
+      note('markup');
+      out.push('&lt;');
+      i += 1;
+      continue;
+    }
+    i += tag[0].length;
+    const [, closing, name, attrs, selfClosing] = tag;
+
+    if (!prefixAllowed(name)) { note('markup'); continue; } // <o:p>, <fb:like>: keep the content
+    const isVoid = !document && VOID_ELEMENTS.has(name.toLowerCase());
+
+    if (closing) {
+      const depth = stack.lastIndexOf(name);
+      if (isVoid || depth === -1) { note('stray-end-tag'); continue; }
+      if (depth < stack.length - 1) note('unclosed');
+      closeTo(depth + 1);
+      stack.pop();
+      out.push(`</${name}>`);
+      continue;
+    }
+
+    if (isVoid || selfClosing) {
+      if (isVoid && !selfClosing) note('unclosed');
+      out.push(`<${name}${attributes(attrs)}/>`);
+    } else {
+      out.push(`<${name}${attributes(attrs)}>`);
+      stack.push(name);
+    }
+  }
+
+  if (stack.length > 0) {
+    stack.forEach(() => note('unclosed'));
+    closeTo(0);
+  }
+  return { html: out.join(''), issues };
+}
+
+export const countIssues = (issues) => Object.values(issues || {}).reduce((sum, n) => sum + n, 0);
+
+const EXPECTED_MEDIA_TYPES = {
+  xhtml: 'application/xhtml+xml',
+  css: 'text/css',
+  ncx: 'application/x-dtbncx+xml',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff: 'font/woff',
+  woff2: 'font/woff2'
+};
+
+/**
+ * Package-level checks on what assembleEpub wrote.
+ *
+ * @param {Object} pkg
+ * @param {string} pkg.opf - content.opf source
+ * @param {Array<{id, href, mediaType, properties?}>} pkg.manifest
+ * @param {string[]} pkg.spine - idrefs
+ * @param {string[]} pkg.files - paths of every file under OEBPS/
+ * @param {string[]} pkg.references - local hrefs used by chapters (images)
+ * @returns {string[]} Problems, empty when the package is consistent
+ */
+export function validatePackage({ opf, manifest, spine, files, references = [] }) {
+  const problems = [];
+
+  const { issues } = repairXhtml(opf, { document: true });
+  if (countIssues(issues) > 0) problems.push('content.opf is not well-formed XML');
+  const metadata = (name) => new RegExp(`<${name}\\b[^>]*>\\s*([^<\\s][^<]*)</${name}>`).exec(opf);
+  if (!metadata('dc:title')) problems.push('Missing or empty dc:title');
+  if (!metadata('dc:language')) problems.push('Missing or empty dc:language');
+  if (!/<dc:identifier\b[^>]*\bid="BookId"[^>]*>[^<]+<\/dc:identifier>/.test(opf)) problems.push('Missing dc:identifier for the unique-identifier');
+  if (!/<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/.test(opf)) problems.push('Missing or malformed dcterms:modified');
+
+  const fileSet = new Set(files);
+  const ids = new Set();
+  const hrefs = new Set();
+  for (const item of manifest) {
+    if (!NAME_REGEX.test(item.id)) problems.push(`Manifest id "${item.id}" is not a valid XML id`);
+    if (ids.has(item.id)) problems.push(`Manifest id "${item.id}" is used twice`);
+    if (hrefs.has(item.href)) problems.push(`${item.href} is listed twice in the manifest`);
+    ids.add(item.id);
+    hrefs.add(item.href);
+    if (!fileSet.has(item.href)) problems.push(`${item.href} is in the manifest but missing from the book`);
+    const expected = EXPECTED_MEDIA_TYPES[item.href.split('.').pop().toLowerCase()];
+    if (expected && item.mediaType !== expected) problems.push(`${item.href} has media type ${item.mediaType}, expected ${expected}`);
+  }
+  files.filter(f => f !== 'content.opf' && !hrefs.has(f)).forEach(f => problems.push(`${f} is not listed in the manifest`));
+  if (manifest.filter(item => (item.properties || '').split(' ').includes('nav')).length !== 1) {
+    problems.push('The manifest needs exactly one navigation document');
+  }
+
+  if (spine.length === 0) problems.push('The spine is empty');
+  const byId = new Map(manifest.map(item => [item.id, item]));
+  const inSpine = new Set();
+  for (const idref of spine) {
+    const item = byId.get(idref);
+    if (!item) problems.push(`Spine item "${idref}" is not in the manifest`);
+    else if (item.mediaType !== 'application/xhtml+xml') problems.push(`Spine item "${idref}" is not an XHTML document`);
+    if (inSpine.has(idref)) problems.push(`Spine item "${idref}" appears twice`);
+    inSpine.add(idref);
+  }
+
+  new Set(references).forEach(href => {
+    if (!hrefs.has(href)) problems.push(`${href} is referenced by a chapter but not in the manifest`);
+  });
+  return problems;
+}
@@ -0,0 +1,87 @@
+/**
+ * volumes.js - Splits a long novel into several books ("Vol 1", "Vol 2"...), so readers
+ * don't have to open one 5000-chapter EPUB and the builder only holds one volume at a time.
+ *
+ * Split modes:
+ *   count     every `chaptersPerVolume` chapters
+ *   headings  where the chapter's TOC volume (`chapter.volume`) changes, or failing that the
+ *             volume/book number in the chapter titles ("Volume 2 Chapter 1"); volumes keep the
+ *             number of their heading, so a novel whose headings start at "Volume 3" starts at 3
+ *   size      before a volume's chapter text would exceed `maxBytes` (UTF-8 bytes, images not counted)
+ */
+
+export const DEFAULT_CHAPTERS_PER_VOLUME = 500;
+export const DEFAULT_VOLUME_BYTES = 20 * 1024 * 1024;
+
+const VOLUME_HEADING = /\b(?:vol(?:ume)?|book|arc)\b\.?\s*([0-9]+|[ivxlc]+)\b/i;
+const ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+function romanToNumber(text) {
+  let total = 0;
+  const digits = text.toLowerCase().split('').map(ch => ROMAN[ch]);
+  digits.forEach((value, i) => { total += value < (digits[i + 1] || 0) ? -value : value; });
+  return total;
+}
+
+/**
+ * Volume number named in a chapter title, or null.
+ */
+export function detectVolumeNumber(title) {
+  const match = VOLUME_HEADING.exec(title || '');
+  if (!match) return null;
+  return /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : romanToNumber(match[1]);
+}
+
+/**
+ * @param {Array} chapters - Chapters in reading order
+ * @param {Object} options - { mode, chaptersPerVolume, maxBytes, sizeOf: (chapter) => bytes }
+ *   (`sizeOf` is only needed for mode 'size' and should return the UTF-8 size of the chapter text)
+ * @returns {Array<{ number: number, chapters: Array }>} A single volume when not splitting. Numbers
+ *   count up from 1, except in mode 'headings' where they follow the headings while those increase.
+ */
+export function splitIntoVolumes(chapters, { mode = 'none', chaptersPerVolume = DEFAULT_CHAPTERS_PER_VOLUME, maxBytes = DEFAULT_VOLUME_BYTES, sizeOf = null } = {}) {
+  const volumes = [];
+  let current = [];
+  let currentBytes = 0;
+  let currentHeading = null;
+  let currentNumber = null;
+
+  const close = () => {
+    if (current.length === 0) return;
+    // Numbers stay unique: headings without a number, or going backwards, continue the count
+    const previous = volumes.length > 0 ? volumes[volumes.length - 1].number : 0;
+    const number = currentNumber > previous ? currentNumber : previous + 1;
+    volumes.push({ number, chapters: current });
+    current = [];
+    currentBytes = 0;
+    currentNumber = null;
+  };
+
+  const perVolume = Math.max(1, parseInt(chaptersPerVolume, 10) || DEFAULT_CHAPTERS_PER_VOLUME);
+  const byteLimit = Math.max(1, Number(maxBytes) || DEFAULT_VOLUME_BYTES);
+
+  for (const chapter of chapters) {
+    if (mode === 'count' && current.length >= perVolume) close();
+
+    if (mode === 'headings') {
+      // Chapters without a volume stay in the current one
+      const heading = chapter.volume || detectVolumeNumber(chapter.title);
+      if (heading !== null && currentHeading !== null && heading !== currentHeading) close();
+      if (heading !== null) {
+        currentHeading = heading;
+        if (currentNumber === null) currentNumber = typeof heading === 'number' ? heading : detectVolumeNumber(heading);
+      }
+    }
+
+    if (mode === 'size') {
+      const bytes = sizeOf ? sizeOf(chapter) : 0;
+      // A single oversized chapter still gets a volume of its own
+      if (current.length > 0 && currentBytes + bytes > byteLimit) close();
+      currentBytes += bytes;
+    }
+
+    current.push(chapter);
+  }
+  close();
+  return volumes;
+}
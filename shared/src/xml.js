@@ -0,0 +1,13 @@
+/**
+ * xml.js - Escaping for text put into XHTML, OPF and SVG markup.
+ */
+
+export const xmlEscape = (str) => {
+  if (!str) return '';
+  return str.toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+};
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChapterTitle, normalizeChapterTitles, normalizeTitleOptions, isReversedOrder } from '../src/chapterTitles.js';
+
+const chapters = (titles) => titles.map(title => ({ title }));
+
+test('parseChapterTitle splits volume, label, number and name', () => {
+  assert.deepEqual(parseChapterTitle('Vol. 2 Ch. 12 - The Fall'), {
+    volume: 'Vol. 2', label: 'Ch. 12', number: '12', name: 'The Fall', stripped: false
+  });
+  assert.equal(parseChapterTitle('Prologue').number, null);
+});
+
+test('parseChapterTitle strips repeated numbers and the novel title', () => {
+  assert.equal(parseChapterTitle('Chapter 12 - Chapter 12: The Fall').name, 'The Fall');
+  const parsed = parseChapterTitle('My Novel - Chapter 3', { novelTitle: 'My Novel' });
+  assert.equal(parsed.label, 'Chapter 3');
+  assert.equal(parsed.stripped, true);
+});
+
+test('normalizeChapterTitles rewrites titles in the chapter format', () => {
+  const { titles } = normalizeChapterTitles(chapters(['ch.1 Start', '2. Middle', 'Prologue']), { format: 'chapter' });
+  assert.deepEqual(titles, ['Chapter 1: Start', 'Chapter 2: Middle', 'Prologue']);
+});
+
+test('normalizeChapterTitles finds gaps and duplicates', () => {
+  const { issues, renumbered } = normalizeChapterTitles(chapters(['Chapter 1', 'Chapter 2', 'Chapter 2', 'Chapter 5']));
+  assert.deepEqual(issues.map(i => [i.index, i.kind]), [[2, 'duplicate'], [3, 'gap']]);
+  assert.deepEqual(renumbered, []);
+});
+
+test('renumbering reports every chapter whose number changed', () => {
+  const { titles, renumbered } = normalizeChapterTitles(chapters(['Chapter 1', 'Chapter 2', 'Chapter 2', 'Chapter 5']), { renumber: true });
+  assert.deepEqual(titles, ['Chapter 1', 'Chapter 2', 'Chapter 3', 'Chapter 4']);
+  assert.deepEqual(renumbered, [{ index: 2, from: '2', to: '3' }, { index: 3, from: '5', to: '4' }]);
+});
+
+test('renumbering keeps "Part N" chapters on one number and restarts per volume', () => {
+  const list = [
+    { title: 'Chapter 1', volume: 'Volume 1' },
+    { title: 'Chapter 3', volume: 'Volume 1' },
+    { title: 'Chapter 3 Part 2', volume: 'Volume 1' },
+    { title: 'Chapter 1', volume: 'Volume 2' }
+  ];
+  const { titles } = normalizeChapterTitles(list, { renumber: true });
+  assert.deepEqual(titles, ['Chapter 1', 'Chapter 2', 'Chapter 2 Part 2', 'Chapter 1']);
+});
+
+test('source page uses the captured heading, falling back to the TOC text', () => {
+  const list = [{ title: '1', pageTitle: 'Chapter 1: Arrival' }, { title: 'Chapter 2: Departure' }];
+  const { titles } = normalizeChapterTitles(list, { source: 'page' });
+  assert.deepEqual(titles, ['Chapter 1: Arrival', 'Chapter 2: Departure']);
+});
+
+test('normalizeTitleOptions rejects unknown values', () => {
+  assert.throws(() => normalizeTitleOptions({ source: 'bogus' }), /Unknown title source/);
+  assert.throws(() => normalizeTitleOptions({ format: 'bogus' }), /Unknown title format/);
+});
+
+test('isReversedOrder spots newest-first tables of contents', () => {
+  assert.equal(isReversedOrder(chapters(['Chapter 3', 'Chapter 2', 'Chapter 1'])), true);
+  assert.equal(isReversedOrder(chapters(['Chapter 1', 'Chapter 2', 'Chapter 3'])), false);
+});
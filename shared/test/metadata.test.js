@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bookIdentifier, normalizeSeries, normalizeTags } from '../src/metadata.js';
+import { xmlEscape } from '../src/xml.js';
+
+test('bookIdentifier is stable for the same source', async () => {
+  const source = 'https://example.com/novel/toc';
+  const id = await bookIdentifier({ source });
+  assert.match(id, /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  assert.equal(await bookIdentifier({ source }), id);
+  assert.notEqual(await bookIdentifier({ source: 'https://example.com/other' }), id);
+});
+
+test('bookIdentifier gives each volume its own id', async () => {
+  const source = 'https://example.com/novel/toc';
+  assert.notEqual(await bookIdentifier({ source, volumeNumber: 2 }), await bookIdentifier({ source }));
+  assert.equal(await bookIdentifier({ identifier: 'isbn:123', volumeNumber: 2 }), 'isbn:123-vol-2');
+});
+
+test('normalizeSeries needs a name and defaults the index to 1', () => {
+  assert.equal(normalizeSeries({ name: ' ', index: 2 }), null);
+  assert.deepEqual(normalizeSeries({ name: 'Saga', index: 'x' }), { name: 'Saga', index: 1 });
+  assert.deepEqual(normalizeSeries({ name: 'Saga', index: '2.5' }), { name: 'Saga', index: 2.5 });
+});
+
+test('normalizeTags drops duplicates regardless of case', () => {
+  assert.deepEqual(normalizeTags(['Fantasy', 'fantasy', 'Action']), ['Fantasy', 'Action']);
+});
+
+test('xmlEscape escapes markup characters and empty values', () => {
+  assert.equal(xmlEscape(`a<b>&"'`), 'a&lt;b&gt;&amp;&quot;&apos;');
+  assert.equal(xmlEscape(null), '');
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { repairXhtml, countIssues, validatePackage } from '../src/validation.js';
+
+test('repairXhtml turns HTML entities into numeric references and escapes bare ampersands', () => {
+  const { html, issues } = repairXhtml('<p>a &hellip; b & c &amp; d</p>');
+  assert.equal(html, '<p>a &#8230; b &amp; c &amp; d</p>');
+  assert.deepEqual(issues, { entity: 2 });
+});
+
+test('repairXhtml closes unclosed tags and void elements', () => {
+  assert.equal(repairXhtml('<p>x<b>y</p>').html, '<p>x<b>y</b></p>');
+  assert.equal(repairXhtml('<p>a<br>b</p>').html, '<p>a<br/>b</p>');
+});
+
+test('repairXhtml drops event handlers and duplicate ids', () => {
+  const { html, issues } = repairXhtml('<p onclick="x()" id="a">1</p><p id="a">2</p>');
+  assert.equal(html, '<p id="a">1</p><p>2</p>');
+  assert.equal(issues.attribute, 1);
+  assert.equal(issues.id, 1);
+});
+
+test('repairXhtml leaves well-formed XHTML alone', () => {
+  const input = '<p>Fine <em>text</em><img src="a.png" alt=""/></p>';
+  const { html, issues } = repairXhtml(input);
+  assert.equal(html, input);
+  assert.equal(countIssues(issues), 0);
+});
+
+test('validatePackage reports missing metadata and unlisted files', () => {
+  const opf = '<package xmlns="http://www.idpf.org/2007/opf"><metadata></metadata></package>';
+  const problems = validatePackage({
+    opf,
+    manifest: [{ id: 'chap1', href: 'chapter_1.xhtml', mediaType: 'application/xhtml+xml' }],
+    spine: ['chap1'],
+    files: ['chapter_1.xhtml', 'stray.png', 'content.opf'],
+    references: []
+  });
+  assert.ok(problems.includes('Missing or empty dc:title'));
+  assert.ok(problems.includes('Missing or empty dc:language'));
+  assert.ok(problems.some(p => p.includes('stray.png')));
+});
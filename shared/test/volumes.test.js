@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoVolumes, detectVolumeNumber } from '../src/volumes.js';
+
+const chapters = (titles) => titles.map((title, i) => ({ title, url: `https://example.com/${i + 1}` }));
+const summary = (volumes) => volumes.map(v => [v.number, v.chapters.map(c => c.title)]);
+
+test('detectVolumeNumber reads digits and roman numerals', () => {
+  assert.equal(detectVolumeNumber('Volume 2 Chapter 1'), 2);
+  assert.equal(detectVolumeNumber('Book III: The Return'), 3);
+  assert.equal(detectVolumeNumber('Arc iv - 12'), 4);
+  assert.equal(detectVolumeNumber('Chapter 12'), null);
+});
+
+test('mode none keeps a single volume', () => {
+  assert.deepEqual(summary(splitIntoVolumes(chapters(['a', 'b']))), [[1, ['a', 'b']]]);
+});
+
+test('mode count splits every chaptersPerVolume chapters', () => {
+  const volumes = splitIntoVolumes(chapters(['a', 'b', 'c', 'd', 'e']), { mode: 'count', chaptersPerVolume: 2 });
+  assert.deepEqual(summary(volumes), [[1, ['a', 'b']], [2, ['c', 'd']], [3, ['e']]]);
+});
+
+test('mode headings keeps the number of the heading', () => {
+  const volumes = splitIntoVolumes(chapters(['Prologue', 'Volume 3 Chapter 1', 'Volume 3 Chapter 2', 'Volume 4 Chapter 1']), { mode: 'headings' });
+  assert.deepEqual(summary(volumes), [
+    [3, ['Prologue', 'Volume 3 Chapter 1', 'Volume 3 Chapter 2']],
+    [4, ['Volume 4 Chapter 1']]
+  ]);
+});
+
+test('mode headings prefers TOC volumes and keeps numbers unique', () => {
+  const list = [
+    { title: 'a', volume: 'Volume 2: The Capital' },
+    { title: 'b', volume: 'Volume 2: The Capital' },
+    { title: 'c', volume: 'Side Stories' },
+    { title: 'd', volume: 'Volume 1 Redux' }
+  ];
+  assert.deepEqual(summary(splitIntoVolumes(list, { mode: 'headings' })), [[2, ['a', 'b']], [3, ['c']], [4, ['d']]]);
+});
+
+test('mode size closes a volume before it would exceed maxBytes', () => {
+  // Sizes are UTF-8 bytes: three 2-byte characters weigh 6, not 3
+  const text = { a: 'ééé', b: 'ééé', c: 'abc' };
+  const encoder = new TextEncoder();
+  const volumes = splitIntoVolumes(chapters(['a', 'b', 'c']), {
+    mode: 'size',
+    maxBytes: 9,
+    sizeOf: (chapter) => encoder.encode(text[chapter.title]).length
+  });
+  assert.deepEqual(summary(volumes), [[1, ['a']], [2, ['b', 'c']]]);
+});
+
+test('mode size gives an oversized chapter a volume of its own', () => {
+  const volumes = splitIntoVolumes(chapters(['a', 'b']), { mode: 'size', maxBytes: 5, sizeOf: () => 10 });
+  assert.deepEqual(summary(volumes), [[1, ['a']], [2, ['b']]]);
+});